@@ -7,12 +7,17 @@ import { initializeHideUnwantedContent } from './src/contentScript/hideUnwantedC
 import { initializeMarkVideosContent } from './src/contentScript/markVideosContent.js';
 import { initializeYouTubeShortsContent } from './src/contentScript/youtubeShortsContent.js';
 import { getTextClassifier } from './src/contentScript/textClassifier.js';
+import { initializeToastSettings } from './src/contentScript/toastUtils.js';
+import { createNavigationService } from './src/contentScript/navigationService.js';
+import { createScanScheduler } from './src/contentScript/scanScheduler.js';
 import logger from './src/logger.js';
 
 // Component instances
 let hideUnwantedComponent = null;
 let markVideosComponent = null;
 let youtubeShortsComponent = null;
+let navigationService = null;
+let scanScheduler = null;
 
 
 /**
@@ -26,35 +31,37 @@ async function initialize() {
     const textClassifier = await getTextClassifier();
     logger.debug('Text classifier obtained');
     
+    // Toasts respect the user's notification setting from the first scan on
+    await initializeToastSettings();
+
+    // One mutation observer for every component; each gets only the new elements it registered for
+    scanScheduler = createScanScheduler();
+    scanScheduler.start();
+
     // Initialize all components with dependencies
-    youtubeShortsComponent = await initializeYouTubeShortsContent();
-    hideUnwantedComponent = await initializeHideUnwantedContent(textClassifier);
+    youtubeShortsComponent = await initializeYouTubeShortsContent(scanScheduler);
+    hideUnwantedComponent = await initializeHideUnwantedContent(textClassifier, scanScheduler);
     markVideosComponent = initializeMarkVideosContent();
 
-  // Set up URL change listener for page navigation
-  let currentUrl = window.location.href;
-  const urlObserver = new MutationObserver(() => {
-    if (window.location.href !== currentUrl) {
-      currentUrl = window.location.href;
-        // Clear processed videos cache when page changes
-        if (hideUnwantedComponent && hideUnwantedComponent.clearProcessedVideosCache) {
-          hideUnwantedComponent.clearProcessedVideosCache();
-        }
-      logger.info('Page changed, clearing video cache');
-      // Small delay to let the new page load
-        setTimeout(() => {
-          if (hideUnwantedComponent && hideUnwantedComponent.scanForVideos) {
-            hideUnwantedComponent.scanForVideos();
-          }
-        }, 500);
-    }
-  });
+    // Tell every component about YouTube's single-page navigations, so each can re-arm for the new page
+    const components = [youtubeShortsComponent, hideUnwantedComponent, markVideosComponent];
+    navigationService = createNavigationService();
+    navigationService.onNavigate((navigation) => {
+      for (const component of components) {
+        component.onNavigate(navigation);
+      }
+    });
+    navigationService.start();
 
-  // Observe URL changes
-  urlObserver.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+    // Tear everything down when the page is unloaded for good
+    window.addEventListener('pagehide', (event) => {
+      if (event.persisted) return; // Kept in the back/forward cache and may be restored
+      navigationService.dispose();
+      for (const component of components) {
+        component.dispose();
+      }
+      scanScheduler.stop();
+    });
 
     logger.info('All content script components initialized successfully');
     
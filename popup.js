@@ -5,7 +5,13 @@
 
 import { initializeHideUnwanted } from './src/popup/hideUnwantedLogic.js';
 import { initializeYouTubeShorts } from './src/popup/youtubeShortsLogic.js';
+import { initializeNotifications } from './src/popup/notificationsLogic.js';
 import { initializeMarkVideos } from './src/popup/markVideosLogic.js';
+import { initializeClassifierSettings } from './src/popup/classifierLogic.js';
+import { initializeFeedback } from './src/popup/feedbackLogic.js';
+import { initializeFilteredVideos } from './src/popup/filteredVideosLogic.js';
+import { initializePendingMask } from './src/popup/pendingMaskLogic.js';
+import { initializePagePolicies } from './src/popup/pagePoliciesLogic.js';
 import { renderTestModeIndicator } from './popupView.js';
 import { MOCK_CLASSIFICATION_API_CALL } from './src/contentScript/textClassifierServer.js';
 import logger from './src/logger.js';
@@ -17,7 +23,13 @@ async function bootstrap() {
   try {
     // Initialize all components
     const hideUnwanted = await initializeHideUnwanted();
+    const pendingMask = await initializePendingMask();
+    const pagePolicies = await initializePagePolicies();
+    const filteredVideos = await initializeFilteredVideos();
+    const classifierSettings = await initializeClassifierSettings();
+    const feedback = await initializeFeedback();
     const youtubeShorts = await initializeYouTubeShorts();
+    const notifications = await initializeNotifications();
     const markVideos = await initializeMarkVideos();
 
     // Dynamically show test mode indicator if needed
@@ -28,7 +40,13 @@ async function bootstrap() {
     // Return component instances for potential external access
     return {
       hideUnwanted,
+      pendingMask,
+      pagePolicies,
+      filteredVideos,
+      classifierSettings,
+      feedback,
       youtubeShorts,
+      notifications,
       markVideos
     };
   } catch (error) {
@@ -4,8 +4,20 @@
  */
 
 import { getAIStatus, classify as classifyWithBuiltInAI } from './src/serviceWorker/textClassifierBuiltInAI.js';
+import { loadLLMSettings, classify as classifyWithLLM } from './src/serviceWorker/textClassifierLLM.js';
+import { loadServerSettings, requestServerClassification } from './src/contentScript/textClassifierServer.js';
+import { migrateStoredTopics } from './src/topics.js';
 import logger from './src/logger.js';
 
+/**
+ * Migrate stored settings written by older versions of the extension
+ */
+chrome.runtime.onInstalled.addListener((details) => {
+  if (details.reason === 'update') {
+    migrateStoredTopics();
+  }
+});
+
 /**
  * Handle messages from content scripts and popup
  * Acts as a router to different service worker modules
@@ -21,6 +33,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Indicates we will send response asynchronously
   }
 
+  // Content scripts cannot open extension pages themselves
+  if (message.type === 'OPEN_SETTINGS') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        logger.error('Failed to open settings:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
   // Add more message handlers here for other features
   // Example:
   // if (message.type === 'ANOTHER_FEATURE') {
@@ -33,7 +56,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 /**
  * Handle text classifier related messages
- * Routes to appropriate built-in AI classifier functions
+ * Routes to the built-in AI, bring-your-own-key LLM and server classifier functions
  * @param {Object} message - The message object
  * @param {Function} sendResponse - Function to send response back
  */
@@ -58,6 +81,32 @@ async function handleTextClassifierMessage(message, sendResponse) {
         sendResponse({ success: true, results });
         break;
 
+      case 'CLASSIFY_LLM': {
+        // Classify texts against topics with the user's own LLM key
+        const llmSettings = await loadLLMSettings();
+        if (!llmSettings) {
+          throw new Error('LLM classifier is not configured');
+        }
+        const llmResults = await classifyWithLLM(message.payload.texts, message.payload.topics, llmSettings);
+        logger.info('LLM classification completed successfully');
+        sendResponse({ success: true, results: llmResults });
+        break;
+      }
+
+      case 'CLASSIFY_SERVER': {
+        // Classify texts against topics with a custom classification server; the request runs here
+        // so the optional host permission granted for the server applies
+        const serverSettings = await loadServerSettings();
+        const origin = `${new URL(serverSettings.baseUrl).origin}/*`;
+        if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+          throw new Error('Access to the classification server was not granted');
+        }
+        const serverResults = await requestServerClassification(message.payload.texts, message.payload.topics, serverSettings);
+        logger.info('Server classification completed successfully');
+        sendResponse({ success: true, results: serverResults });
+        break;
+      }
+
       default:
         logger.warn('Unknown action received:', message.action);
         sendResponse({ 
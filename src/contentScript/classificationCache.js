@@ -0,0 +1,219 @@
+/**
+ * Classification Cache
+ * Persistent cache of classification results keyed by video ID and topic-set fingerprint.
+ * Entries live in memory for synchronous lookups and are persisted to chrome.storage.local.
+ * Every YouTube tab keeps its own copy, so a write merges this tab's changes into the stored
+ * cache rather than replacing the entries other tabs stored meanwhile.
+ */
+
+import logger from '../logger.js';
+
+// Configuration
+const CACHE_STORAGE_KEY = 'classificationCache';
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Entries expire after 7 days
+export const FALLBACK_CACHE_TTL_MS = 10 * 60 * 1000; // Results from a fallback backend, e.g. during an outage
+const MAX_CACHE_ENTRIES = 5000; // Least recently used entries are evicted beyond this
+const PERSIST_DELAY = 1000; // Debounce writes to storage
+
+// State management
+// Map preserves insertion order, so the first key is always the least recently used one
+let entries = new Map();
+let persistTimeout = null;
+let changedKeys = new Set(); // Keys set or dropped in this tab since the last write
+
+/**
+ * Compute a stable fingerprint for a set of topics.
+ * The same topics in any order produce the same fingerprint.
+ * @param {string[]} topics - Topics the videos are classified against
+ * @param {*} [classifierConfig] - Classifier settings that affect results (e.g. backend, rules)
+ * @returns {string} Short hex fingerprint
+ */
+export function computeTopicFingerprint(topics, classifierConfig = null) {
+  const normalizedTopics = (topics || []).map(topic => String(topic).trim().toLowerCase()).sort();
+  const canonical = JSON.stringify(
+    classifierConfig === null ? normalizedTopics : [normalizedTopics, classifierConfig]
+  );
+
+  // FNV-1a 32-bit hash
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < canonical.length; i++) {
+    hash ^= canonical.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build the cache key for a video and topic fingerprint
+ * @param {string} videoId - YouTube video ID
+ * @param {string} fingerprint - Topic-set fingerprint
+ * @returns {string} Cache key
+ */
+function buildCacheKey(videoId, fingerprint) {
+  return `${fingerprint}:${videoId}`;
+}
+
+/**
+ * Check whether a cache entry is past its TTL
+ * @param {Object} entry - Cache entry
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if the entry has expired
+ */
+function isExpired(entry, now) {
+  return !entry || now - entry.createdAt > (entry.ttl || CACHE_TTL_MS);
+}
+
+/**
+ * Drop least recently used entries until the cache fits its size limit
+ */
+function evictOverflow() {
+  while (entries.size > MAX_CACHE_ENTRIES) {
+    const oldestKey = entries.keys().next().value;
+    entries.delete(oldestKey);
+  }
+}
+
+/**
+ * Schedule a debounced write of the cache to storage
+ */
+function schedulePersist() {
+  if (persistTimeout) {
+    clearTimeout(persistTimeout);
+  }
+  persistTimeout = setTimeout(persistClassificationCache, PERSIST_DELAY);
+}
+
+/**
+ * Read the stored cache, dropping expired entries
+ * @returns {Promise<Map<string, Object>>} Stored entries, least recently used first
+ */
+async function readStoredEntries() {
+  const result = await chrome.storage.local.get([CACHE_STORAGE_KEY]);
+  const stored = Array.isArray(result?.[CACHE_STORAGE_KEY]) ? result[CACHE_STORAGE_KEY] : [];
+  const now = Date.now();
+  const storedEntries = new Map();
+  for (const [key, entry] of stored) {
+    if (!isExpired(entry, now)) {
+      storedEntries.set(key, entry);
+    }
+  }
+  return storedEntries;
+}
+
+/**
+ * Write this tab's changes to storage immediately, on top of what other tabs stored
+ */
+export async function persistClassificationCache() {
+  persistTimeout = null;
+  const changes = changedKeys;
+  changedKeys = new Set();
+  try {
+    const merged = await readStoredEntries();
+    // Changes made while reading are kept in memory too; they are written next time
+    for (const key of [...changes, ...changedKeys]) {
+      merged.delete(key);
+      if (entries.has(key)) merged.set(key, entries.get(key));
+    }
+    // Entries stored by other tabs become visible here as well
+    entries = merged;
+    evictOverflow();
+    await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: Array.from(entries.entries()) });
+    logger.debug(`Persisted ${entries.size} classification cache entries`);
+  } catch (error) {
+    changes.forEach(key => changedKeys.add(key)); // Try again with the next write
+    logger.error('Failed to persist classification cache:', error);
+  }
+}
+
+/**
+ * Load the cache from storage, dropping expired entries
+ */
+export async function loadClassificationCache() {
+  try {
+    entries = await readStoredEntries();
+    changedKeys = new Set();
+    evictOverflow();
+    logger.info(`Loaded ${entries.size} classification cache entries`);
+  } catch (error) {
+    logger.error('Failed to load classification cache:', error);
+  }
+}
+
+/**
+ * Look up a cached classification synchronously
+ * @param {string} videoId - YouTube video ID
+ * @param {string} fingerprint - Topic-set fingerprint
+ * @returns {{matchedTopics: string[], scores?: (number|null)[], backend?: string}|null} Cached result or null on a miss
+ */
+export function getCachedClassification(videoId, fingerprint) {
+  if (!videoId || !fingerprint) return null;
+
+  const key = buildCacheKey(videoId, fingerprint);
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  if (isExpired(entry, Date.now())) {
+    entries.delete(key);
+    changedKeys.add(key);
+    schedulePersist();
+    return null;
+  }
+
+  // Move to the most recently used position
+  entries.delete(key);
+  entries.set(key, entry);
+  return { matchedTopics: entry.matchedTopics, scores: entry.scores, backend: entry.backend };
+}
+
+/**
+ * Store a classification result
+ * @param {string} videoId - YouTube video ID
+ * @param {string} fingerprint - Topic-set fingerprint
+ * @param {string[]} matchedTopics - Topics the video matched (empty if none)
+ * @param {Object} [details]
+ * @param {(number|null)[]} [details.scores] - Confidence score per matched topic
+ * @param {string|null} [details.backend] - Classifier backend that produced the result
+ * @param {number} [details.ttl] - Lifetime in ms, when shorter than the default 7 days
+ */
+export function setCachedClassification(videoId, fingerprint, matchedTopics, { scores, backend, ttl } = {}) {
+  if (!videoId || !fingerprint) return;
+
+  const key = buildCacheKey(videoId, fingerprint);
+  const entry = {
+    matchedTopics: Array.isArray(matchedTopics) ? matchedTopics : [],
+    createdAt: Date.now()
+  };
+  if (Array.isArray(scores)) entry.scores = scores;
+  if (backend) entry.backend = backend;
+  if (ttl) entry.ttl = ttl;
+  entries.delete(key);
+  entries.set(key, entry);
+  changedKeys.add(key);
+  evictOverflow();
+  schedulePersist();
+}
+
+/**
+ * Remove every cached classification, in memory and in storage
+ */
+export async function clearClassificationCache() {
+  entries = new Map();
+  changedKeys = new Set();
+  if (persistTimeout) {
+    clearTimeout(persistTimeout);
+    persistTimeout = null;
+  }
+  try {
+    await chrome.storage.local.remove(CACHE_STORAGE_KEY);
+  } catch (error) {
+    logger.error('Failed to clear classification cache:', error);
+  }
+}
+
+/**
+ * Get the number of cached entries
+ * @returns {number} Entry count
+ */
+export function getClassificationCacheSize() {
+  return entries.size;
+}
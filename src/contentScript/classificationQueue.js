@@ -0,0 +1,194 @@
+/**
+ * Viewport-Prioritized Classification Queue
+ * Tiles in or near the viewport are classified first, in small batches, so what the user is
+ * looking at is decided quickly. Off-screen tiles wait and are classified in larger batches when
+ * the browser is idle. Cancelling (e.g. on SPA navigation) drops queued tiles and discards the
+ * results of the batch in flight.
+ */
+
+import logger from '../logger.js';
+
+export const VISIBLE_BATCH_SIZE = 8;
+export const IDLE_BATCH_SIZE = 20;
+const NEAR_VIEWPORT_MARGIN = 600; // px above and below the viewport that count as "near"
+const IDLE_TIMEOUT = 2000; // Classify off-screen tiles after this long even if the page never idles
+
+/**
+ * Check whether an element is in or near the viewport
+ * @param {Element} element - Element to check
+ * @returns {boolean} Whether the element is within NEAR_VIEWPORT_MARGIN of the viewport
+ */
+function isNearViewport(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.bottom >= -NEAR_VIEWPORT_MARGIN && rect.top <= window.innerHeight + NEAR_VIEWPORT_MARGIN;
+}
+
+/**
+ * Run a callback when the browser is idle
+ * @param {Function} callback - Callback to run
+ * @returns {Function} Cancels the callback
+ */
+function whenIdle(callback) {
+  if (typeof requestIdleCallback === 'function') {
+    const handle = requestIdleCallback(callback, { timeout: IDLE_TIMEOUT });
+    return () => cancelIdleCallback(handle);
+  }
+  const handle = setTimeout(callback, 200);
+  return () => clearTimeout(handle);
+}
+
+/**
+ * Create a classification queue
+ * @param {Function} processBatch - async (elements, isCancelled) => void; classifies and applies
+ *   one batch, and must check isCancelled() before applying results
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=VISIBLE_BATCH_SIZE] - Batch size for tiles near the viewport
+ * @param {number} [options.idleBatchSize=IDLE_BATCH_SIZE] - Batch size for off-screen tiles
+ * @returns {{enqueue: Function, cancel: Function, has: Function, size: Function}} Queue
+ */
+export function createClassificationQueue(processBatch, { batchSize = VISIBLE_BATCH_SIZE, idleBatchSize = IDLE_BATCH_SIZE } = {}) {
+  const queued = new Set(); // Elements waiting, in the order they were queued
+  const nearViewport = new Set(); // Queued elements in or near the viewport
+  let inFlight = new Set(); // Elements of the batch being classified
+  let running = false;
+  let generation = 0; // Bumped by cancel() so results of an older batch are discarded
+  let cancelIdle = null;
+
+  const observer = typeof IntersectionObserver === 'function'
+    ? new IntersectionObserver((entries) => {
+      for (const { target, isIntersecting } of entries) {
+        if (!queued.has(target)) continue;
+        if (isIntersecting) {
+          nearViewport.add(target);
+        } else {
+          nearViewport.delete(target);
+        }
+      }
+      if (nearViewport.size > 0) run();
+    }, { rootMargin: `${NEAR_VIEWPORT_MARGIN}px 0px` })
+    : null;
+
+  /**
+   * Take up to `limit` queued elements, optionally only those near the viewport
+   * @param {number} limit - Maximum batch size
+   * @param {boolean} nearOnly - Whether to take only elements near the viewport
+   * @returns {Element[]} Batch
+   */
+  function take(limit, nearOnly) {
+    const batch = [];
+    for (const element of nearOnly ? nearViewport : queued) {
+      if (batch.length >= limit) break;
+      batch.push(element);
+    }
+    for (const element of batch) {
+      queued.delete(element);
+      nearViewport.delete(element);
+      if (observer) observer.unobserve(element);
+    }
+    return batch;
+  }
+
+  /**
+   * Classify one batch; results are discarded if the queue was cancelled meanwhile
+   * @param {Element[]} batch - Elements to classify
+   */
+  async function process(batch) {
+    const batchGeneration = generation;
+    const batchInFlight = inFlight;
+    batch.forEach(element => batchInFlight.add(element));
+    try {
+      await processBatch(batch, () => batchGeneration !== generation);
+    } catch (error) {
+      logger.error('Classification batch failed:', error);
+    } finally {
+      batch.forEach(element => batchInFlight.delete(element));
+    }
+  }
+
+  /**
+   * Classify the tiles near the viewport, then leave the rest to idle time
+   */
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      let batch = take(batchSize, true);
+      while (batch.length > 0) {
+        await process(batch);
+        batch = take(batchSize, true);
+      }
+    } finally {
+      running = false;
+    }
+    if (queued.size > 0) scheduleIdle();
+  }
+
+  /**
+   * Classify one batch of off-screen tiles when the browser is idle
+   */
+  function scheduleIdle() {
+    if (cancelIdle) return;
+    cancelIdle = whenIdle(async () => {
+      cancelIdle = null;
+      if (running) return; // run() schedules again when it finishes
+      if (nearViewport.size > 0) {
+        run();
+        return;
+      }
+      running = true;
+      try {
+        await process(take(idleBatchSize, false));
+      } finally {
+        running = false;
+      }
+      run();
+    });
+  }
+
+  return {
+    /**
+     * Queue tiles for classification; tiles already queued keep their place
+     * @param {Element[]} elements - Tiles to classify
+     */
+    enqueue(elements) {
+      const added = elements.filter(element => !queued.has(element) && !inFlight.has(element));
+      if (added.length === 0) return;
+      // Read the positions once up front; the observer keeps them up to date afterwards
+      const near = added.filter(isNearViewport);
+      for (const element of added) {
+        queued.add(element);
+        if (observer) observer.observe(element);
+      }
+      for (const element of near) {
+        nearViewport.add(element);
+      }
+      run();
+    },
+
+    /**
+     * Drop every queued tile and discard the results of the batch in flight
+     */
+    cancel() {
+      generation++;
+      inFlight = new Set();
+      if (observer) observer.disconnect();
+      queued.clear();
+      nearViewport.clear();
+      if (cancelIdle) {
+        cancelIdle();
+        cancelIdle = null;
+      }
+    },
+
+    /**
+     * @param {Element} element - Tile
+     * @returns {boolean} Whether the tile is waiting for or being classified
+     */
+    has: element => queued.has(element) || inFlight.has(element),
+
+    /**
+     * @returns {number} Number of tiles waiting
+     */
+    size: () => queued.size
+  };
+}
@@ -5,6 +5,17 @@
 
 import logger from '../logger.js';
 
+/**
+ * Minimum confidence score used when the user has not chosen one
+ */
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.5;
+
+/**
+ * Backends whose results carry confidence scores. Matches from the others are unscored,
+ * so the threshold does not apply to them.
+ */
+export const SCORING_BACKENDS = ['server'];
+
 /**
  * Generate a unique ID for text/topic items
  * @param {string} prefix - Prefix for the ID (e.g., 't' for text, 'p' for topic)
@@ -15,16 +26,54 @@ function generateId(prefix, index) {
   return `${prefix}${index}`;
 }
 
+/**
+ * Assign a classifier text ID to each input text.
+ * Texts given as {id, text} keep their own ID (e.g. a video ID) as long as it is unique in the batch;
+ * plain strings and duplicate IDs fall back to generated IDs.
+ * @param {Array<string|{id: string, text: string}>} texts - Texts to classify
+ * @returns {Array<{id: string, text: string}>} Texts with unique IDs
+ */
+function assignTextIds(texts) {
+  const usedIds = new Set();
+  return texts.map((item, index) => {
+    const isObject = item !== null && typeof item === 'object';
+    const text = isObject ? item.text : item;
+    let id = isObject && item.id ? String(item.id) : null;
+    if (!id || usedIds.has(id)) {
+      id = generateId('t', index);
+    }
+    usedIds.add(id);
+    return { id, text };
+  });
+}
+
+/**
+ * Normalize an optional classifier confidence score
+ * @param {*} score - Score reported by the classifier
+ * @returns {number|null} Score clamped to [0, 1], or null when the classifier gave none
+ */
+function normalizeScore(score) {
+  if (typeof score !== 'number' || Number.isNaN(score)) return null;
+  return Math.min(1, Math.max(0, score));
+}
+
 /**
  * Classify multiple texts against a list of topics in batch.
  * Uses dependency injection to receive the classifier implementation.
  * 
+ * Classifier results may carry an optional `scores` array parallel to `topic_ids`
+ * (confidence between 0 and 1) and the `backend` that produced them.
+ * 
  * @param {Object} classifier - Text classifier instance with classify method
- * @param {string[]} texts - Array of texts to classify
+ * @param {Array<string|{id: string, text: string}>} texts - Texts to classify, optionally with stable IDs
  * @param {string[]} topics - Array of topics to classify against
- * @returns {Promise<(string|null)[]>} Array of matched topics (same order as input texts)
+ * @param {Object<string, Object>} [topicDetails={}] - Optional description and example titles per topic name,
+ *   sent along with the topic in the classifier contract format
+ * @returns {Promise<Array<{matchedTopics: string[], scores: (number|null)[], backend: string|null, fallback: boolean}>>}
+ *   Every matched topic per text, with its score (null when not reported), in the same order as input texts;
+ *   fallback is true when the backend only answered because an earlier one failed
  */
-export async function classifyTextsBatch(classifier, texts, topics) {
+export async function classifyTextsBatch(classifier, texts, topics, topicDetails = {}) {
   if (!classifier || typeof classifier.classify !== 'function') {
     throw new Error('Valid classifier instance required');
   }
@@ -37,47 +86,51 @@ export async function classifyTextsBatch(classifier, texts, topics) {
 
   try {
     // Prepare texts and topics with IDs as per API specification
-    const textsWithIds = texts.map((text, index) => ({
-      id: generateId('t', index),
-      text: text
-    }));
+    const textsWithIds = assignTextIds(texts);
+    const textIndexById = new Map(textsWithIds.map((text, index) => [text.id, index]));
     
     const topicsWithIds = topics.map((topic, index) => ({
       id: generateId('p', index),
-      topic: topic
+      topic: topic,
+      ...(topicDetails[topic] || {})
     }));
+    const topicById = new Map(topicsWithIds.map(topic => [topic.id, topic.topic]));
 
     logger.debug('Prepared texts for classification:', textsWithIds);
     logger.debug('Prepared topics for classification:', topicsWithIds);
     
     // Call the classifier's classify method
-    // Expected return format: Array<{text_id: string, topic_ids: string[]}>
+    // Expected return format: Array<{text_id: string, topic_ids: string[], scores?: number[], backend?: string}>
     const results = await classifier.classify(textsWithIds, topicsWithIds);
     
     logger.debug('Classification results:', results);
     
     // Map results back to input order
-    const matchedTopics = new Array(texts.length).fill(null);
+    const classifications = texts.map(() => ({ matchedTopics: [], scores: [], backend: null, fallback: false }));
     
     for (const result of results) {
       // Find the text index by matching the text_id
-      const textIndex = parseInt(result.text_id.replace('t', ''));
+      const textIndex = textIndexById.has(result.text_id) ? textIndexById.get(result.text_id) : -1;
 
-      if (textIndex >= 0 && textIndex < texts.length) {
-        // If there are matching topics, get the first one
-        if (result.topic_ids && result.topic_ids.length > 0) {
-          const topicIndex = parseInt(result.topic_ids[0].replace('p', ''));
-          if (topicIndex >= 0 && topicIndex < topics.length) {
-            const matchedTopic = topics[topicIndex];
-            matchedTopics[textIndex] = matchedTopic;
+      if (textIndex >= 0) {
+        const classification = classifications[textIndex];
+        classification.backend = result.backend || null;
+        classification.fallback = !!result.fallback;
+        const topicIds = Array.isArray(result.topic_ids) ? result.topic_ids : [];
+        const scores = Array.isArray(result.scores) ? result.scores : [];
+        topicIds.forEach((topicId, i) => {
+          const topic = topicById.get(topicId);
+          if (topic !== undefined && !classification.matchedTopics.includes(topic)) {
+            classification.matchedTopics.push(topic);
+            classification.scores.push(normalizeScore(scores[i]));
           }
-        } 
+        });
       } else {
-        logger.error(`⚠️ Invalid text index: ${textIndex} for text_id: ${result.text_id} (expected 0-${texts.length-1})`);
+        logger.error(`⚠️ Unknown text_id in classification results: ${result.text_id}`);
       }
     }
     
-    return matchedTopics;
+    return classifications;
   } catch (error) {
     logger.error('Error classifying texts batch:', error);
     throw error;
@@ -85,41 +138,83 @@ export async function classifyTextsBatch(classifier, texts, topics) {
 }
 
 /**
- * Process multiple video contexts and return hide decisions in batch.
+ * Turn a classification into a filtering decision.
+ * Matches scored below the threshold are dropped; matches without a score always count.
+ * A video that matches an always-shown topic is never hidden, whatever excluded topics it matches.
+ * 
+ * @param {{matchedTopics: string[], scores?: (number|null)[], backend?: string|null}} classification - Classifier matches
+ * @param {number} [threshold=0] - Minimum confidence score (0-1)
+ * @param {string[]} [allowTopics=[]] - Topics that are always shown
+ * @returns {{hide: boolean, matchedTopics: string[], allowedTopics: string[], score: number|null, backend: string|null}}
+ *   Decision with the kept excluded and always-shown topics, most confident first, and the highest kept score
+ */
+export function buildClassificationDecision(classification, threshold = 0, allowTopics = []) {
+  const scores = classification.scores || [];
+  const allowed = new Set(allowTopics);
+  const kept = classification.matchedTopics
+    .map((topic, i) => ({ topic, score: scores[i] === undefined ? null : scores[i] }))
+    .filter(match => match.score === null || match.score >= threshold)
+    .sort((a, b) => (b.score === null ? 1 : b.score) - (a.score === null ? 1 : a.score));
+  const allowMatches = kept.filter(match => allowed.has(match.topic));
+  const excludeMatches = kept.filter(match => !allowed.has(match.topic));
+  // The score explains the decision: the best always-shown match when one wins, else the best excluded match
+  const deciding = allowMatches.length > 0 ? allowMatches : excludeMatches;
+  const keptScores = deciding.map(match => match.score).filter(score => score !== null);
+
+  return {
+    hide: excludeMatches.length > 0 && allowMatches.length === 0,
+    matchedTopics: excludeMatches.map(match => match.topic),
+    allowedTopics: allowMatches.map(match => match.topic),
+    score: keptScores.length > 0 ? Math.max(...keptScores) : null,
+    backend: classification.backend || null
+  };
+}
+
+/**
+ * Process multiple video contexts and return filtering decisions in batch.
  * Uses the injected classifier to determine which videos match excluded topics.
+ * Always-shown topics are classified in the same request and take precedence over excluded ones.
  * 
  * @param {Object} classifier - Text classifier instance with classify method
- * @param {string[]} videoContexts - Array of video contexts to evaluate
+ * @param {Array<string|{id: string, text: string}>} videoContexts - Video contexts to evaluate, optionally with video IDs
  * @param {string[]} excludedTopics - Array of topics to exclude
- * @returns {Promise<boolean[]>} Array of hide decisions (same order as input contexts)
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0] - Minimum confidence score for a match to count
+ * @param {string[]} [options.allowTopics=[]] - Topics that are always shown
+ * @param {Object<string, Object>} [options.topicDetails={}] - Description and example titles per topic name
+ * @returns {Promise<Array<{hide: boolean, matchedTopics: string[], allowedTopics: string[], score: number|null, backend: string|null, classification: Object|null, error?: boolean}>>}
+ *   Decision per video (same order as input contexts). `classification` holds every match before the
+ *   threshold and allow list were applied, so it can be cached and re-evaluated when they change.
+ *   When classification fails no video is hidden and every decision is flagged with `error`.
  */
-export async function batchClassifyVideoContexts(classifier, videoContexts, excludedTopics) {
+export async function batchClassifyVideoContexts(classifier, videoContexts, excludedTopics, { threshold = 0, allowTopics = [], topicDetails = {} } = {}) {
+  const noMatch = () => ({ hide: false, matchedTopics: [], allowedTopics: [], score: null, backend: null, classification: null });
   if (!Array.isArray(videoContexts) || videoContexts.length === 0) {
     return [];
   }
   if (!Array.isArray(excludedTopics) || excludedTopics.length === 0) {
-    return new Array(videoContexts.length).fill(false);
+    return videoContexts.map(noMatch);
   }
 
   try {
-    // Get batch classification results
-    const batchResults = await classifyTextsBatch(classifier, videoContexts, excludedTopics);
+    // Get batch classification results for both lists in one request
+    const topics = [...excludedTopics, ...allowTopics.filter(topic => !excludedTopics.includes(topic))];
+    const batchResults = await classifyTextsBatch(classifier, videoContexts, topics, topicDetails);
     
-    // Convert topic matches to hide decisions
-    const hideDecisions = batchResults.map((topic, index) => {
-      const shouldHide = topic !== null;
-      return shouldHide;
-    });
+    // Convert topic matches to filtering decisions
+    const decisions = batchResults.map(classification => ({
+      ...buildClassificationDecision(classification, threshold, allowTopics),
+      classification
+    }));
     
-    const hideCount = hideDecisions.filter(r => r).length;
-    const totalCount = hideDecisions.length;
+    const hideCount = decisions.filter(decision => decision.hide).length;
+    const totalCount = decisions.length;
     logger.info(`📊 Batch classification summary: ${hideCount}/${totalCount} videos will be hidden`);
     
-    return hideDecisions;
+    return decisions;
   } catch (error) {
     logger.error('Error in batch classification:', error);
     // Fallback: don't hide any videos on error
-    return new Array(videoContexts.length).fill(false);
+    return videoContexts.map(() => ({ ...noMatch(), error: true }));
   }
 }
-
@@ -0,0 +1,84 @@
+/**
+ * Decision Reasons
+ * Remembers why each video on the page was filtered, so the user can audit false positives
+ * from the tile itself or from the filtered videos panel (the only way to see deleted videos).
+ */
+
+const BACKEND_NAMES = {
+  builtin: 'Built-in AI',
+  llm: 'Your own LLM key',
+  server: 'AI server',
+  rules: 'Keyword rules'
+};
+
+// Video ID -> reason, in the order the videos were filtered
+const reasons = new Map();
+
+/**
+ * Record why a video was filtered
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} reason - {title, action, topic, matchedTopics, score, backend, source}; source is
+ *   'classifier', 'cache' or 'override' (the user's own correction)
+ * @param {number} [now=Date.now()] - Time of the decision in ms
+ */
+export function recordDecisionReason(videoId, reason, now = Date.now()) {
+  if (!videoId) return;
+  reasons.delete(videoId);
+  reasons.set(videoId, { videoId, ...reason, at: now });
+}
+
+/**
+ * Forget the reason of a video that is shown again
+ * @param {string} videoId - YouTube video ID
+ */
+export function clearDecisionReason(videoId) {
+  reasons.delete(videoId);
+}
+
+/**
+ * Get the reason a video was filtered
+ * @param {string} videoId - YouTube video ID
+ * @returns {Object|null} Reason, or null if the video is not filtered
+ */
+export function getDecisionReason(videoId) {
+  return reasons.get(videoId) || null;
+}
+
+/**
+ * Get the reasons of every filtered video, most recent first
+ * @returns {Array<Object>} Reasons
+ */
+export function getDecisionReasons() {
+  return [...reasons.values()].reverse();
+}
+
+/**
+ * Forget every reason, e.g. after navigating to another page
+ */
+export function clearDecisionReasons() {
+  reasons.clear();
+}
+
+/**
+ * Describe a reason in a few short lines
+ * @param {Object} reason - Recorded reason
+ * @returns {string[]} Lines such as "Matched: cricket" and "Decided by: Built-in AI, 82% confident"
+ */
+export function describeDecisionReason(reason) {
+  const lines = [];
+  if (reason.source === 'override') {
+    lines.push(reason.topic ? `You marked this as ${reason.topic}` : 'You chose to hide this video');
+  } else if (reason.matchedTopics && reason.matchedTopics.length > 0) {
+    lines.push(`Matched: ${reason.matchedTopics.join(', ')}`);
+  } else {
+    lines.push('Matched none of your topics');
+  }
+  if (reason.source !== 'override') {
+    let decidedBy = `Decided by: ${BACKEND_NAMES[reason.backend] || 'classifier'}`;
+    if (typeof reason.score === 'number') decidedBy += `, ${Math.round(reason.score * 100)}% confident`;
+    if (reason.source === 'cache') decidedBy += ' (cached)';
+    lines.push(decidedBy);
+  }
+  lines.push(`At: ${new Date(reason.at).toLocaleTimeString()}`);
+  return lines;
+}
@@ -0,0 +1,170 @@
+/**
+ * Deleted Video Placeholders
+ * Optionally collapses each run of consecutive deleted tiles into one slim row, e.g.
+ * "3 videos filtered (politics, gossip) — expand", instead of leaving a silent gap in the grid.
+ * Expanding shows the tiles again as they are; nothing is reclassified.
+ */
+
+export const DELETED_CLASS = 'conscious-youtube-deleted';
+const PLACEHOLDER_CLASS = 'conscious-youtube-placeholder';
+
+// Video IDs of tiles the user expanded; they stay expanded until the page is re-evaluated
+let expandedVideoIds = new Set();
+
+/**
+ * Add the placeholder styles to the page once
+ */
+function ensurePlaceholderStyles() {
+  if (document.getElementById('conscious-youtube-placeholder-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'conscious-youtube-placeholder-styles';
+  style.textContent = `
+    .${PLACEHOLDER_CLASS} {
+      grid-column: 1 / -1;
+      width: 100%;
+      box-sizing: border-box;
+      margin: 4px 0 12px;
+      padding: 6px 12px;
+      border-radius: 8px;
+      background: rgba(128, 128, 128, 0.12);
+      color: var(--yt-spec-text-secondary, #606060);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+    }
+    .${PLACEHOLDER_CLASS} button {
+      background: none;
+      border: none;
+      padding: 0;
+      color: inherit;
+      font: inherit;
+      text-decoration: underline;
+      cursor: pointer;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Get the element before a tile, skipping placeholders
+ * @param {Element} element - Video tile
+ * @returns {Element|null} Previous sibling
+ */
+function previousTile(element) {
+  let previous = element.previousElementSibling;
+  while (previous && previous.classList.contains(PLACEHOLDER_CLASS)) {
+    previous = previous.previousElementSibling;
+  }
+  return previous;
+}
+
+/**
+ * Group deleted tiles into runs of tiles that are next to each other
+ * @param {Element[]} videoElements - Video tiles in any order, e.g. selector by selector; tiles that are not
+ *   deleted are skipped
+ * @returns {Element[][]} Runs of deleted tiles
+ */
+function findDeletedRuns(videoElements) {
+  const ordered = videoElements
+    .filter(element => element.classList.contains(DELETED_CLASS))
+    .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+  const runs = [];
+  let run = [];
+  for (const element of ordered) {
+    if (run.length > 0 && previousTile(element) !== run[run.length - 1]) {
+      runs.push(run);
+      run = [];
+    }
+    run.push(element);
+  }
+  if (run.length > 0) runs.push(run);
+  return runs;
+}
+
+/**
+ * Build the placeholder text, e.g. "3 videos filtered (politics, gossip)"
+ * @param {number} count - Number of tiles in the run
+ * @param {string[]} topics - Topics the tiles were filtered for
+ * @returns {string} Summary text
+ */
+export function describeDeletedRun(count, topics) {
+  const summary = `${count} video${count === 1 ? '' : 's'} filtered`;
+  const unique = [...new Set(topics.filter(Boolean))];
+  return unique.length > 0 ? `${summary} (${unique.join(', ')})` : summary;
+}
+
+/**
+ * Render one placeholder for a run, reusing the one already in front of it
+ * @param {Element[]} run - Deleted tiles
+ * @param {Function} describeVideo - Returns {videoId, topic} for a tile
+ * @returns {HTMLElement} Placeholder element
+ */
+function renderPlaceholder(run, describeVideo) {
+  const previous = run[0].previousElementSibling;
+  const placeholder = previous && previous.classList.contains(PLACEHOLDER_CLASS)
+    ? previous
+    : document.createElement('div');
+  placeholder.className = PLACEHOLDER_CLASS;
+
+  const videos = run.map(describeVideo);
+  const videoIds = videos.map(({ videoId }) => videoId).filter(Boolean);
+  const expanded = videoIds.some(videoId => expandedVideoIds.has(videoId));
+  for (const element of run) {
+    element.style.display = expanded ? '' : 'none';
+  }
+
+  placeholder.textContent = `${describeDeletedRun(run.length, videos.map(({ topic }) => topic))} — `;
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.textContent = expanded ? 'collapse' : 'expand';
+  toggle.setAttribute('aria-expanded', String(expanded));
+  toggle.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    for (const videoId of videoIds) {
+      if (expanded) {
+        expandedVideoIds.delete(videoId);
+      } else {
+        expandedVideoIds.add(videoId);
+      }
+    }
+    renderPlaceholder(run, describeVideo);
+  });
+  placeholder.appendChild(toggle);
+
+  if (placeholder !== previous) run[0].before(placeholder);
+  return placeholder;
+}
+
+/**
+ * Bring the placeholders in line with the deleted tiles on the page
+ * @param {Element[]} videoElements - Video tiles; at least every deleted one
+ * @param {Function} describeVideo - Returns {videoId, topic} for a tile
+ */
+export function updateDeletedPlaceholders(videoElements, describeVideo) {
+  ensurePlaceholderStyles();
+  const current = new Set(findDeletedRuns(videoElements).map(run => renderPlaceholder(run, describeVideo)));
+  for (const placeholder of document.querySelectorAll(`.${PLACEHOLDER_CLASS}`)) {
+    if (!current.has(placeholder)) placeholder.remove();
+  }
+}
+
+/**
+ * Remove every placeholder and hide expanded tiles again, e.g. when placeholders are turned off
+ * @param {Element[]} videoElements - Video tiles
+ */
+export function removeDeletedPlaceholders(videoElements) {
+  expandedVideoIds = new Set();
+  for (const placeholder of document.querySelectorAll(`.${PLACEHOLDER_CLASS}`)) {
+    placeholder.remove();
+  }
+  for (const element of videoElements) {
+    if (element.classList.contains(DELETED_CLASS)) element.style.display = 'none';
+  }
+}
+
+/**
+ * Collapse every expanded run, e.g. when the page is re-evaluated
+ */
+export function collapseDeletedPlaceholders() {
+  expandedVideoIds = new Set();
+}
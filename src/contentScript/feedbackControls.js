@@ -0,0 +1,120 @@
+/**
+ * Feedback Controls
+ * Per-tile controls for correcting the classifier from the page:
+ * "Hide this" on visible tiles (shown on hover) and "Not this topic" on filtered ones.
+ */
+
+const HIDE_THIS_CLASS = 'conscious-youtube-feedback';
+const JUST_THIS_VIDEO = '__video__';
+
+/**
+ * Add the feedback styles to the page once
+ */
+function ensureFeedbackStyles() {
+  if (document.getElementById('conscious-youtube-feedback-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'conscious-youtube-feedback-styles';
+  style.textContent = `
+    .${HIDE_THIS_CLASS} {
+      position: absolute;
+      top: 8px;
+      right: 8px;
+      z-index: 1001;
+      opacity: 0;
+      transition: opacity 0.15s;
+    }
+    *:hover > .${HIDE_THIS_CLASS}, .${HIDE_THIS_CLASS}:focus-within {
+      opacity: 1;
+    }
+    .${HIDE_THIS_CLASS} select, .conscious-youtube-feedback-btn {
+      background: rgba(15, 15, 15, 0.85);
+      color: white;
+      border: none;
+      border-radius: 12px;
+      padding: 4px 8px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 11px;
+      cursor: pointer;
+      pointer-events: auto;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Keep a click on a control from reaching the tile's link
+ * @param {Event} event - Click event
+ */
+function stopTileClick(event) {
+  event.preventDefault();
+  event.stopPropagation();
+}
+
+/**
+ * Create a small feedback button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Called when the button is clicked
+ * @returns {HTMLButtonElement} Button element
+ */
+export function createFeedbackButton(label, onClick) {
+  ensureFeedbackStyles();
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'conscious-youtube-feedback-btn';
+  button.textContent = label;
+  button.addEventListener('click', (event) => {
+    stopTileClick(event);
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Add the hover "Hide this" control to a visible tile.
+ * With topics to choose from it is a selector, so the correction can be labelled with a topic.
+ * @param {Element} videoElement - Video tile
+ * @param {string[]} topics - Excluded topics the video can be hidden as
+ * @param {Function} onHide - Called with the chosen topic, or null for just this video
+ */
+export function addHideThisControl(videoElement, topics, onHide) {
+  ensureFeedbackStyles();
+  removeHideThisControl(videoElement);
+
+  const container = document.createElement('div');
+  container.className = HIDE_THIS_CLASS;
+  if (topics.length === 0) {
+    container.appendChild(createFeedbackButton('Hide this', () => onHide(null)));
+  } else {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Hide this video');
+    const options = [
+      { value: '', label: 'Hide this…' },
+      ...topics.map(topic => ({ value: topic, label: `As ${topic}` })),
+      { value: JUST_THIS_VIDEO, label: 'Just this video' }
+    ];
+    for (const { value, label } of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    select.addEventListener('click', event => event.stopPropagation());
+    select.addEventListener('change', () => {
+      if (!select.value) return;
+      onHide(select.value === JUST_THIS_VIDEO ? null : select.value);
+    });
+    container.appendChild(select);
+  }
+
+  videoElement.style.position = 'relative';
+  videoElement.appendChild(container);
+}
+
+/**
+ * Remove the "Hide this" control from a tile
+ * @param {Element} videoElement - Video tile
+ */
+export function removeHideThisControl(videoElement) {
+  const existing = videoElement.querySelector(`:scope > .${HIDE_THIS_CLASS}`);
+  if (existing) existing.remove();
+}
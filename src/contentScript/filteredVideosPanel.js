@@ -0,0 +1,161 @@
+/**
+ * Filtered Videos Panel
+ * A small in-page panel listing every filtered video on the page with the reason it was filtered.
+ * Deleted videos leave no tile behind, so this is where they can be audited and corrected.
+ */
+
+import { describeDecisionReason } from './decisionReasons.js';
+
+const PANEL_ID = 'conscious-youtube-filtered-panel';
+const TOGGLE_ID = 'conscious-youtube-filtered-toggle';
+const ACTION_WORDS = { hide: 'Deactivated', delete: 'Deleted', blur: 'Blurred', mark: 'Marked' };
+
+let isOpen = false;
+let lastReasons = [];
+let lastOnCorrect = null;
+
+/**
+ * Add the panel styles to the page once
+ */
+function ensurePanelStyles() {
+  if (document.getElementById('conscious-youtube-filtered-panel-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'conscious-youtube-filtered-panel-styles';
+  style.textContent = `
+    #${TOGGLE_ID}, #${PANEL_ID} {
+      position: fixed;
+      left: 16px;
+      z-index: 10001;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: white;
+      background: rgba(15, 15, 15, 0.92);
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    }
+    #${TOGGLE_ID} {
+      bottom: 16px;
+      border: none;
+      border-radius: 16px;
+      padding: 6px 12px;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    #${PANEL_ID} {
+      bottom: 56px;
+      width: 340px;
+      max-height: 60vh;
+      overflow-y: auto;
+      border-radius: 8px;
+      padding: 8px;
+      font-size: 12px;
+    }
+    #${PANEL_ID} .conscious-youtube-filtered-item {
+      padding: 6px 4px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.15);
+    }
+    #${PANEL_ID} .conscious-youtube-filtered-title {
+      font-weight: 600;
+      margin-bottom: 2px;
+    }
+    #${PANEL_ID} .conscious-youtube-filtered-detail {
+      color: rgba(255, 255, 255, 0.75);
+    }
+    #${PANEL_ID} button {
+      margin-top: 4px;
+      background: rgba(255, 255, 255, 0.9);
+      color: #0f0f0f;
+      border: none;
+      border-radius: 12px;
+      padding: 2px 8px;
+      font-size: 11px;
+      cursor: pointer;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Render one filtered video
+ * @param {Object} reason - Recorded decision reason
+ * @param {Function|null} onCorrect - Called with the reason when the user corrects the decision
+ * @returns {HTMLElement} List item
+ */
+function renderItem(reason, onCorrect) {
+  const item = document.createElement('div');
+  item.className = 'conscious-youtube-filtered-item';
+
+  const title = document.createElement('div');
+  title.className = 'conscious-youtube-filtered-title';
+  title.textContent = `${ACTION_WORDS[reason.action] || 'Filtered'}: ${reason.title || reason.videoId}`;
+  item.appendChild(title);
+
+  for (const line of describeDecisionReason(reason)) {
+    const detail = document.createElement('div');
+    detail.className = 'conscious-youtube-filtered-detail';
+    detail.textContent = line;
+    item.appendChild(detail);
+  }
+
+  if (onCorrect) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = reason.topic ? 'Not this topic' : 'Show this';
+    button.addEventListener('click', () => onCorrect(reason));
+    item.appendChild(button);
+  }
+  return item;
+}
+
+/**
+ * Render the panel contents, if it is open
+ */
+function renderPanel() {
+  const existing = document.getElementById(PANEL_ID);
+  if (!isOpen || lastReasons.length === 0) {
+    if (existing) existing.remove();
+    return;
+  }
+  const panel = existing || document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Filtered videos');
+  panel.textContent = '';
+  for (const reason of lastReasons) {
+    panel.appendChild(renderItem(reason, lastOnCorrect));
+  }
+  if (!existing) document.body.appendChild(panel);
+}
+
+/**
+ * Show the filtered videos count and keep the open panel up to date
+ * @param {Array<Object>} reasons - Reasons of the filtered videos, most recent first
+ * @param {Function|null} [onCorrect=null] - Called with a reason when the user corrects it
+ */
+export function updateFilteredVideosPanel(reasons, onCorrect = null) {
+  lastReasons = reasons;
+  lastOnCorrect = onCorrect;
+
+  let toggle = document.getElementById(TOGGLE_ID);
+  if (reasons.length === 0) {
+    if (toggle) toggle.remove();
+    isOpen = false;
+    renderPanel();
+    return;
+  }
+
+  ensurePanelStyles();
+  if (!toggle) {
+    toggle = document.createElement('button');
+    toggle.id = TOGGLE_ID;
+    toggle.type = 'button';
+    toggle.addEventListener('click', () => {
+      isOpen = !isOpen;
+      toggle.setAttribute('aria-expanded', String(isOpen));
+      renderPanel();
+    });
+    document.body.appendChild(toggle);
+  }
+  toggle.textContent = `${reasons.length} filtered video${reasons.length === 1 ? '' : 's'} — why?`;
+  toggle.setAttribute('aria-expanded', String(isOpen));
+  renderPanel();
+}
@@ -4,136 +4,224 @@
  */
 
 import logger from '../logger.js';
-import { createSharedMutationObserver } from './mutationObserverUtils.js';
 import { showVideoToast } from './toastUtils.js';
-import { batchClassifyVideoContexts } from './classificationUtils.js';
+import {
+  batchClassifyVideoContexts, buildClassificationDecision, DEFAULT_CONFIDENCE_THRESHOLD
+} from './classificationUtils.js';
+import { resolveClassifierOrder } from './textClassifier.js';
+import {
+  parseVideoTile, extractVideoTitle, extractChannelName, extractVideoContext, extractVideoId
+} from './videoTileParser.js';
+import {
+  computeTopicFingerprint, loadClassificationCache,
+  getCachedClassification, setCachedClassification, FALLBACK_CACHE_TTL_MS
+} from './classificationCache.js';
+import {
+  normalizeTopicEntry, normalizeTopicEntries, getTopicNames, isTopicActive, getNextSnoozeEnd,
+  getClassifierTopicDetails, MAX_EXAMPLES
+} from '../topics.js';
+import {
+  VIDEO_OVERRIDES_KEY, LABELLED_EXAMPLES_KEY, USE_LABELLED_EXAMPLES_KEY, getLabelledTitles, recordVideoFeedback
+} from '../videoFeedback.js';
+import { createFeedbackButton, addHideThisControl, removeHideThisControl } from './feedbackControls.js';
+import {
+  recordDecisionReason, clearDecisionReason, clearDecisionReasons, getDecisionReason, getDecisionReasons,
+  describeDecisionReason
+} from './decisionReasons.js';
+import { updateFilteredVideosPanel } from './filteredVideosPanel.js';
+import { createClassificationQueue } from './classificationQueue.js';
+import { getPageType } from './navigationService.js';
+import { getPageSelectors, queryAllTracked, getSelectorHealth, getSelectorStats, resetSelectorStats } from './selectorRegistry.js';
+import { PAGE_POLICY_KEYS, normalizePagePolicySettings, getPagePolicy } from './pagePolicy.js';
+import {
+  DELETED_CLASS, updateDeletedPlaceholders, removeDeletedPlaceholders, collapseDeletedPlaceholders
+} from './deletedPlaceholders.js';
+import {
+  PENDING_MASK_KEY, normalizePendingMaskSettings, maskPendingVideos, unmaskVideo, failPendingVideo, resetPendingMasks
+} from './pendingMask.js';
 
 // Configuration
-const SCAN_INTERVAL = 5000; // Scan every 5 seconds
+const RETRY_DELAY = 5000; // Retry videos whose classification failed after 5 seconds
 const DEBOUNCE_DELAY = 250; // Debounce DOM changes
+const EXAMPLES_RELOAD_DELAY = 60 * 1000; // New labelled examples are picked up at most once a minute
 
 // State management
 let excludedTopics = [];
-let isScanning = false;
+let topicActions = new Map(); // Excluded topic name -> its own action, for topics that override videoAction
+let topicDetails = {}; // Excluded topic name -> description and example titles sent to the classifier
+let videoOverrides = {}; // Video ID -> the user's correction, applied before classification
+let useLabelledExamples = false; // Whether corrections join the topics' example titles
+let examplesReloadTimeout = null; // Reloads settings once new labelled examples settle
+let snoozeTimeout = null; // Reloads settings when the next snoozed topic becomes active again
+let allowTopics = []; // Topics that are always shown, even when they match an excluded topic
+let intentTopics = []; // Include-only mode: the only topics that are shown
+let filterMode = 'exclude'; // 'exclude' hides matching videos, 'include' hides everything not matching
+let topicFingerprint = computeTopicFingerprint([]); // Identifies the topic set cached results belong to
 let scanTimeout = null;
+let retryTimeout = null; // Requeues videos whose classification failed
+let retryVideos = new Set(); // Tiles of every failed batch, waiting for the retry
+let scanScheduler = null; // Shared scheduler that hands this component the tiles added to the page
 let textClassifier = null; // Injected text classifier instance (dependency injection)
 let processedVideos = new WeakSet(); // Track processed video elements to avoid duplicates
-let videoAction = 'delete'; // 'hide' or 'delete'
+let decidedVideos = new Map(); // Video ID -> tiles a decision was applied to on this page, so tiles are found without a query
+const classificationQueue = createClassificationQueue(classifyQueuedVideos); // Tiles near the viewport first
+let videoAction = 'delete'; // 'hide', 'delete' or 'blur'
+let showDeletedPlaceholders = false; // Collapse runs of deleted tiles into one slim row instead of a gap
+let placeholdersShown = false; // Whether placeholders may be on the page and need removing once turned off
+let pendingMask = normalizePendingMaskSettings(); // Masks new tiles until they are classified
+let revealedVideoIds = new Set(); // Filtered videos the user chose to show anyway on this page
+let confidenceThreshold = DEFAULT_CONFIDENCE_THRESHOLD; // Minimum score for a scored match to count
+let pagePolicies = normalizePagePolicySettings(); // How each page type is filtered, e.g. search results
 
 /**
- * Get excluded topics and video action from storage
+ * Pick the stored classifier settings that change classification results,
+ * so cached results are not reused after the classifier setup changes
+ * @param {Object} settings - Values read from storage
+ * @returns {Object} - Classifier configuration included in the cache fingerprint
  */
-async function loadSettings() {
-  try {
-    const result = await chrome.storage.local.get(['topics', 'videoAction']);
-    excludedTopics = result.topics || [];
-    videoAction = result.videoAction || 'delete';
-  } catch (error) {
-    logger.error('Failed to load settings:', error);
+function getClassifierConfig(settings) {
+  const order = resolveClassifierOrder(settings);
+  const config = { order };
+  if (order.includes('llm')) {
+    const { provider, modelName } = settings.llmSettings || {};
+    config.llm = { provider: provider || '', modelName: modelName || '' };
   }
+  if (order.includes('server')) {
+    const { provider, modelName } = settings.serverSettings || {};
+    config.server = { provider: provider || '', modelName: modelName || '' };
+  }
+  if (order.includes('rules')) {
+    config.rules = settings.topicRules || {};
+    config.options = settings.ruleClassifierOptions || {};
+  }
+  return config;
 }
 
 /**
- * Extract video title from a YouTube video tile
- * @param {Element} videoElement - The video tile element
- * @returns {string|null} - Video title or null if not found
+ * Get the topics videos are classified against in the current filter mode.
+ * In include-only mode always-shown topics simply count as extra intent topics.
+ * @returns {string[]} - Topics to send to the classifier
  */
-function extractVideoTitle(videoElement) {
-  try {
-    // Look for title in various possible selectors
-    const titleSelectors = [
-      'h3.yt-lockup-metadata-view-model-wiz__heading-reset',
-      '#video-title',
-      'a[title]',
-      'h3 a',
-      '.title'
-    ];
-
-    for (const selector of titleSelectors) {
-      const titleElement = videoElement.querySelector(selector);
-      if (titleElement) {
-        const title = titleElement.getAttribute('title') || 
-                     titleElement.textContent || 
-                     titleElement.getAttribute('aria-label');
-        if (title && title.trim()) {
-          return title.trim();
-        }
-      }
-    }
-    return null;
-  } catch (error) {
-    logger.error('Error extracting video title:', error);
-    return null;
-  }
+function getClassifiedTopics() {
+  const topics = filterMode === 'include' ? intentTopics : excludedTopics;
+  return [...topics, ...allowTopics.filter(topic => !topics.includes(topic))];
 }
 
 /**
- * Extract channel name from a YouTube video tile
- * @param {Element} videoElement - The video tile element
- * @returns {string|null} - Channel name or null if not found
+ * Whether the current filter mode has any topics to filter by
+ * @returns {boolean}
  */
-function extractChannelName(videoElement) {
-  try {
-    // Look for channel name in various possible selectors
-    const channelSelectors = [
-      'ytd-channel-name a',
-      '.ytd-channel-name a',
-      'a[href*="/channel/"]',
-      'a[href*="/@"]',
-      '.ytd-video-meta-block a',
-      '.ytd-video-meta-block yt-formatted-string',
-      '.ytd-channel-name yt-formatted-string',
-      '.ytd-video-meta-block .ytd-channel-name',
-      'ytd-video-meta-block ytd-channel-name a',
-      'ytd-video-meta-block ytd-channel-name yt-formatted-string'
-    ];
-
-    for (const selector of channelSelectors) {
-      const channelElement = videoElement.querySelector(selector);
-      if (channelElement) {
-        const channelName = channelElement.textContent || 
-                           channelElement.getAttribute('title') ||
-                           channelElement.getAttribute('aria-label');
-        if (channelName && channelName.trim()) {
-          return channelName.trim();
-        }
-      }
-    }
-    return null;
-  } catch (error) {
-    logger.error('Error extracting channel name:', error);
-    return null;
+function isFilterActive() {
+  return filterMode === 'include' ? intentTopics.length > 0 : excludedTopics.length > 0;
+}
+
+/**
+ * Decide whether a classified video is filtered out in the current filter mode
+ * @param {{matchedTopics: string[], scores?: (number|null)[]}} classification - Classifier matches
+ * @returns {{hide: boolean, topic: string|null, matchedTopics: string[], score: number|null, backend: string|null}}
+ *   Whether to hide the video, the excluded topic it matched, and what explains the decision
+ */
+function decideClassification(classification) {
+  if (filterMode === 'include') {
+    // Inverted: anything that matches none of the intent topics is hidden
+    const decision = buildClassificationDecision(classification, confidenceThreshold);
+    return { hide: !decision.hide, topic: null, matchedTopics: [], score: null, backend: decision.backend };
   }
+  const decision = buildClassificationDecision(classification, confidenceThreshold, allowTopics);
+  return {
+    hide: decision.hide,
+    topic: decision.matchedTopics[0] || null,
+    matchedTopics: decision.matchedTopics,
+    score: decision.score,
+    backend: decision.backend
+  };
+}
+
+/**
+ * Reload settings once the earliest snooze ends, so the topic is filtered again without a page reload
+ * @param {number|null} snoozeEnd - Timestamp in ms, or null if no topic is snoozed
+ * @param {number} now - Current time in ms
+ */
+function scheduleSnoozeEnd(snoozeEnd, now) {
+  clearTimeout(snoozeTimeout);
+  snoozeTimeout = null;
+  if (snoozeEnd === null) return;
+  // setTimeout overflows above 2^31-1 ms; the reload simply schedules the next check
+  const delay = Math.min(snoozeEnd - now, 2 ** 31 - 1);
+  snoozeTimeout = setTimeout(reloadSettingsAndRescan, delay);
+}
+
+/**
+ * Reload settings and re-evaluate every video on the page
+ */
+function reloadSettingsAndRescan() {
+  loadSettings().then(async () => {
+    // Clear processed videos cache to re-evaluate with new settings
+    clearProcessedVideosCache();
+    logger.info('Settings changed, clearing video cache for re-evaluation');
+    // The page policy may have changed, so the page may now be filtered or no longer be
+    const pageType = getPageType(window.location.href);
+    armForPage(pageType);
+    if (getPagePolicy(pageType, pagePolicies) === 'off') releaseVideos(pageType);
+    // Re-scan when settings change
+    debouncedScan();
+  });
 }
 
 /**
- * Extract combined video context (title + channel name) for better classification accuracy
- * @param {Element} videoElement - The video tile element
- * @returns {string|null} - Combined video context or null if neither found
+ * Get topics, filter mode and video action from storage
  */
-function extractVideoContext(videoElement) {
+async function loadSettings() {
   try {
-    const title = extractVideoTitle(videoElement);
-    const channelName = extractChannelName(videoElement);
-    
-    if (!title && !channelName) {
-      return null;
+    const result = await chrome.storage.local.get([
+      'topics', 'videoAction', 'classifierOrder', 'classifierBackend', 'topicRules', 'ruleClassifierOptions',
+      'serverSettings', 'llmSettings', 'confidenceThreshold', 'allowTopics', 'intentTopics', 'filterMode',
+      'deletedPlaceholders', PENDING_MASK_KEY, VIDEO_OVERRIDES_KEY, LABELLED_EXAMPLES_KEY, USE_LABELLED_EXAMPLES_KEY,
+      ...PAGE_POLICY_KEYS
+    ]);
+    // Topics may still be plain strings if the service worker has not migrated them yet.
+    // Disabled and snoozed topics are not classified at all.
+    const topicEntries = normalizeTopicEntries(result.topics);
+    const now = Date.now();
+    const activeEntries = topicEntries.filter(entry => isTopicActive(entry, now));
+    excludedTopics = getTopicNames(activeEntries);
+    videoOverrides = result[VIDEO_OVERRIDES_KEY] || {};
+    // Corrections made on the page can join the topic's own examples (the topic's own come first)
+    useLabelledExamples = !!result[USE_LABELLED_EXAMPLES_KEY];
+    const labelledExamples = useLabelledExamples ? result[LABELLED_EXAMPLES_KEY] || [] : [];
+    topicDetails = {};
+    for (const entry of activeEntries) {
+      const details = getClassifierTopicDetails(normalizeTopicEntry({
+        ...entry,
+        positiveExamples: [...entry.positiveExamples, ...getLabelledTitles(labelledExamples, entry.name, 'positive', MAX_EXAMPLES)],
+        negativeExamples: [...entry.negativeExamples, ...getLabelledTitles(labelledExamples, entry.name, 'negative', MAX_EXAMPLES)]
+      }));
+      if (Object.keys(details).length > 0) topicDetails[entry.name] = details;
     }
-    
-    if (title && channelName) {
-      return `${title} - ${channelName}`;
-    } else if (title) {
-      return title;
-    } else {
-      return channelName;
+    scheduleSnoozeEnd(getNextSnoozeEnd(topicEntries, now), now);
+    topicActions = new Map(topicEntries.filter(entry => entry.action).map(entry => [entry.name, entry.action]));
+    allowTopics = result.allowTopics || [];
+    intentTopics = result.intentTopics || [];
+    filterMode = result.filterMode === 'include' ? 'include' : 'exclude';
+    // Cached results record which topics matched, so moving a topic between the lists needs no new fingerprint
+    // Topic details change what the classifiers match, so they are part of the fingerprint
+    const classifierConfig = getClassifierConfig(result);
+    if (filterMode === 'exclude' && Object.keys(topicDetails).length > 0) {
+      classifierConfig.topicDetails = topicDetails;
     }
+    topicFingerprint = computeTopicFingerprint(getClassifiedTopics(), classifierConfig);
+    videoAction = result.videoAction || 'delete';
+    showDeletedPlaceholders = !!result.deletedPlaceholders;
+    pendingMask = normalizePendingMaskSettings(result[PENDING_MASK_KEY]);
+    pagePolicies = normalizePagePolicySettings(result);
+    confidenceThreshold = typeof result.confidenceThreshold === 'number'
+      ? result.confidenceThreshold
+      : DEFAULT_CONFIDENCE_THRESHOLD;
   } catch (error) {
-    logger.error('Error extracting video context:', error);
-    return null;
+    logger.error('Failed to load settings:', error);
   }
 }
 
-
 /**
  * Hide a video element by reducing opacity and disabling interactions
  * @param {Element} videoElement - The video element to hide
@@ -159,7 +247,8 @@ function hideVideo(videoElement) {
       border-radius: 3px;
       font-size: 10px;
       z-index: 1000;
-      pointer-events: none;
+      pointer-events: auto;
+      cursor: help;
     `;
     videoElement.style.position = 'relative';
     videoElement.appendChild(indicator);
@@ -183,6 +272,9 @@ function showVideo(videoElement) {
     const indicator = videoElement.querySelector('.conscious-youtube-indicator');
     if (indicator) indicator.remove();
   }
+  unblurVideo(videoElement);
+  unmarkVideo(videoElement);
+  if (videoElement) videoElement.classList.remove(DELETED_CLASS);
   // Show the video if it's currently hidden with display: none
   if (videoElement && videoElement.style.display === 'none') {
     videoElement.style.removeProperty('display');
@@ -194,6 +286,12 @@ function showVideo(videoElement) {
  */
 function clearProcessedVideosCache() {
   processedVideos = new WeakSet();
+  // Every video is re-evaluated, which records its reason again
+  clearDecisionReasons();
+  collapseDeletedPlaceholders();
+  resetPendingMasks();
+  // Queued tiles belong to the old page or settings; their results are discarded
+  classificationQueue.cancel();
   logger.info('Cleared processed videos cache');
 }
 
@@ -204,111 +302,665 @@ function clearProcessedVideosCache() {
  */
 function deleteVideo(videoElement) {
   if (videoElement && videoElement.parentNode) {
+    videoElement.classList.add(DELETED_CLASS);
     videoElement.style.display = 'none';
     logger.info('Hidden video element');
   }
 }
 
 /**
- * Get video selectors for the current page type
+ * Add the blur styles to the page once.
+ * Every child of a blurred tile except the overlay is blurred, which covers the thumbnail and title.
+ */
+function ensureBlurStyles() {
+  if (document.getElementById('conscious-youtube-blur-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'conscious-youtube-blur-styles';
+  style.textContent = `
+    .conscious-youtube-blurred > :not(.conscious-youtube-blur-overlay) {
+      filter: blur(12px);
+      pointer-events: none;
+      user-select: none;
+    }
+    .conscious-youtube-blur-overlay {
+      position: absolute;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 8px;
+      padding: 8px;
+      text-align: center;
+      background: rgba(0, 0, 0, 0.45);
+      color: white;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      border-radius: 12px;
+      z-index: 1000;
+    }
+    .conscious-youtube-blur-overlay button {
+      background: rgba(255, 255, 255, 0.9);
+      color: #0f0f0f;
+      border: none;
+      border-radius: 16px;
+      padding: 6px 12px;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Blur a video element and overlay the reason with a "Show anyway" button
+ * @param {Element} videoElement - The video element to blur
+ * @param {string|null} topic - Topic that caused the video to be filtered
  */
-function getVideoSelectorsForPage() {
-  const url = window.location.href;
-  if (/youtube\.com\/(results|search)/.test(url)) {
-    // Search page - skip video processing
-    logger.debug('Search results page detected - skipping video processing');
+function blurVideo(videoElement, topic) {
+  if (!videoElement) return;
+  const videoId = extractVideoId(videoElement);
+  if (videoId && revealedVideoIds.has(videoId)) return;
+
+  ensureBlurStyles();
+  const existingOverlay = videoElement.querySelector(':scope > .conscious-youtube-blur-overlay');
+  if (existingOverlay) existingOverlay.remove();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'conscious-youtube-blur-overlay';
+  const label = document.createElement('div');
+  label.textContent = topic ? `Filtered: ${topic}` : 'Filtered: not in your topics';
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = 'Show anyway';
+  button.addEventListener('click', (event) => {
+    // The overlay sits inside the tile's link area, so keep the click from opening the video
+    event.preventDefault();
+    event.stopPropagation();
+    revealVideo(videoElement);
+  });
+  overlay.appendChild(label);
+  overlay.appendChild(button);
+
+  videoElement.classList.add('conscious-youtube-blurred');
+  videoElement.style.position = 'relative';
+  videoElement.appendChild(overlay);
+}
+
+/**
+ * Remove the blur and overlay from a video element
+ * @param {Element} videoElement - The video element to unblur
+ */
+function unblurVideo(videoElement) {
+  if (!videoElement || !videoElement.classList.contains('conscious-youtube-blurred')) return;
+  videoElement.classList.remove('conscious-youtube-blurred');
+  const overlay = videoElement.querySelector(':scope > .conscious-youtube-blur-overlay');
+  if (overlay) overlay.remove();
+}
+
+/**
+ * Mark a video element with a badge naming the matched topic, leaving it visible and clickable.
+ * Used on pages whose policy is to mark matches only, such as search results.
+ * @param {Element} videoElement - The video element to mark
+ * @param {string|null} topic - Topic that caused the video to be filtered
+ */
+function markVideo(videoElement, topic) {
+  if (!videoElement || videoElement.classList.contains('conscious-youtube-marked')) return;
+  const badge = document.createElement('div');
+  badge.className = 'conscious-youtube-mark';
+  badge.textContent = topic ? `Matches: ${topic}` : 'Not in your topics';
+  badge.style.cssText = `
+    position: absolute;
+    top: 5px;
+    left: 5px;
+    background: rgba(255, 153, 0, 1.0);
+    color: black;
+    padding: 2px 6px;
+    border-radius: 3px;
+    font-size: 10px;
+    z-index: 1000;
+    pointer-events: auto;
+    cursor: help;
+  `;
+  videoElement.classList.add('conscious-youtube-marked');
+  videoElement.style.position = 'relative';
+  videoElement.appendChild(badge);
+}
+
+/**
+ * Remove the badge from a marked video element
+ * @param {Element} videoElement - The video element to unmark
+ */
+function unmarkVideo(videoElement) {
+  if (!videoElement || !videoElement.classList.contains('conscious-youtube-marked')) return;
+  videoElement.classList.remove('conscious-youtube-marked');
+  const badge = videoElement.querySelector(':scope > .conscious-youtube-mark');
+  if (badge) badge.remove();
+}
+
+/**
+ * Get how a page type is filtered
+ * @param {string} [pageType] - Page type from getPageType(); defaults to the current page
+ * @returns {string} - 'off', 'mark' or 'filter'
+ */
+function getCurrentPagePolicy(pageType = getPageType(window.location.href)) {
+  return getPagePolicy(pageType, pagePolicies);
+}
+
+/**
+ * Get video selectors for a page type
+ * @param {string} [pageType] - Page type from getPageType(); defaults to the current page
+ * @returns {string[]} - Tile selectors, empty on pages that are not filtered
+ */
+function getVideoSelectorsForPage(pageType = getPageType(window.location.href)) {
+  if (getCurrentPagePolicy(pageType) === 'off') {
+    logger.debug(`Filtering is off on ${pageType} pages - skipping video processing`);
     return [];
-  } else if (/youtube\.com\/watch/.test(url)) {
-    // Watch/view page
-    return ['ytm-shorts-lockup-view-model-v2', 'yt-lockup-view-model'];
+  }
+  const { tiles } = getPageSelectors(pageType);
+  if (tiles.length === 0) {
+    logger.debug(`No video selectors for ${pageType} pages - skipping video processing`);
+  }
+  return tiles;
+}
+
+/**
+ * Undo every decision on a page that is no longer filtered
+ * @param {string} pageType - Page type from getPageType()
+ */
+function releaseVideos(pageType) {
+  const videoElements = queryAllTracked(getPageSelectors(pageType).tiles);
+  for (const videoElement of videoElements) {
+    unmaskVideo(videoElement);
+    showVideo(videoElement);
+    removeHideThisControl(videoElement);
+  }
+  removeDeletedPlaceholders(videoElements);
+  refreshFilteredVideoViews();
+}
+
+/**
+ * Find all video containers for the current page type
+ * @returns {Element[]} - Video tile elements
+ */
+function findVideoElements() {
+  return queryAllTracked(getVideoSelectorsForPage());
+}
+
+/**
+ * Check whether the selectors still find the tiles on this page, and log the selector counts if not
+ * @returns {Object} - Health from getSelectorHealth()
+ */
+function checkSelectorHealth() {
+  const pageType = getPageType(window.location.href);
+  const health = getSelectorHealth(pageType);
+  if (getCurrentPagePolicy(pageType) === 'off') {
+    return { ...health, broken: false, reason: null }; // Nothing is filtered on this page
+  }
+  if (health.broken) {
+    logger.warn(`Filtering may be broken on this page: ${health.reason}`, getSelectorStats());
+  }
+  return health;
+}
+
+/**
+ * Apply a hide/show decision to a video element using the matched topic's action,
+ * or the configured video action when the topic has none
+ * @param {Element} videoElement - The video element
+ * @param {boolean} shouldHide - Whether the video matched an excluded topic
+ * @param {string|null} [topic] - Topic that caused the video to be filtered, shown by the blur overlay
+ * @param {Object} [reason] - What explains the decision: matchedTopics, score, backend and source
+ *   ('classifier', 'cache' or 'override')
+ * @returns {string|null} - Action applied, or null when the video is shown
+ */
+function applyHideDecision(videoElement, shouldHide, topic = null, reason = {}) {
+  const videoId = extractVideoId(videoElement);
+  if (videoId) {
+    if (!decidedVideos.has(videoId)) decidedVideos.set(videoId, new Set());
+    decidedVideos.get(videoId).add(videoElement);
+  }
+  unmaskVideo(videoElement);
+  if (!shouldHide || (videoId && revealedVideoIds.has(videoId))) {
+    showVideo(videoElement);
+    clearDecisionReason(videoId);
+    addCorrectionControls(videoElement, null, null);
+    return null;
+  }
+  // Mark-only pages leave every video in place; elsewhere the matched topic's own action wins over the global one
+  const action = getCurrentPagePolicy() === 'mark' ? 'mark' : (topic && topicActions.get(topic)) || videoAction;
+  // Clear the effect of a previously configured action before applying the current one
+  showVideo(videoElement);
+  if (action === 'delete') {
+    deleteVideo(videoElement);
+  } else if (action === 'blur') {
+    blurVideo(videoElement, topic);
+  } else if (action === 'mark') {
+    markVideo(videoElement, topic);
   } else {
-    // Homepage (default)
-    return ['ytd-rich-item-renderer'];
+    hideVideo(videoElement);
   }
+  recordDecisionReason(videoId, {
+    title: extractVideoTitle(videoElement) || '',
+    channel: extractChannelName(videoElement) || '',
+    action,
+    topic,
+    matchedTopics: reason.matchedTopics || (topic ? [topic] : []),
+    score: reason.score === undefined ? null : reason.score,
+    backend: reason.backend || null,
+    source: reason.source || 'classifier'
+  });
+  addCorrectionControls(videoElement, action, topic);
+  return action;
 }
 
 /**
- * Scan the page for video elements and process them
+ * Explain on the tile why it was filtered: a tooltip on the hidden indicator, the blur overlay label or the mark badge
+ * @param {Element} videoElement - The filtered video element
+ * @param {string} action - Action applied
+ * @param {Object|null} reason - Recorded decision reason
  */
-async function scanForVideos() {
-  logger.debug('scanForVideos called');
-  if (isScanning) return;
-  isScanning = true;
+function explainOnTile(videoElement, action, reason) {
+  if (!reason) return;
+  const explanation = describeDecisionReason(reason).join('\n');
+  if (action === 'hide') {
+    const indicator = videoElement.querySelector('.conscious-youtube-indicator');
+    if (indicator) indicator.title = explanation;
+  } else if (action === 'blur') {
+    const label = videoElement.querySelector(':scope > .conscious-youtube-blur-overlay > div');
+    if (label) label.title = explanation;
+  } else if (action === 'mark') {
+    const badge = videoElement.querySelector(':scope > .conscious-youtube-mark');
+    if (badge) badge.title = explanation;
+  }
+}
 
-  try {
-    // Find all video containers for the current page type
-    const videoSelectors = getVideoSelectorsForPage();
-    let videoElements = [];
-    for (const selector of videoSelectors) {
-      const elements = document.querySelectorAll(selector);
-      videoElements.push(...Array.from(elements));
-    }
-    logger.debug('videoElements:', videoElements);
-    // Collect unprocessed video elements and their contexts
-    let unprocessed = [];
+/**
+ * Show a filtered video until the page is left, without storing a correction
+ * @param {Element} videoElement - The filtered video element
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=true] - Whether to update the filtered videos views; bulk reveals
+ *   update them once at the end
+ */
+function revealVideo(videoElement, { refresh = true } = {}) {
+  const videoId = extractVideoId(videoElement);
+  if (videoId) revealedVideoIds.add(videoId);
+  applyHideDecision(videoElement, false);
+  if (refresh) refreshFilteredVideoViews();
+}
+
+/**
+ * Find the tile of a video a decision was applied to; deleted tiles are still in the page, just not displayed
+ * @param {string} videoId - YouTube video ID
+ * @returns {Element|null} - Video tile element, or null once YouTube removed the tile or reused it for another video
+ */
+function findVideoElementById(videoId) {
+  for (const videoElement of decidedVideos.get(videoId) || []) {
+    if (videoElement.isConnected && extractVideoId(videoElement) === videoId) return videoElement;
+  }
+  return null;
+}
+
+/**
+ * Get the deleted tiles on the page, dropping tiles YouTube removed meanwhile
+ * @returns {Element[]} - Deleted video tile elements
+ */
+function getDeletedVideoElements() {
+  const deleted = new Set();
+  for (const [videoId, videoElements] of decidedVideos) {
     for (const videoElement of videoElements) {
-      if (processedVideos.has(videoElement)) continue;
-      const context = extractVideoContext(videoElement);
-      if (context) {
-        unprocessed.push({ videoElement, context });
+      if (!videoElement.isConnected) {
+        videoElements.delete(videoElement);
+      } else if (videoElement.classList.contains(DELETED_CLASS)) {
+        deleted.add(videoElement);
       }
     }
+    if (videoElements.size === 0) decidedVideos.delete(videoId);
+  }
+  return [...deleted];
+}
 
-    if (unprocessed.length > 0 && excludedTopics.length > 0 && textClassifier) {
-      logger.debug(`📋 Collected ${unprocessed.length} unprocessed videos:`);
-      logger.debug('unprocessed:', unprocessed);
-      
-      const contexts = unprocessed.map(item => item.context);
-      let hideDecisions = [];
-      
-      try {
-        // Batch classify all video contexts using injected classifier
-        logger.debug('contexts:', contexts);
-        hideDecisions = await batchClassifyVideoContexts(textClassifier, contexts, excludedTopics);
-        logger.debug('hideDecisions:', hideDecisions);
-      } catch (error) {
-        logger.error('Batch classification API failed:', error);
-        // Mark as processed to avoid retry loop
-        for (const { videoElement } of unprocessed) {
-          processedVideos.add(videoElement);
-        }
-        isScanning = false;
-        return;
-      }
-      
-      // Apply hide/show decisions based on classification results
-      let hiddenCount = 0;
-      for (let i = 0; i < unprocessed.length; i++) {
-        const { videoElement, context } = unprocessed[i];
-        const shouldHide = hideDecisions[i];
-        
-        logger.debug(`🎬 Video ${i}: Context="${context}" → Decision=${shouldHide ? 'HIDE' : 'SHOW'}`, { index: i, videoElement });
-        
-        if (shouldHide) {
-          if (videoAction === 'delete') {
-            deleteVideo(videoElement);
-          } else {
-            hideVideo(videoElement);
-          }
-          hiddenCount++;
-        } else {
-          showVideo(videoElement);
-        }
-        processedVideos.add(videoElement);
-      }
-      
-      // Show toast notification if videos were hidden/deleted
-      if (hiddenCount > 0) {
-        const action = videoAction === 'delete' ? 'deleted' : 'hidden';
-        showVideoToast(hiddenCount, action);
-      }
-      
-      logger.info(`Processed ${unprocessed.length} new videos (classification batch)`);
+/**
+ * Describe the filtered videos on this page for the popup
+ * @returns {Array<{videoId: string, title: string, channel: string, topic: string|null, action: string}>}
+ */
+function getFilteredVideos() {
+  return getDecisionReasons().map(({ videoId, title, channel, topic, action }) => ({ videoId, title, channel, topic, action }));
+}
+
+/**
+ * Answer the popup's filtered videos requests
+ * Messages: getFilteredVideos, revealVideo {videoId}, neverHideVideo {videoId} and revealAllVideos;
+ * each responds with the remaining filtered videos and the health of the page's selectors.
+ * @param {Object} message - Message from the popup
+ * @param {MessageSender} sender - Information about the sender
+ * @param {Function} sendResponse - Function to send response back
+ * @returns {boolean} false, the response is sent synchronously
+ */
+function handleMessage(message, sender, sendResponse) {
+  switch (message.action) {
+    case 'getFilteredVideos':
+      break;
+    case 'revealVideo': {
+      const videoElement = findVideoElementById(message.videoId);
+      if (videoElement) revealVideo(videoElement);
+      break;
+    }
+    case 'neverHideVideo': {
+      const reason = getDecisionReason(message.videoId);
+      const videoElement = findVideoElementById(message.videoId);
+      if (videoElement) handleVideoFeedback(videoElement, 'show', reason ? reason.topic : null);
+      break;
+    }
+    case 'revealAllVideos':
+      revealVideosById(getDecisionReasons().map(({ videoId }) => videoId));
+      break;
+    default:
+      return false; // Not a filtered videos message
+  }
+  sendResponse({ success: true, videos: getFilteredVideos(), health: checkSelectorHealth() });
+  return false;
+}
+
+/**
+ * Update the in-page list of filtered videos and their reasons, and the placeholders of deleted videos.
+ * Placeholders are only removed once after they are turned off.
+ */
+function refreshFilteredVideoViews() {
+  updateFilteredVideosPanel(getDecisionReasons(), correctFromPanel);
+  if (showDeletedPlaceholders) {
+    placeholdersShown = true;
+    updateDeletedPlaceholders(getDeletedVideoElements(), (videoElement) => {
+      const videoId = extractVideoId(videoElement);
+      const reason = getDecisionReason(videoId);
+      return { videoId, topic: reason ? reason.topic : null };
+    });
+  } else if (placeholdersShown) {
+    placeholdersShown = false;
+    removeDeletedPlaceholders(getDeletedVideoElements());
+  }
+}
+
+/**
+ * Correct a decision from the filtered videos panel
+ * @param {Object} reason - Reason of the corrected video
+ */
+function correctFromPanel(reason) {
+  const videoElement = findVideoElementById(reason.videoId);
+  if (videoElement) {
+    handleVideoFeedback(videoElement, 'show', reason.topic);
+  }
+}
+
+/**
+ * Add the controls for correcting a decision: "Hide this" on a shown video, "Not this topic"
+ * on the hidden indicator, blur overlay or mark badge. Deleted videos are gone from the page, so they get none.
+ * @param {Element} videoElement - The video element
+ * @param {string|null} action - Action applied, or null when the video is shown
+ * @param {string|null} topic - Topic that caused the video to be filtered
+ */
+function addCorrectionControls(videoElement, action, topic) {
+  const videoId = extractVideoId(videoElement);
+  if (!videoId) return;
+  if (action === null) {
+    const topics = filterMode === 'exclude' ? excludedTopics : [];
+    addHideThisControl(videoElement, topics, chosen => handleVideoFeedback(videoElement, 'hide', chosen));
+    return;
+  }
+  removeHideThisControl(videoElement);
+  const label = topic ? 'Not this topic' : 'Show this';
+  const correct = () => handleVideoFeedback(videoElement, 'show', topic);
+  if (action === 'hide') {
+    const indicator = videoElement.querySelector('.conscious-youtube-indicator');
+    if (indicator) indicator.appendChild(createFeedbackButton(label, correct));
+  } else if (action === 'blur') {
+    const overlay = videoElement.querySelector(':scope > .conscious-youtube-blur-overlay');
+    if (overlay) overlay.appendChild(createFeedbackButton(label, correct));
+  } else if (action === 'mark') {
+    const badge = videoElement.querySelector(':scope > .conscious-youtube-mark');
+    if (badge) badge.appendChild(createFeedbackButton(label, correct));
+  }
+  explainOnTile(videoElement, action, getDecisionReason(videoId));
+}
+
+/**
+ * Apply and store a correction made on the page
+ * @param {Element} videoElement - The corrected video element
+ * @param {string} decision - 'show' or 'hide'
+ * @param {string|null} topic - Topic the correction is about
+ */
+function handleVideoFeedback(videoElement, decision, topic) {
+  const videoId = extractVideoId(videoElement);
+  const title = extractVideoTitle(videoElement) || '';
+  videoOverrides[videoId] = { decision, topic, title, at: Date.now() };
+  revealedVideoIds.delete(videoId);
+  const action = applyHideDecision(videoElement, decision === 'hide', topic, { source: 'override' });
+  if (action) notifyHiddenVideos([{ videoId, action }]);
+  refreshFilteredVideoViews();
+  recordVideoFeedback({ videoId, title, topic, decision }).catch(error => {
+    logger.error('Failed to save video feedback:', error);
+  });
+}
+
+/**
+ * Show a toast for videos hidden/deleted in one pass; its "Show them" button reveals them.
+ * Marked videos are still in plain sight, so they are not counted.
+ * @param {Array<{videoId: string, action: string}>} decisions - Videos filtered and the action applied to each
+ */
+function notifyHiddenVideos(decisions) {
+  const filtered = decisions.filter(({ action }) => action !== 'mark');
+  if (filtered.length > 0) {
+    const words = new Set(filtered.map(({ action }) => ({ delete: 'deleted', blur: 'blurred' }[action] || 'hidden')));
+    showVideoToast(filtered.length, words.size === 1 ? [...words][0] : 'filtered', {
+      videoIds: filtered.map(({ videoId }) => videoId),
+      onShow: revealVideosById
+    });
+  }
+}
+
+/**
+ * Reveal videos, e.g. from the toast's "Show them" button
+ * @param {string[]} videoIds - IDs of the videos to show
+ */
+function revealVideosById(videoIds) {
+  let revealed = false;
+  for (const videoId of videoIds) {
+    const videoElement = findVideoElementById(videoId);
+    if (!videoElement) continue;
+    revealVideo(videoElement, { refresh: false });
+    revealed = true;
+  }
+  if (revealed) refreshFilteredVideoViews();
+}
+
+/**
+ * Apply the user's corrections and cached classification results to unprocessed videos.
+ * Runs synchronously so known results are applied before the browser paints the tiles.
+ * @param {Element[]} [videoElements] - Tiles to check; defaults to every tile on the page
+ * @returns {Array<{videoId: string, action: string}>} - Videos filtered from an override or the cache
+ */
+function applyCachedDecisions(videoElements = findVideoElements()) {
+  const filtered = [];
+  for (const videoElement of videoElements) {
+    if (processedVideos.has(videoElement)) continue;
+    const videoId = extractVideoId(videoElement);
+
+    // A correction made on the page wins over any classification
+    const override = videoId ? videoOverrides[videoId] : null;
+    if (override) {
+      const action = applyHideDecision(videoElement, override.decision === 'hide', override.topic, { source: 'override' });
+      processedVideos.add(videoElement);
+      if (action) filtered.push({ videoId, action });
+      continue;
     }
+
+    if (!isFilterActive()) continue;
+    const cached = getCachedClassification(videoId, topicFingerprint);
+    if (!cached) continue;
+
+    // Cached results keep raw scores, so a new threshold applies without reclassifying
+    const { hide, topic, ...explanation } = decideClassification(cached);
+    const action = applyHideDecision(videoElement, hide, topic, { ...explanation, source: 'cache' });
+    processedVideos.add(videoElement);
+    if (action) filtered.push({ videoId, action });
+  }
+  if (filtered.length > 0) {
+    logger.debug(`Applied ${filtered.length} cached hide decisions`);
+  }
+  return filtered;
+}
+
+/**
+ * Mask the tiles still waiting for classification; lifts every mask when nothing is being classified
+ * @param {Element[]} [videoElements] - Tiles to check; defaults to every tile on the page
+ */
+function maskUnprocessedVideos(videoElements = findVideoElements()) {
+  // Nothing is hidden on mark-only pages, so there is nothing to mask for either
+  if (!pendingMask.enabled || !isFilterActive() || !textClassifier || getCurrentPagePolicy() === 'mark') {
+    videoElements.forEach(unmaskVideo);
+    return;
+  }
+  // Tiles without a title are never classified, so a mask on them would only lift on the timeout, or never
+  const pending = videoElements.filter(videoElement => {
+    if (processedVideos.has(videoElement) || !extractVideoContext(videoElement)) return false;
+    const videoId = extractVideoId(videoElement);
+    return !videoId || !revealedVideoIds.has(videoId);
+  });
+  maskPendingVideos(pending, pendingMask, revealVideo);
+}
+
+/**
+ * Apply the fail-open/fail-closed policy to tiles whose classification failed
+ * @param {Element[]} videoElements - Tiles that could not be classified
+ */
+function failPendingVideos(videoElements) {
+  for (const videoElement of videoElements) {
+    failPendingVideo(videoElement, pendingMask.failMode, () => revealVideo(videoElement));
+  }
+}
+
+/**
+ * Apply cached decisions as soon as new video tiles are added to the page,
+ * and mask the rest until they are classified
+ * @param {Element[]} videoElements - Tiles added to the page
+ */
+function applyCachedDecisionsImmediately(videoElements) {
+  const filtered = applyCachedDecisions(videoElements);
+  maskUnprocessedVideos(videoElements);
+  if (filtered.length > 0) {
+    notifyHiddenVideos(filtered);
+    refreshFilteredVideoViews();
+  }
+}
+
+/**
+ * Queue unprocessed tiles for classification
+ * @param {Element[]} videoElements - Tiles to classify
+ */
+function queueVideos(videoElements) {
+  if (!isFilterActive() || !textClassifier) return;
+  classificationQueue.enqueue(videoElements.filter(videoElement => !processedVideos.has(videoElement)));
+}
+
+/**
+ * Queue tiles again after their classification failed; batches failing before the retry are retried with it
+ * @param {Element[]} videoElements - Tiles that could not be classified
+ */
+function scheduleRetry(videoElements) {
+  videoElements.forEach(videoElement => retryVideos.add(videoElement));
+  if (retryTimeout) return;
+  retryTimeout = setTimeout(() => {
+    retryTimeout = null;
+    const pending = [...retryVideos].filter(videoElement => videoElement.isConnected);
+    retryVideos = new Set();
+    queueVideos(pending);
+  }, RETRY_DELAY);
+}
+
+/**
+ * Classify one batch of queued tiles and apply the decisions
+ * @param {Element[]} videoElements - Tiles to classify
+ * @param {Function} isCancelled - Whether the queue was cancelled (e.g. by navigation) meanwhile
+ */
+async function classifyQueuedVideos(videoElements, isCancelled) {
+  if (!isFilterActive() || !textClassifier) return;
+  // Tiles are parsed now rather than when queued, as YouTube reuses tile elements for new videos
+  const unprocessed = [];
+  for (const videoElement of videoElements) {
+    if (processedVideos.has(videoElement) || !videoElement.isConnected) continue;
+    const video = parseVideoTile(videoElement);
+    if (video && video.context) {
+      unprocessed.push({ videoElement, video });
+    } else {
+      unmaskVideo(videoElement); // Nothing to classify
+    }
+  }
+  if (unprocessed.length === 0) return;
+
+  // Snapshot the fingerprint so results are cached under the topics they were classified against
+  const fingerprint = topicFingerprint;
+  const isIncludeMode = filterMode === 'include';
+  logger.debug(`📋 Classifying ${unprocessed.length} queued videos:`, unprocessed);
+
+  // Video IDs identify each text in the classifier request when available
+  const texts = unprocessed.map(({ video }) => ({ id: video.videoId, text: video.context }));
+  const decisions = isIncludeMode
+    ? await batchClassifyVideoContexts(textClassifier, texts, getClassifiedTopics(), { threshold: confidenceThreshold })
+    : await batchClassifyVideoContexts(textClassifier, texts, excludedTopics, { threshold: confidenceThreshold, allowTopics, topicDetails });
+  logger.debug('decisions:', decisions);
+
+  // The page or the settings changed while classifying; the new page is scanned on its own
+  if (isCancelled() || fingerprint !== topicFingerprint) return;
+
+  if (decisions.some(decision => decision.error)) {
+    // Leave the videos unprocessed and retry them later; the classifier's
+    // circuit breaker keeps retries from hammering a failing backend
+    logger.error('Batch classification failed on every backend');
+    const failed = unprocessed.map(({ videoElement }) => videoElement);
+    failPendingVideos(failed);
+    scheduleRetry(failed);
+    return;
+  }
+
+  // Apply hide/show decisions based on classification results
+  const filtered = [];
+  for (let i = 0; i < unprocessed.length; i++) {
+    const { videoElement, video } = unprocessed[i];
+    // Same rules as for cached results; include-only mode hides the videos that match none of the intent topics
+    const { hide: shouldHide, topic, ...explanation } = decideClassification(decisions[i].classification);
+
+    logger.debug(`🎬 Video ${i}: Context="${video.context}" → Decision=${shouldHide ? 'HIDE' : 'SHOW'}`, { index: i, video, decision: decisions[i] });
+
+    const action = applyHideDecision(videoElement, shouldHide, topic, { ...explanation, source: 'classifier' });
+    if (action) filtered.push({ videoId: video.videoId, action });
+    processedVideos.add(videoElement);
+    const { matchedTopics, scores, backend, fallback } = decisions[i].classification;
+    // A fallback answered, e.g. during a server outage: keep its result only until the usual backend is back
+    const ttl = fallback ? FALLBACK_CACHE_TTL_MS : undefined;
+    setCachedClassification(video.videoId, fingerprint, matchedTopics, { scores, backend, ttl });
+  }
+  logger.info(`Processed ${unprocessed.length} new videos (classification batch)`);
+
+  // Show toast notification if videos were hidden/deleted
+  notifyHiddenVideos(filtered);
+  refreshFilteredVideoViews();
+}
+
+/**
+ * Scan the page for video elements: apply known decisions right away and queue the rest
+ * for classification, tiles near the viewport first
+ */
+function scanForVideos() {
+  logger.debug('scanForVideos called');
+  try {
+    // Cache hits are applied before anything reaches the classifier
+    notifyHiddenVideos(applyCachedDecisions());
+    maskUnprocessedVideos();
+    refreshFilteredVideoViews();
+
+    queueVideos(findVideoElements());
   } catch (error) {
     logger.error('Error scanning for videos:', error);
-  } finally {
-    isScanning = false;
   }
 }
 
@@ -322,69 +974,181 @@ function debouncedScan() {
   scanTimeout = setTimeout(scanForVideos, DEBOUNCE_DELAY);
 }
 
+/**
+ * Apply corrections stored by another tab or cleared in the popup to the tiles on this page,
+ * without re-evaluating the videos they do not concern
+ * @param {Object} [overrides] - Stored video overrides
+ */
+function applyOverrideChanges(overrides) {
+  const previous = videoOverrides;
+  videoOverrides = overrides || {};
+  const released = [];
+  let changed = false;
+  for (const videoElement of findVideoElements()) {
+    const videoId = extractVideoId(videoElement);
+    const before = videoId ? previous[videoId] : null;
+    const after = videoId ? videoOverrides[videoId] : null;
+    // This tab's own corrections are already applied
+    if (before === after || (before && after && before.decision === after.decision && before.topic === after.topic)) continue;
+    changed = true;
+    if (after) {
+      revealedVideoIds.delete(videoId);
+      applyHideDecision(videoElement, after.decision === 'hide', after.topic, { source: 'override' });
+      processedVideos.add(videoElement);
+    } else {
+      // The correction was cleared, so the video is classified like any other
+      processedVideos.delete(videoElement);
+      released.push(videoElement);
+    }
+  }
+  if (released.length > 0) {
+    applyCachedDecisionsImmediately(released);
+    queueVideos(released);
+  }
+  if (changed) refreshFilteredVideoViews();
+}
+
+/**
+ * Reload settings once labelled examples stop changing. They are part of the topic fingerprint,
+ * so every reload reclassifies the page; a burst of corrections should cost one reload, not one each.
+ */
+function scheduleExamplesReload() {
+  clearTimeout(examplesReloadTimeout);
+  examplesReloadTimeout = setTimeout(() => {
+    examplesReloadTimeout = null;
+    reloadSettingsAndRescan();
+  }, EXAMPLES_RELOAD_DELAY);
+}
+
+/**
+ * Re-evaluate settings when any filtering setting changes
+ * @param {Object} changes - Storage changes
+ */
+function handleStorageChange(changes) {
+  if (changes.topics || changes.videoAction || changes.classifierOrder ||
+      changes.topicRules || changes.ruleClassifierOptions || changes.serverSettings ||
+      changes.llmSettings || changes.confidenceThreshold || changes.allowTopics ||
+      changes.intentTopics || changes.filterMode || changes.deletedPlaceholders || changes[PENDING_MASK_KEY] ||
+      changes[USE_LABELLED_EXAMPLES_KEY] || PAGE_POLICY_KEYS.some(key => changes[key])) {
+    // The reload reads the corrections and labelled examples too
+    clearTimeout(examplesReloadTimeout);
+    examplesReloadTimeout = null;
+    reloadSettingsAndRescan();
+    return;
+  }
+  // Corrections only concern their own videos
+  if (changes[VIDEO_OVERRIDES_KEY]) {
+    applyOverrideChanges(changes[VIDEO_OVERRIDES_KEY].newValue);
+  }
+  if (changes[LABELLED_EXAMPLES_KEY] && useLabelledExamples) {
+    scheduleExamplesReload();
+  }
+}
+
+/**
+ * Stop watching the page for new tiles
+ */
+function disarm() {
+  scanScheduler.unregister('hideUnwanted');
+  clearTimeout(retryTimeout);
+  retryTimeout = null;
+  retryVideos = new Set();
+  clearTimeout(scanTimeout);
+  scanTimeout = null;
+}
+
+/**
+ * Watch the page for new tiles, if the page type has videos to filter
+ * @param {string} pageType - Page type from getPageType()
+ */
+function armForPage(pageType) {
+  disarm();
+  const selectors = getVideoSelectorsForPage(pageType);
+  if (selectors.length === 0) return;
+
+  // Known decisions are applied before the new tiles are painted; the rest are queued for classification
+  scanScheduler.register('hideUnwanted', {
+    selectors,
+    onImmediate: applyCachedDecisionsImmediately,
+    onAdded: queueVideos
+  });
+}
+
+/**
+ * Start over on a new page: drop the old page's queue, reasons, revealed videos and watchers, then scan
+ * @param {{pageType: string}} navigation - Navigation from the navigation service
+ */
+function onNavigate({ pageType }) {
+  clearProcessedVideosCache();
+  // Videos shown anyway stay shown on their page only
+  revealedVideoIds = new Set();
+  decidedVideos = new Map();
+  resetSelectorStats();
+  armForPage(pageType);
+  scanForVideos();
+}
+
+/**
+ * Tear the component down: watchers, timers, queue and listeners
+ */
+function dispose() {
+  disarm();
+  classificationQueue.cancel();
+  resetPendingMasks();
+  clearTimeout(snoozeTimeout);
+  snoozeTimeout = null;
+  clearTimeout(examplesReloadTimeout);
+  examplesReloadTimeout = null;
+  chrome.storage.onChanged.removeListener(handleStorageChange);
+  chrome.runtime.onMessage.removeListener(handleMessage);
+  logger.info('Hide Unwanted Videos component disposed');
+}
+
 /**
  * Initialize the Hide Unwanted Videos component
  * @param {Object} classifier - Text classifier instance (dependency injection)
  *   Must have classify(texts, topics) method that returns Promise<Array<{text_id: string, topic_ids: string[]}>>
+ * @param {Object} scheduler - Shared scan scheduler from createScanScheduler()
  */
-export async function initializeHideUnwantedContent(classifier) {
+export async function initializeHideUnwantedContent(classifier, scheduler) {
   logger.info('Hide Unwanted Videos component initializing');
 
   if (!classifier) {
     throw new Error('Text classifier instance is required');
   }
 
-  // Store the injected classifier
+  // Store the injected classifier and scheduler
   textClassifier = classifier;
+  scanScheduler = scheduler;
   logger.debug('Text classifier injected successfully');
   
-  // Load initial settings
+  // Load initial settings and previously cached classifications
   await loadSettings();
+  await loadClassificationCache();
   
   // Set up storage change listener
-  chrome.storage.onChanged.addListener((changes) => {
-    if (changes.topics || changes.videoAction) {
-      loadSettings().then(async () => {
-        // Clear processed videos cache to re-evaluate with new settings
-        clearProcessedVideosCache();
-        logger.info('Settings changed, clearing video cache for re-evaluation');
-        // Re-scan when settings change
-        debouncedScan();
-      });
-    }
-  });
+  chrome.storage.onChanged.addListener(handleStorageChange);
   logger.debug('Storage change listener set up');
 
+  // Let the popup list and reveal the videos filtered on this page
+  chrome.runtime.onMessage.addListener(handleMessage);
+
   // Initial scan
+  armForPage(getPageType(window.location.href));
   scanForVideos();
 
   logger.debug('Initial scan completed');
 
-  // Set up periodic scanning for dynamic content
-  setInterval(debouncedScan, SCAN_INTERVAL);
-
-  // Set up mutation observer for dynamic content loading
-  const videoSelectors = [
-    'ytd-rich-item-renderer',
-    'ytd-video-renderer',
-    'ytd-compact-video-renderer',
-    'ytd-grid-video-renderer'
-  ];
-  
-  const observer = createSharedMutationObserver(videoSelectors, debouncedScan, 250);
-  
-  // Start observing
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
-
   return {
+    onNavigate,
+    dispose,
     scanForVideos,
     clearProcessedVideosCache,
     extractVideoTitle,
     extractChannelName,
     extractVideoContext,
+    extractVideoId,
+    parseVideoTile,
     hideVideo,
     showVideo,
     deleteVideo
@@ -396,8 +1160,12 @@ export {
   extractVideoTitle,
   extractChannelName,
   extractVideoContext,
+  extractVideoId,
+  parseVideoTile,
   hideVideo,
   showVideo,
   deleteVideo,
-  clearProcessedVideosCache
+  clearProcessedVideosCache,
+  decideClassification,
+  getClassifiedTopics
 };
@@ -4,6 +4,7 @@
  */
 
 import logger from '../logger.js';
+import { getNotInterestedSelectors } from './selectorRegistry.js';
 
 /**
  * Get the current YouTube filter state
@@ -12,7 +13,7 @@ import logger from '../logger.js';
 function getYouTubeFilterState() {
   try {
     // Find the filter chip bar renderer
-    const filterChipBar = document.querySelector('ytd-feed-filter-chip-bar-renderer');
+    const filterChipBar = document.querySelector(getNotInterestedSelectors().chipBar);
     
     if (!filterChipBar) {
       logger.debug('YouTube filter chip bar not found');
@@ -20,7 +21,7 @@ function getYouTubeFilterState() {
     }
     
     // Find the active chip (the one with ytChipShapeActive class)
-    const activeChip = filterChipBar.querySelector('.ytChipShapeActive');
+    const activeChip = filterChipBar.querySelector(getNotInterestedSelectors().activeChip);
     
     if (!activeChip) {
       logger.debug('No active filter chip found');
@@ -44,30 +45,30 @@ function getYouTubeFilterState() {
 }
 
 /**
- * Set up message listener for Not Interested automation and filter state requests
+ * Handle Not Interested automation and filter state requests
+ * @param {Object} message - Message from the popup
+ * @param {MessageSender} sender - Information about the sender
+ * @param {Function} sendResponse - Function to send response back
+ * @returns {boolean|undefined} true when the response is sent asynchronously
  */
-function setupMessageListeners() {
-  if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.action === 'markNotInterested') {
-        // Dynamically import and execute the action
-        import(chrome.runtime.getURL('src/notInterestedActions.js')).then(module => {
-          module.markVideosNotInterested(message.count || 10);
-        }).catch(err => {
-          logger.error('Failed to run Not Interested automation:', err);
-        });
-      } else if (message.action === 'getFilterState') {
-        // Handle filter state requests from popup
-        try {
-          const filterState = getYouTubeFilterState();
-          sendResponse(filterState);
-        } catch (error) {
-          logger.error('Error getting filter state:', error);
-          sendResponse({ isAll: false, error: 'Failed to get filter state', text: '' });
-        }
-        return true; // Indicates we will send a response asynchronously
-      }
+function handleMessage(message, sender, sendResponse) {
+  if (message.action === 'markNotInterested') {
+    // Dynamically import and execute the action
+    import(chrome.runtime.getURL('src/notInterestedActions.js')).then(module => {
+      module.markVideosNotInterested(message.count || 10, getNotInterestedSelectors());
+    }).catch(err => {
+      logger.error('Failed to run Not Interested automation:', err);
     });
+  } else if (message.action === 'getFilterState') {
+    // Handle filter state requests from popup
+    try {
+      const filterState = getYouTubeFilterState();
+      sendResponse(filterState);
+    } catch (error) {
+      logger.error('Error getting filter state:', error);
+      sendResponse({ isAll: false, error: 'Failed to get filter state', text: '' });
+    }
+    return true; // Indicates we will send a response asynchronously
   }
 }
 
@@ -78,9 +79,17 @@ export function initializeMarkVideosContent() {
   logger.info('Mark Videos Not Interested component initializing');
 
   // Set up message listeners
-  setupMessageListeners();
+  const hasMessaging = typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage;
+  if (hasMessaging) {
+    chrome.runtime.onMessage.addListener(handleMessage);
+  }
 
   return {
-    getYouTubeFilterState
+    getYouTubeFilterState,
+    // Reads the page on demand, so there is nothing to re-arm on navigation
+    onNavigate: () => {},
+    dispose: () => {
+      if (hasMessaging) chrome.runtime.onMessage.removeListener(handleMessage);
+    }
   };
 }
@@ -0,0 +1,140 @@
+/**
+ * Navigation Service
+ * Detects YouTube's single-page navigations. YouTube fires `yt-navigate-start` and
+ * `yt-navigate-finish` on the document; when those are missing (e.g. after a YouTube update),
+ * History API changes are used instead. Content scripts run in an isolated world, where a wrapped
+ * pushState only sees calls made from this world, so the Navigation API's `currententrychange`
+ * (which does see the page's own pushState calls) is listened to as well where it exists.
+ */
+
+import logger from '../logger.js';
+
+// Explore destinations and topic feeds: /feed/explore, /feed/news_destination, /gaming, /hashtag/<tag>, ...
+const EXPLORE_PATH = /^\/(feed\/explore|feed\/\w+_destination|gaming|podcasts|hashtag\/[^/]+)(\/|$)/;
+// Channel pages and their tabs: /@handle/videos, /channel/<id>, /c/<name>, /user/<name>
+const CHANNEL_PATH = /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)(\/|$)/;
+
+/**
+ * Get the type of YouTube page a URL points to
+ * @param {string} url - Page URL
+ * @returns {string} 'home', 'watch', 'search', 'subscriptions', 'trending', 'explore', 'playlist',
+ *   'channel' or 'other'
+ */
+export function getPageType(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return 'other';
+  }
+  if (pathname === '/') return 'home';
+  if (pathname === '/watch') return 'watch';
+  if (pathname === '/results' || pathname === '/search') return 'search';
+  if (pathname === '/feed/subscriptions') return 'subscriptions';
+  if (pathname === '/feed/trending') return 'trending';
+  if (EXPLORE_PATH.test(pathname)) return 'explore';
+  if (pathname === '/playlist') return 'playlist';
+  if (CHANNEL_PATH.test(pathname)) return 'channel';
+  return 'other';
+}
+
+/**
+ * Create the navigation service
+ * @param {Window} [win=window] - Window to watch
+ * @returns {{start: Function, onNavigate: Function, dispose: Function}} Service
+ */
+export function createNavigationService(win = window) {
+  const listeners = new Set();
+  const cleanups = [];
+  let currentUrl = win.location.href;
+  let sawYouTubeEvents = false; // Once YouTube's own events are seen, the History API fallback stands down
+
+  /**
+   * Tell the listeners about a new page, once per URL
+   * @param {string} source - What detected the navigation, for logging
+   */
+  function notify(source) {
+    const url = win.location.href;
+    if (url === currentUrl) return;
+    const navigation = { url, previousUrl: currentUrl, pageType: getPageType(url) };
+    currentUrl = url;
+    logger.info(`Navigated to ${navigation.pageType} page (${source})`);
+    for (const listener of listeners) {
+      try {
+        listener(navigation);
+      } catch (error) {
+        logger.error('Navigation listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Add an event listener that is removed by dispose()
+   * @param {EventTarget} target - Event target
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   */
+  function listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    cleanups.push(() => target.removeEventListener(type, handler));
+  }
+
+  /**
+   * Wrap a History API method so calling it is noticed
+   * @param {string} method - 'pushState' or 'replaceState'
+   */
+  function interceptHistory(method) {
+    const original = win.history[method];
+    win.history[method] = function (...args) {
+      const result = original.apply(this, args);
+      if (!sawYouTubeEvents) notify(method);
+      return result;
+    };
+    cleanups.push(() => {
+      win.history[method] = original;
+    });
+  }
+
+  return {
+    /**
+     * Start watching for navigations
+     */
+    start() {
+      listen(win.document, 'yt-navigate-start', () => {
+        sawYouTubeEvents = true;
+      });
+      listen(win.document, 'yt-navigate-finish', () => {
+        sawYouTubeEvents = true;
+        notify('yt-navigate-finish');
+      });
+      listen(win, 'popstate', () => {
+        if (!sawYouTubeEvents) notify('popstate');
+      });
+      if (win.navigation) {
+        listen(win.navigation, 'currententrychange', () => {
+          if (!sawYouTubeEvents) notify('currententrychange');
+        });
+      }
+      interceptHistory('pushState');
+      interceptHistory('replaceState');
+    },
+
+    /**
+     * Listen for navigations to a new page
+     * @param {Function} listener - Called with {url, previousUrl, pageType}
+     * @returns {Function} Removes the listener
+     */
+    onNavigate(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Stop watching and drop every listener
+     */
+    dispose() {
+      cleanups.splice(0).forEach(cleanup => cleanup());
+      listeners.clear();
+    }
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Page Policy
+ * Decides how each page type is filtered. Searches are often intentional, so search results have
+ * their own policy: not filtered, marked only (matches get a badge but stay visible), or filtered
+ * like every other page. Subscriptions, trending, explore, playlist and channel pages can each be
+ * turned on or off; the homepage and watch pages are always filtered.
+ */
+
+export const SEARCH_POLICY_KEY = 'searchPolicy';
+export const SEARCH_POLICIES = ['off', 'mark', 'filter'];
+export const DEFAULT_SEARCH_POLICY = 'mark';
+
+export const PAGE_FILTERS_KEY = 'pageFilters';
+// Page types that can be turned on or off, and whether they are filtered by default.
+// A channel or playlist the user opened is usually wanted as it is.
+export const DEFAULT_PAGE_FILTERS = {
+  subscriptions: true,
+  trending: true,
+  explore: true,
+  playlist: false,
+  channel: false
+};
+
+// Storage keys the page policies are read from
+export const PAGE_POLICY_KEYS = [SEARCH_POLICY_KEY, PAGE_FILTERS_KEY];
+
+/**
+ * Fill in missing or invalid page policy settings with the defaults
+ * @param {Object} [stored] - Values read from storage for PAGE_POLICY_KEYS
+ * @returns {{searchPolicy: string, pageFilters: Object<string, boolean>}} Settings
+ */
+export function normalizePagePolicySettings(stored) {
+  const settings = stored || {};
+  const storedFilters = settings[PAGE_FILTERS_KEY] || {};
+  const pageFilters = {};
+  for (const [pageType, enabled] of Object.entries(DEFAULT_PAGE_FILTERS)) {
+    pageFilters[pageType] = storedFilters[pageType] !== undefined ? !!storedFilters[pageType] : enabled;
+  }
+  return {
+    searchPolicy: SEARCH_POLICIES.includes(settings[SEARCH_POLICY_KEY])
+      ? settings[SEARCH_POLICY_KEY]
+      : DEFAULT_SEARCH_POLICY,
+    pageFilters
+  };
+}
+
+/**
+ * Get how a page type is filtered
+ * @param {string} pageType - Page type from getPageType()
+ * @param {{searchPolicy: string, pageFilters: Object<string, boolean>}} settings - Settings from
+ *   normalizePagePolicySettings()
+ * @returns {string} 'off', 'mark' or 'filter'
+ */
+export function getPagePolicy(pageType, settings) {
+  if (pageType === 'search') return settings.searchPolicy;
+  if (pageType in settings.pageFilters) return settings.pageFilters[pageType] ? 'filter' : 'off';
+  return 'filter';
+}
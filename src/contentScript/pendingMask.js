@@ -0,0 +1,173 @@
+/**
+ * Pending Mask
+ * Masks new video tiles while their classification is pending, so an unwanted video is never
+ * on screen during the classifier round trip. A mask lifts when the decision is applied, or when
+ * the classifier fails or takes too long: fail-open shows the tile, fail-closed keeps it masked
+ * with a "Show anyway" button.
+ */
+
+export const PENDING_MASK_KEY = 'pendingMask';
+export const DEFAULT_PENDING_MASK = { enabled: true, timeoutSeconds: 10, failMode: 'open' };
+export const MIN_PENDING_TIMEOUT = 1;
+export const MAX_PENDING_TIMEOUT = 60;
+
+const PENDING_CLASS = 'conscious-youtube-pending';
+const PENDING_OVERLAY_CLASS = 'conscious-youtube-pending-overlay';
+
+// Tiles masked since the last reset; each is masked once, so a failed tile is not masked again on every scan
+let maskedVideos = new WeakSet();
+let maskTimeouts = new Set(); // Pending timeouts, cancelled by a reset
+
+/**
+ * Fill in missing or invalid pending mask settings with the defaults
+ * @param {Object} [stored] - Settings from storage
+ * @returns {{enabled: boolean, timeoutSeconds: number, failMode: string}} Settings
+ */
+export function normalizePendingMaskSettings(stored) {
+  const settings = stored || {};
+  const timeout = parseFloat(settings.timeoutSeconds);
+  return {
+    enabled: settings.enabled !== undefined ? !!settings.enabled : DEFAULT_PENDING_MASK.enabled,
+    timeoutSeconds: Number.isFinite(timeout)
+      ? Math.min(MAX_PENDING_TIMEOUT, Math.max(MIN_PENDING_TIMEOUT, Math.round(timeout)))
+      : DEFAULT_PENDING_MASK.timeoutSeconds,
+    failMode: settings.failMode === 'closed' ? 'closed' : 'open'
+  };
+}
+
+/**
+ * Add the mask styles to the page once. The tile keeps its size, so the grid does not jump
+ * when the mask lifts.
+ */
+function ensureMaskStyles() {
+  if (document.getElementById('conscious-youtube-pending-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'conscious-youtube-pending-styles';
+  style.textContent = `
+    .${PENDING_CLASS} > :not(.${PENDING_OVERLAY_CLASS}) {
+      filter: blur(16px) grayscale(1);
+      opacity: 0.3;
+      pointer-events: none;
+      user-select: none;
+    }
+    .${PENDING_OVERLAY_CLASS} {
+      position: absolute;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 8px;
+      border-radius: 12px;
+      background: rgba(128, 128, 128, 0.15);
+      color: var(--yt-spec-text-secondary, #606060);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+      z-index: 1000;
+    }
+    .${PENDING_OVERLAY_CLASS} button {
+      background: rgba(15, 15, 15, 0.85);
+      color: white;
+      border: none;
+      border-radius: 12px;
+      padding: 4px 10px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Check whether a tile is masked
+ * @param {Element} videoElement - Video tile
+ * @returns {boolean} Whether the tile is masked
+ */
+export function isVideoMasked(videoElement) {
+  return videoElement.classList.contains(PENDING_CLASS);
+}
+
+/**
+ * Mask a tile while its classification is pending
+ * @param {Element} videoElement - Video tile
+ */
+export function maskVideo(videoElement) {
+  if (isVideoMasked(videoElement)) return;
+  ensureMaskStyles();
+  const overlay = document.createElement('div');
+  overlay.className = PENDING_OVERLAY_CLASS;
+  overlay.textContent = 'Checking…';
+  videoElement.classList.add(PENDING_CLASS);
+  videoElement.style.position = 'relative';
+  videoElement.appendChild(overlay);
+}
+
+/**
+ * Lift the mask of a tile
+ * @param {Element} videoElement - Video tile
+ */
+export function unmaskVideo(videoElement) {
+  if (!isVideoMasked(videoElement)) return;
+  videoElement.classList.remove(PENDING_CLASS);
+  const overlay = videoElement.querySelector(`:scope > .${PENDING_OVERLAY_CLASS}`);
+  if (overlay) overlay.remove();
+}
+
+/**
+ * Apply the failure policy to a tile whose classification failed or timed out
+ * @param {Element} videoElement - Video tile
+ * @param {string} failMode - 'open' shows the tile, 'closed' keeps it masked
+ * @param {Function} onShow - Called when the user shows a tile kept masked
+ */
+export function failPendingVideo(videoElement, failMode, onShow) {
+  if (!isVideoMasked(videoElement)) return;
+  if (failMode !== 'closed') {
+    unmaskVideo(videoElement);
+    return;
+  }
+  const overlay = videoElement.querySelector(`:scope > .${PENDING_OVERLAY_CLASS}`);
+  if (!overlay || overlay.querySelector('button')) return;
+  overlay.textContent = 'Not classified yet';
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = 'Show anyway';
+  button.addEventListener('click', (event) => {
+    // The overlay sits inside the tile's link area, so keep the click from opening the video
+    event.preventDefault();
+    event.stopPropagation();
+    unmaskVideo(videoElement);
+    onShow();
+  });
+  overlay.appendChild(button);
+}
+
+/**
+ * Mask tiles and apply the failure policy to those still masked after the timeout
+ * @param {Element[]} videoElements - Tiles waiting for classification
+ * @param {{timeoutSeconds: number, failMode: string}} settings - Pending mask settings
+ * @param {Function} onShow - Called with a tile the user shows while it is kept masked
+ */
+export function maskPendingVideos(videoElements, { timeoutSeconds, failMode }, onShow) {
+  const masked = videoElements.filter(videoElement => !maskedVideos.has(videoElement));
+  if (masked.length === 0) return;
+  for (const videoElement of masked) {
+    maskedVideos.add(videoElement);
+    maskVideo(videoElement);
+  }
+  const timeout = setTimeout(() => {
+    maskTimeouts.delete(timeout);
+    for (const videoElement of masked) {
+      failPendingVideo(videoElement, failMode, () => onShow(videoElement));
+    }
+  }, timeoutSeconds * 1000);
+  maskTimeouts.add(timeout);
+}
+
+/**
+ * Let every tile be masked again and cancel the pending timeouts, e.g. after navigating to another page
+ */
+export function resetPendingMasks() {
+  maskedVideos = new WeakSet();
+  maskTimeouts.forEach(clearTimeout);
+  maskTimeouts = new Set();
+}
@@ -0,0 +1,130 @@
+/**
+ * Scan Scheduler
+ * One mutation observer for every content script feature. It looks only at the nodes each
+ * mutation adds, matches them against the selectors each feature registered, and hands every
+ * feature just its new (or newly filled) elements, so the cost of a mutation does not grow with
+ * the number of tiles already on the page.
+ */
+
+import logger from '../logger.js';
+
+const DEFAULT_DEBOUNCE_DELAY = 250;
+
+/**
+ * Find the elements a node adds for a set of selectors: the element the node sits in, when
+ * YouTube fills an existing tile, plus the node itself and its matching descendants
+ * @param {Node} node - Added node
+ * @param {string} selector - Selectors joined with commas
+ * @param {Set<Element>} found - Collects the elements
+ */
+function collectMatches(node, selector, found) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  if (!element) return;
+  const container = element.closest(selector);
+  if (container) found.add(container);
+  if (element === node) {
+    for (const match of element.querySelectorAll(selector)) {
+      found.add(match);
+    }
+  }
+}
+
+/**
+ * Create a scan scheduler
+ * @param {Object} [options]
+ * @param {number} [options.debounceDelay=250] - Delay before the debounced callbacks run, in ms
+ * @returns {{register: Function, start: Function, stop: Function}} Scheduler
+ */
+export function createScanScheduler({ debounceDelay = DEFAULT_DEBOUNCE_DELAY } = {}) {
+  const features = new Map(); // Feature name -> registration and the elements waiting for it
+
+  const observer = new MutationObserver((mutations) => {
+    for (const feature of features.values()) {
+      const selectors = feature.getSelectors();
+      if (selectors.length === 0) continue;
+      const selector = selectors.join(', ');
+      const found = new Set();
+      for (const mutation of mutations) {
+        for (const node of mutation.addedNodes) {
+          collectMatches(node, selector, found);
+        }
+      }
+      if (found.size > 0) dispatch(feature, [...found]);
+    }
+  });
+
+  /**
+   * Hand new elements to a feature: right away to onImmediate, batched to onAdded
+   * @param {Object} feature - Registered feature
+   * @param {Element[]} elements - New elements
+   */
+  function dispatch(feature, elements) {
+    if (feature.onImmediate) {
+      try {
+        feature.onImmediate(elements);
+      } catch (error) {
+        logger.error(`Scan scheduler: ${feature.name} failed:`, error);
+      }
+    }
+    if (!feature.onAdded) return;
+    elements.forEach(element => feature.pending.add(element));
+    clearTimeout(feature.timeout);
+    feature.timeout = setTimeout(() => {
+      const batch = [...feature.pending].filter(element => element.isConnected);
+      feature.pending.clear();
+      try {
+        feature.onAdded(batch);
+      } catch (error) {
+        logger.error(`Scan scheduler: ${feature.name} failed:`, error);
+      }
+    }, debounceDelay);
+  }
+
+  return {
+    /**
+     * Register a feature
+     * @param {string} name - Feature name; registering it again replaces the earlier registration
+     * @param {Object} registration
+     * @param {string[]|Function} registration.selectors - Selectors of the elements the feature handles,
+     *   or a function returning them for the current page
+     * @param {Function} [registration.onAdded] - Called with new elements, debounced
+     * @param {Function} [registration.onImmediate] - Called with new elements synchronously, before
+     *   the browser paints them
+     * @returns {Function} Unregisters the feature
+     */
+    register(name, { selectors, onAdded = null, onImmediate = null }) {
+      this.unregister(name);
+      const getSelectors = typeof selectors === 'function' ? selectors : () => selectors;
+      features.set(name, { name, getSelectors, onAdded, onImmediate, pending: new Set(), timeout: null });
+      return () => this.unregister(name);
+    },
+
+    /**
+     * Unregister a feature and drop the elements waiting for it
+     * @param {string} name - Feature name
+     */
+    unregister(name) {
+      const feature = features.get(name);
+      if (!feature) return;
+      clearTimeout(feature.timeout);
+      features.delete(name);
+    },
+
+    /**
+     * Start observing the page
+     */
+    start() {
+      observer.observe(document.body, { childList: true, subtree: true });
+    },
+
+    /**
+     * Stop observing and drop every registration
+     */
+    stop() {
+      observer.disconnect();
+      for (const name of [...features.keys()]) {
+        this.unregister(name);
+      }
+    }
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Selector Registry
+ * Every CSS selector the content scripts use to find YouTube's markup, keyed by page type and
+ * loaded from the bundled selectors.json. Matches are counted per selector, so when a YouTube
+ * update makes a selector silently stop finding tiles, the page can be reported as possibly broken.
+ */
+
+import bundledSelectors from './selectors.json';
+
+const MIN_UNMATCHED_LINKS = 8; // Video links outside any known tile before the tile selectors count as broken
+const MIN_FIELD_LOOKUPS = 5; // Tiles read before a field that is mostly missing counts as broken
+
+let registry = normalizeRegistry(bundledSelectors);
+let selectorStats = new Map(); // Selector -> {queries, matches}
+let fieldStats = new Map(); // Tile field -> {lookups, misses}
+
+/**
+ * Turn every tile field into a list of selectors; a field may also be written as one selector string
+ * @param {Object} data - Parsed selectors file
+ * @returns {Object} Registry whose tile fields are all string[]
+ */
+function normalizeRegistry(data) {
+  const tile = {};
+  for (const [field, selectors] of Object.entries(data.tile)) {
+    tile[field] = Array.isArray(selectors) ? selectors : [selectors];
+  }
+  return { ...data, tile };
+}
+
+/**
+ * Replace the registry, e.g. with a newer selectors file
+ * @param {Object} data - Parsed selectors file: {version, pages, tile, notInterested}
+ */
+export function loadSelectorRegistry(data) {
+  if (!data || !Number.isInteger(data.version) || !data.pages || !data.pages.other || !data.tile || !data.notInterested) {
+    throw new Error('Invalid selector registry');
+  }
+  registry = normalizeRegistry(data);
+  resetSelectorStats();
+}
+
+/**
+ * Get the selectors for a page type
+ * @param {string} pageType - Page type from getPageType()
+ * @returns {{tiles: string[], shorts: string[]}} Tile and Shorts section selectors, empty when
+ *   the page type is not filtered
+ */
+export function getPageSelectors(pageType) {
+  return registry.pages[pageType] || registry.pages.other;
+}
+
+/**
+ * Get every tile selector of every page type
+ * @returns {string[]} Distinct tile selectors
+ */
+export function getAllTileSelectors() {
+  return [...new Set(Object.values(registry.pages).flatMap(page => page.tiles))];
+}
+
+/**
+ * Get the selectors for one field of a video tile
+ * @param {string} field - 'title', 'channel', 'videoLink', 'channelLink', 'duration', 'metadata', 'badges',
+ *   'liveBadge' or 'membersBadge'
+ * @returns {string[]} Selectors to try in order
+ */
+export function getTileFieldSelectors(field) {
+  return registry.tile[field];
+}
+
+/**
+ * Get one selector matching any of a tile field's selectors, for fields where the first match in
+ * document order counts rather than the first selector that matches
+ * @param {string} field - Tile field, see getTileFieldSelectors()
+ * @returns {string} Combined selector
+ */
+export function getTileFieldSelector(field) {
+  return registry.tile[field].join(', ');
+}
+
+/**
+ * @returns {{chipBar: string, activeChip: string, tiles: string, menuButton: string, menuItem: string}} Selectors
+ *   for the feed filter chips and the Not Interested automation
+ */
+export function getNotInterestedSelectors() {
+  return registry.notInterested;
+}
+
+/**
+ * Count a query of a selector
+ * @param {string} selector - Selector
+ * @param {number} matches - Number of elements it found
+ */
+export function recordSelectorMatches(selector, matches) {
+  const stats = selectorStats.get(selector) || { queries: 0, matches: 0 };
+  stats.queries++;
+  stats.matches += matches;
+  selectorStats.set(selector, stats);
+}
+
+/**
+ * Count a lookup of a tile field
+ * @param {string} field - Tile field
+ * @param {string|null} selector - Selector that found the field, or null if none did
+ */
+export function recordFieldLookup(field, selector) {
+  const stats = fieldStats.get(field) || { lookups: 0, misses: 0 };
+  stats.lookups++;
+  if (selector) {
+    recordSelectorMatches(selector, 1);
+  } else {
+    stats.misses++;
+  }
+  fieldStats.set(field, stats);
+}
+
+/**
+ * Find the elements matching a list of selectors, counting the matches of each
+ * @param {string[]} selectors - Selectors
+ * @param {ParentNode} [root=document] - Element to search within
+ * @returns {Element[]} Matching elements, selector by selector
+ */
+export function queryAllTracked(selectors, root = document) {
+  const elements = [];
+  for (const selector of selectors) {
+    const matches = root.querySelectorAll(selector);
+    recordSelectorMatches(selector, matches.length);
+    elements.push(...matches);
+  }
+  return elements;
+}
+
+/**
+ * @returns {{version: number, selectors: Object, fields: Object}} Counts since the last reset
+ */
+export function getSelectorStats() {
+  return {
+    version: registry.version,
+    selectors: Object.fromEntries(selectorStats),
+    fields: Object.fromEntries(fieldStats)
+  };
+}
+
+/**
+ * Start counting afresh, e.g. on a new page
+ */
+export function resetSelectorStats() {
+  selectorStats = new Map();
+  fieldStats = new Map();
+}
+
+/**
+ * Check whether the selectors still find what the page shows
+ * @param {string} pageType - Page type from getPageType()
+ * @param {ParentNode} [root=document] - Page to check
+ * @returns {{pageType: string, version: number, tileCount: number, broken: boolean, reason: string|null}}
+ *   Health; broken when the page shows videos the tile selectors do not find, or when most tiles
+ *   have no readable title
+ */
+export function getSelectorHealth(pageType, root = document) {
+  const { tiles, shorts } = getPageSelectors(pageType);
+  const health = { pageType, version: registry.version, tileCount: 0, broken: false, reason: null };
+  if (tiles.length === 0) return health;
+
+  const tileSelector = tiles.join(', ');
+  health.tileCount = root.querySelectorAll(tileSelector).length;
+  if (health.tileCount === 0) {
+    const knownSelector = [...tiles, ...shorts].join(', ');
+    const unmatchedLinks = [...root.querySelectorAll(getTileFieldSelector('videoLink'))]
+      .filter(link => !link.closest(knownSelector));
+    if (unmatchedLinks.length >= MIN_UNMATCHED_LINKS) {
+      health.broken = true;
+      health.reason = 'No video tiles were found, although the page shows videos.';
+    }
+    return health;
+  }
+
+  const titles = fieldStats.get('title');
+  if (titles && titles.lookups >= MIN_FIELD_LOOKUPS && titles.misses * 2 > titles.lookups) {
+    health.broken = true;
+    health.reason = 'Most video titles could not be read.';
+  }
+  return health;
+}
@@ -3,14 +3,61 @@
  * Provides the appropriate text classifier implementation based on configuration
  */
 
-import { getServerTextClassifier } from './textClassifierServer.js';
-import { getBuiltInTextClassifier, isBuiltInTextClassifierAvailable } from './textClassifierBuiltinAI.js';
+import { getServerTextClassifier, SERVER_SETTINGS_KEY } from './textClassifierServer.js';
+import { getBuiltInTextClassifier } from './textClassifierBuiltinAI.js';
+import { getRuleTextClassifier } from './textClassifierRules.js';
+import { getLLMTextClassifier } from './textClassifierLLM.js';
+import { CompositeTextClassifier, DEFAULT_CLASSIFIER_ORDER } from './textClassifierComposite.js';
+import { LLM_SETTINGS_KEY } from '../llmSettings.js';
 import logger from '../logger.js';
 
+// Settings that decide whether a backend is available
+const AVAILABILITY_SETTINGS_KEYS = [LLM_SETTINGS_KEY, SERVER_SETTINGS_KEY, 'classifierOrder'];
+
+/**
+ * Resolve the backend order from stored settings
+ * Falls back to the single-backend choice stored by older versions
+ * @param {Object} settings - Values read from storage
+ * @returns {string[]} Backend names in the order they should be tried
+ */
+export function resolveClassifierOrder(settings) {
+  if (Array.isArray(settings.classifierOrder)) {
+    return settings.classifierOrder;
+  }
+  if (settings.classifierBackend === 'rules') {
+    return ['rules'];
+  }
+  return DEFAULT_CLASSIFIER_ORDER;
+}
+
+/**
+ * Read the classifier backend order configured by the user
+ * @returns {Promise<string[]>} Backend names in the order they should be tried
+ */
+async function getConfiguredOrder() {
+  try {
+    const result = await chrome.storage.local.get(['classifierOrder', 'classifierBackend']);
+    return resolveClassifierOrder(result);
+  } catch (error) {
+    logger.error('Failed to load classifier order setting:', error);
+    return DEFAULT_CLASSIFIER_ORDER;
+  }
+}
+
+/**
+ * Publish the composite classifier status so the popup can show which backend is serving
+ * @param {Object} status - Status snapshot from CompositeTextClassifier.getStatus()
+ */
+function saveClassifierStatus(status) {
+  chrome.storage.local.set({ classifierStatus: { ...status, updatedAt: Date.now() } })
+    .catch(error => logger.error('Failed to save classifier status:', error));
+}
+
 /**
  * Get the text classifier instance to use for classification
- * Checks if built-in AI is available first, then falls back to server-based classifier
- * 
+ * Returns a composite classifier that tries built-in AI, the user's own LLM, the server and offline rules
+ * in the order configured by the user, skipping backends that keep failing
+ *
  * @returns {Promise<Object>} Text classifier instance with classify method
  *   classify(texts, topics) - Classifies texts against topics
  *     @param {Array<{id: string, text: string}>} texts - Texts to classify
@@ -18,16 +65,23 @@ import logger from '../logger.js';
  *     @returns {Promise<Array<{text_id: string, topic_ids: string[]}>>} Classification results
  */
 export async function getTextClassifier() {
-  // Check if built-in AI is available
-  // const builtInAIAvailable = await isBuiltInTextClassifierAvailable();
-  
-  // if (builtInAIAvailable) {
-  //   logger.info('Using built-in AI text classifier');
-  //   return getBuiltInTextClassifier();
-  // }
-  
-  // // Fall back to server-based classifier
-  // logger.info('Built-in AI not available, using server-based text classifier');
-  return getServerTextClassifier();
+  const classifier = new CompositeTextClassifier(
+    {
+      builtin: getBuiltInTextClassifier(),
+      llm: getLLMTextClassifier(),
+      server: getServerTextClassifier(),
+      rules: getRuleTextClassifier()
+    },
+    {
+      getOrder: getConfiguredOrder,
+      onStatusChange: saveClassifierStatus
+    }
+  );
+  chrome.storage.onChanged.addListener((changes) => {
+    if (AVAILABILITY_SETTINGS_KEYS.some(key => changes[key])) {
+      classifier.resetAvailability();
+    }
+  });
+  logger.info('Using composite text classifier, order:', await getConfiguredOrder());
+  return classifier;
 }
-
@@ -0,0 +1,259 @@
+/**
+ * Composite Text Classifier Implementation
+ * Tries classifier backends in a configured order, tracking each backend's health.
+ * A backend that keeps failing gets its circuit opened and is skipped until a later probe succeeds.
+ */
+
+import logger from '../logger.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Order used when the user has not configured one
+ */
+export const DEFAULT_CLASSIFIER_ORDER = ['builtin', 'llm', 'server', 'rules'];
+
+const FAILURE_THRESHOLD = 3; // Consecutive failures before the circuit opens
+const CIRCUIT_OPEN_DURATION = 60 * 1000; // First wait before probing an open circuit
+const MAX_CIRCUIT_OPEN_DURATION = 10 * 60 * 1000; // Cap for the doubling wait after failed probes
+const AVAILABILITY_CHECK_INTERVAL = 5 * 60 * 1000; // How long an isAvailable() answer is trusted
+const LATENCY_SMOOTHING = 0.3; // Weight of the newest sample in the latency moving average
+
+// ============================================================================
+// Composite Text Classifier Implementation
+// ============================================================================
+
+/**
+ * Composite text classifier implementation
+ * Conforms to the text classifier interface defined in PRD.md
+ */
+export class CompositeTextClassifier {
+  /**
+   * @param {Object<string, Object>} backends - Classifier instances keyed by backend name
+   * @param {Object} [options]
+   * @param {Function} [options.getOrder] - Returns (a promise of) the backend names to try, in order
+   * @param {Function} [options.onStatusChange] - Called with getStatus() when the serving backend or a circuit changes
+   * @param {Function} [options.now] - Clock, for testing
+   */
+  constructor(backends, { getOrder, onStatusChange, now } = {}) {
+    this.backends = backends;
+    this.getOrder = getOrder || (() => DEFAULT_CLASSIFIER_ORDER);
+    this.onStatusChange = onStatusChange || null;
+    this.now = now || (() => Date.now());
+    this.activeBackend = null;
+    this.health = {};
+    for (const name of Object.keys(backends)) {
+      this.health[name] = {
+        state: 'closed', // 'closed' | 'open' | 'half-open'
+        consecutiveFailures: 0,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        avgLatencyMs: null,
+        lastError: null,
+        openUntil: null,
+        openDuration: CIRCUIT_OPEN_DURATION,
+        available: null,
+        availabilityCheckedAt: null
+      };
+    }
+  }
+
+  /**
+   * Classify texts with the first healthy backend in the configured order
+   * @param {Array<{id: string, text: string}>} texts - Texts to classify
+   * @param {Array<{id: string, topic: string}>} topics - Topics to classify against
+   * @returns {Promise<Array<{text_id: string, topic_ids: string[], scores?: number[], backend: string, fallback: boolean}>>}
+   *   Classification results, each tagged with the backend that produced it and whether that backend
+   *   only answered because an earlier one failed or has its circuit open
+   */
+  async classify(texts, topics) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error('Texts must be a non-empty array');
+    }
+    if (!Array.isArray(topics) || topics.length === 0) {
+      throw new Error('Topics must be a non-empty array');
+    }
+
+    const order = await this.getOrder();
+    const failures = [];
+    let fallback = false;
+
+    for (const name of order) {
+      const backend = this.backends[name];
+      if (!backend) continue;
+      if (!this._canAttempt(name)) {
+        fallback = true;
+        continue;
+      }
+      if (!(await this._isAvailable(name))) continue;
+
+      const startTime = this.now();
+      try {
+        const results = await backend.classify(texts, topics);
+        this._recordSuccess(name, this.now() - startTime);
+        this._setActiveBackend(name);
+        return results.map(result => ({ ...result, backend: name, fallback }));
+      } catch (error) {
+        logger.warn(`Classifier backend "${name}" failed:`, error.message);
+        this._recordFailure(name, error);
+        failures.push(`${name}: ${error.message}`);
+        fallback = true;
+      }
+    }
+
+    this._setActiveBackend(null);
+    throw new Error(failures.length > 0
+      ? `All classifier backends failed (${failures.join('; ')})`
+      : 'No classifier backend available');
+  }
+
+  /**
+   * Get the serving backend and the health of every backend
+   * @returns {{activeBackend: string|null, backends: Object<string, Object>}} Status snapshot
+   */
+  getStatus() {
+    const backends = {};
+    for (const [name, health] of Object.entries(this.health)) {
+      backends[name] = {
+        state: health.state,
+        consecutiveFailures: health.consecutiveFailures,
+        totalFailures: health.totalFailures,
+        totalSuccesses: health.totalSuccesses,
+        avgLatencyMs: health.avgLatencyMs === null ? null : Math.round(health.avgLatencyMs),
+        lastError: health.lastError,
+        openUntil: health.openUntil,
+        available: health.available
+      };
+    }
+    return { activeBackend: this.activeBackend, backends };
+  }
+
+  /**
+   * Forget every cached isAvailable() answer, e.g. after the backend settings changed,
+   * so a backend the user just configured is asked again on the next request
+   */
+  resetAvailability() {
+    for (const health of Object.values(this.health)) {
+      health.available = null;
+      health.availabilityCheckedAt = null;
+    }
+  }
+
+  /**
+   * Check whether a backend may be tried now, moving an expired open circuit to half-open
+   * @private
+   * @param {string} name - Backend name
+   * @returns {boolean} True if the backend may be tried
+   */
+  _canAttempt(name) {
+    const health = this.health[name];
+    if (health.state !== 'open') return true;
+    if (this.now() < health.openUntil) return false;
+
+    // Let a single probe request through
+    health.state = 'half-open';
+    logger.info(`Probing classifier backend "${name}"`);
+    this._notifyStatusChange();
+    return true;
+  }
+
+  /**
+   * Ask a backend whether it can run on this device, caching the answer for a while
+   * @private
+   * @param {string} name - Backend name
+   * @returns {Promise<boolean>} True if the backend is available
+   */
+  async _isAvailable(name) {
+    const backend = this.backends[name];
+    if (typeof backend.isAvailable !== 'function') return true;
+
+    const health = this.health[name];
+    const now = this.now();
+    if (health.availabilityCheckedAt !== null && now - health.availabilityCheckedAt < AVAILABILITY_CHECK_INTERVAL) {
+      return health.available;
+    }
+
+    try {
+      health.available = !!(await backend.isAvailable());
+    } catch (error) {
+      health.available = false;
+    }
+    health.availabilityCheckedAt = now;
+    return health.available;
+  }
+
+  /**
+   * Record a successful call and close the backend's circuit
+   * @private
+   * @param {string} name - Backend name
+   * @param {number} latencyMs - Call duration
+   */
+  _recordSuccess(name, latencyMs) {
+    const health = this.health[name];
+    const wasClosed = health.state === 'closed';
+    health.avgLatencyMs = health.avgLatencyMs === null
+      ? latencyMs
+      : health.avgLatencyMs + LATENCY_SMOOTHING * (latencyMs - health.avgLatencyMs);
+    health.totalSuccesses++;
+    health.consecutiveFailures = 0;
+    health.state = 'closed';
+    health.openUntil = null;
+    health.openDuration = CIRCUIT_OPEN_DURATION;
+    if (!wasClosed) {
+      logger.info(`Classifier backend "${name}" recovered`);
+      this._notifyStatusChange();
+    }
+  }
+
+  /**
+   * Record a failed call, opening the circuit after repeated failures or a failed probe
+   * @private
+   * @param {string} name - Backend name
+   * @param {Error} error - Failure
+   */
+  _recordFailure(name, error) {
+    const health = this.health[name];
+    health.totalFailures++;
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+
+    if (health.state === 'half-open') {
+      // Failed probe: wait longer before the next one
+      health.openDuration = Math.min(health.openDuration * 2, MAX_CIRCUIT_OPEN_DURATION);
+    } else if (health.consecutiveFailures < FAILURE_THRESHOLD) {
+      return;
+    }
+
+    health.state = 'open';
+    health.openUntil = this.now() + health.openDuration;
+    logger.warn(`Circuit opened for classifier backend "${name}" for ${health.openDuration}ms`);
+    this._notifyStatusChange();
+  }
+
+  /**
+   * Remember which backend served the last request
+   * @private
+   * @param {string|null} name - Backend name, or null if none could serve
+   */
+  _setActiveBackend(name) {
+    if (this.activeBackend === name) return;
+    this.activeBackend = name;
+    logger.info(`Classifier backend now serving requests: ${name || 'none'}`);
+    this._notifyStatusChange();
+  }
+
+  /**
+   * Report status changes to the listener
+   * @private
+   */
+  _notifyStatusChange() {
+    if (!this.onStatusChange) return;
+    try {
+      this.onStatusChange(this.getStatus());
+    } catch (error) {
+      logger.error('Error reporting classifier status:', error);
+    }
+  }
+}
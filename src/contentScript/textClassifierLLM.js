@@ -0,0 +1,92 @@
+/**
+ * Bring-your-own-key LLM Text Classifier Implementation
+ * Calls the user's OpenAI-compatible or Gemini API via service worker messaging,
+ * so the request runs with the extension's host permissions and the key stays out of the page
+ */
+
+import logger from '../logger.js';
+import { LLM_SETTINGS_KEY, isLLMConfigured } from '../llmSettings.js';
+
+/**
+ * LLM text classifier implementation
+ * Conforms to the text classifier interface defined in PRD.md
+ */
+class LLMTextClassifier {
+  /**
+   * Check if the user has configured an LLM
+   * @returns {Promise<boolean>} True if an LLM key or local server is configured
+   */
+  async isAvailable() {
+    try {
+      const result = await chrome.storage.local.get([LLM_SETTINGS_KEY]);
+      return isLLMConfigured(result[LLM_SETTINGS_KEY]);
+    } catch (error) {
+      logger.error('Error checking LLM classifier settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Classify texts against topics using the user's LLM
+   * @param {Array<{id: string, text: string}>} texts - Texts to classify
+   * @param {Array<{id: string, topic: string}>} topics - Topics to classify against
+   * @returns {Promise<Array<{text_id: string, topic_ids: string[]}>>} Classification results
+   */
+  async classify(texts, topics) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error('Texts must be a non-empty array');
+    }
+    if (!Array.isArray(topics) || topics.length === 0) {
+      throw new Error('Topics must be a non-empty array');
+    }
+
+    try {
+      const response = await this._sendMessage({
+        type: 'TEXT_CLASSIFIER',
+        action: 'CLASSIFY_LLM',
+        payload: { texts, topics }
+      });
+      logger.debug('LLM classification response received:', response.results);
+      return response.results;
+    } catch (error) {
+      logger.error('Error in LLM text classifier:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send message to service worker and wait for response
+   * @private
+   * @param {Object} message - Message to send
+   * @returns {Promise<Object>} Response from service worker
+   */
+  _sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || !response.success) {
+          reject(new Error((response && response.error) || 'LLM classification failed'));
+          return;
+        }
+        resolve(response);
+      });
+    });
+  }
+}
+
+// Singleton instance
+let classifierInstance = null;
+
+/**
+ * Get LLM text classifier instance
+ * @returns {LLMTextClassifier} Classifier instance
+ */
+export function getLLMTextClassifier() {
+  if (!classifierInstance) {
+    classifierInstance = new LLMTextClassifier();
+  }
+  return classifierInstance;
+}
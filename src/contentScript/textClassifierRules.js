@@ -0,0 +1,174 @@
+/**
+ * Rule-based Text Classifier Implementation
+ * Matches texts against user-defined keywords, phrases and regular expressions per topic.
+ * Runs fully offline: no text ever leaves the browser.
+ */
+
+import logger from '../logger.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Default matching options, used when a rule does not set its own
+ */
+export const DEFAULT_RULE_OPTIONS = {
+  wholeWord: true,
+  caseSensitive: false
+};
+
+const RULE_TYPES = ['keyword', 'phrase', 'regex'];
+
+// Letters and digits in any script count as word characters for whole-word matching
+const WORD_START = '(?<![\\p{L}\\p{N}_])';
+const WORD_END = '(?![\\p{L}\\p{N}_])';
+
+// ============================================================================
+// Rule compilation and matching
+// ============================================================================
+
+/**
+ * Normalize a topic name for rule lookups
+ * @param {string} topic - Topic name
+ * @returns {string} Normalized topic name
+ */
+function normalizeTopic(topic) {
+  return (topic || '').trim().toLowerCase();
+}
+
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {string} value - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a single rule into a regular expression
+ * @param {{type: string, pattern: string, wholeWord?: boolean, caseSensitive?: boolean}} rule - Rule to compile
+ * @param {{wholeWord: boolean, caseSensitive: boolean}} options - Default options
+ * @returns {RegExp|null} Compiled expression, or null if the rule is invalid
+ */
+export function compileRule(rule, options = DEFAULT_RULE_OPTIONS) {
+  if (!rule || !RULE_TYPES.includes(rule.type) || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+    return null;
+  }
+
+  const wholeWord = rule.wholeWord !== undefined ? !!rule.wholeWord : options.wholeWord;
+  const caseSensitive = rule.caseSensitive !== undefined ? !!rule.caseSensitive : options.caseSensitive;
+
+  try {
+    if (rule.type === 'regex') {
+      const flags = rule.flags || '';
+      const finalFlags = caseSensitive || flags.includes('i') ? flags : `${flags}i`;
+      return new RegExp(rule.pattern, finalFlags.replace(/[gy]/g, ''));
+    }
+
+    // Keywords and phrases are literal; any run of whitespace in a phrase matches any whitespace
+    const literal = rule.pattern.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+    const source = wholeWord ? `${WORD_START}${literal}${WORD_END}` : literal;
+    return new RegExp(source, caseSensitive ? 'u' : 'iu');
+  } catch (error) {
+    logger.warn(`Invalid ${rule.type} rule "${rule.pattern}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Compile the rules for a list of topics.
+ * Topics without rules of their own match on their topic name as a phrase.
+ * Positive example titles also match as phrases; a text containing one of the
+ * topic's negative example titles never matches the topic.
+ * @param {Array<{id: string, topic: string, positive_examples?: string[], negative_examples?: string[]}>} topics - Topics to classify against
+ * @param {Object<string, Array<Object>>} topicRules - Rules keyed by topic name
+ * @param {{wholeWord: boolean, caseSensitive: boolean}} options - Default options
+ * @returns {Array<{id: string, patterns: RegExp[], exclusions: RegExp[]}>} Compiled patterns per topic
+ */
+export function compileTopicRules(topics, topicRules = {}, options = DEFAULT_RULE_OPTIONS) {
+  const rulesByTopic = {};
+  for (const [topic, rules] of Object.entries(topicRules || {})) {
+    rulesByTopic[normalizeTopic(topic)] = rules;
+  }
+
+  const toPhrases = examples => (Array.isArray(examples) ? examples : []).map(pattern => ({ type: 'phrase', pattern }));
+
+  return topics.map(({ id, topic, positive_examples: positiveExamples, negative_examples: negativeExamples }) => {
+    const rules = rulesByTopic[normalizeTopic(topic)];
+    const effectiveRules = Array.isArray(rules) && rules.length > 0
+      ? rules
+      : [{ type: 'phrase', pattern: topic }];
+    return {
+      id,
+      patterns: [...effectiveRules, ...toPhrases(positiveExamples)].map(rule => compileRule(rule, options)).filter(Boolean),
+      exclusions: toPhrases(negativeExamples).map(rule => compileRule(rule, options)).filter(Boolean)
+    };
+  });
+}
+
+// ============================================================================
+// Rule Text Classifier Implementation
+// ============================================================================
+
+/**
+ * Rule-based text classifier implementation
+ * Conforms to the text classifier interface defined in PRD.md
+ */
+class RuleTextClassifier {
+  /**
+   * Classify texts against topics using keyword, phrase and regex rules
+   * @param {Array<{id: string, text: string}>} texts - Texts to classify
+   * @param {Array<{id: string, topic: string}>} topics - Topics to classify against
+   * @returns {Promise<Array<{text_id: string, topic_ids: string[]}>>} Classification results
+   */
+  async classify(texts, topics) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error('Texts must be a non-empty array');
+    }
+    if (!Array.isArray(topics) || topics.length === 0) {
+      throw new Error('Topics must be a non-empty array');
+    }
+
+    const { topicRules, options } = await this._loadRules();
+    const compiledTopics = compileTopicRules(topics, topicRules, options);
+
+    const results = texts.map(text => ({
+      text_id: text.id,
+      topic_ids: compiledTopics
+        .filter(({ patterns, exclusions }) => patterns.some(pattern => pattern.test(text.text || '')) &&
+          !exclusions.some(pattern => pattern.test(text.text || '')))
+        .map(({ id }) => id)
+    }));
+
+    logger.debug('Rule classification results:', results);
+    return results;
+  }
+
+  /**
+   * Load rules and default options from storage
+   * @private
+   * @returns {Promise<{topicRules: Object, options: Object}>} Stored rules and options
+   */
+  async _loadRules() {
+    try {
+      const result = await chrome.storage.local.get(['topicRules', 'ruleClassifierOptions']);
+      return {
+        topicRules: result.topicRules || {},
+        options: { ...DEFAULT_RULE_OPTIONS, ...(result.ruleClassifierOptions || {}) }
+      };
+    } catch (error) {
+      logger.error('Failed to load classification rules:', error);
+      return { topicRules: {}, options: DEFAULT_RULE_OPTIONS };
+    }
+  }
+}
+
+/**
+ * Get rule-based text classifier instance
+ * @returns {RuleTextClassifier} Classifier instance
+ */
+export function getRuleTextClassifier() {
+  return new RuleTextClassifier();
+}
@@ -18,13 +18,14 @@ export const MOCK_CLASSIFICATION_API_CALL = false; // Set to true for testing, f
 export const ENV = 'production';
 
 /**
- * The base URL of the backend classification API server.
+ * The default base URL of the backend classification API server.
  * This is mutable and can be set at runtime.
  */
 let API_URL = 'http://127.0.0.1:8000'; // Default for local development
 
 /**
- * Set the API URL at runtime (for internal use only).
+ * Set the default API URL at runtime (for internal use only).
+ * A base URL configured by the user in the popup takes precedence.
  * @param {string} url - The new API base URL
  */
 export function setApiUrl(url) {
@@ -41,20 +42,148 @@ if (ENV === 'production') {
 }
 
 /**
- * The endpoint path for text classification API
+ * The default endpoint path for text classification API
  */
 const CLASSIFICATION_ENDPOINT = '/classify-texts';
 
 /**
- * AI provider for text classification
+ * Default AI provider for text classification
  */
 const CLASSIFICATION_PROVIDER = 'GEMINI';
 
 /**
- * AI model name for text classification
+ * Default AI model name for text classification
  */
 const CLASSIFICATION_MODEL_NAME = 'gemini-2.5-flash';
 
+/**
+ * Storage key of the user's server settings
+ */
+export const SERVER_SETTINGS_KEY = 'serverSettings';
+
+/**
+ * Get the settings used when the user has not configured the server
+ * @returns {{baseUrl: string, endpointPath: string, provider: string, modelName: string, authHeaderName: string, authHeaderValue: string}}
+ */
+export function getDefaultServerSettings() {
+  return {
+    baseUrl: API_URL,
+    endpointPath: CLASSIFICATION_ENDPOINT,
+    provider: CLASSIFICATION_PROVIDER,
+    modelName: CLASSIFICATION_MODEL_NAME,
+    authHeaderName: 'Authorization',
+    authHeaderValue: ''
+  };
+}
+
+/**
+ * Merge stored server settings over the defaults, ignoring blank values
+ * @param {Object} [stored] - Settings stored by the popup
+ * @returns {Object} Complete server settings
+ */
+export function resolveServerSettings(stored) {
+  const settings = getDefaultServerSettings();
+  for (const [key, value] of Object.entries(stored || {})) {
+    if (key in settings && typeof value === 'string' && value.trim()) {
+      settings[key] = value.trim();
+    }
+  }
+  return settings;
+}
+
+/**
+ * Load the server settings from storage
+ * @returns {Promise<Object>} Complete server settings
+ */
+export async function loadServerSettings() {
+  try {
+    const result = await chrome.storage.local.get([SERVER_SETTINGS_KEY]);
+    return resolveServerSettings(result[SERVER_SETTINGS_KEY]);
+  } catch (error) {
+    logger.error('Failed to load server settings:', error);
+    return getDefaultServerSettings();
+  }
+}
+
+/**
+ * Whether the settings point at a server other than the default one
+ * @param {Object} settings - Complete server settings
+ * @returns {boolean} True for a server the user configured
+ */
+export function usesCustomServer(settings) {
+  return new URL(settings.baseUrl).origin !== new URL(API_URL).origin;
+}
+
+/**
+ * Build the full classification URL from settings
+ * @param {Object} settings - Server settings
+ * @returns {string} Classification endpoint URL
+ */
+export function buildClassificationUrl(settings) {
+  const baseUrl = settings.baseUrl.replace(/\/+$/, '');
+  const endpointPath = settings.endpointPath.startsWith('/') ? settings.endpointPath : `/${settings.endpointPath}`;
+  return `${baseUrl}${endpointPath}`;
+}
+
+/**
+ * Send a classification request to the server
+ * A custom server is only reachable from the service worker or the popup, where the optional host permission
+ * granted for it applies; the default server accepts requests from YouTube pages as well
+ * @param {Array<{id: string, text: string}>} texts - Texts to classify
+ * @param {Array<{id: string, topic: string}>} topics - Topics to classify against
+ * @param {Object} settings - Complete server settings
+ * @returns {Promise<Array<{text_id: string, topic_ids: string[]}>>} Classification results
+ */
+export async function requestServerClassification(texts, topics, settings) {
+  // Format request according to API specification
+  const requestBody = {
+    texts: texts,
+    topics: topics,
+    provider: settings.provider,
+    model_name: settings.modelName
+  };
+
+  logger.debug('Classification API request:', requestBody);
+
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+  if (settings.authHeaderName && settings.authHeaderValue) {
+    headers[settings.authHeaderName] = settings.authHeaderValue;
+  }
+
+  const response = await fetch(buildClassificationUrl(settings), {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(requestBody),
+  });
+
+  if (!response.ok) {
+    // Handle error response format
+    const errorData = await response.json().catch(() => ({}));
+    if (errorData.detail && Array.isArray(errorData.detail)) {
+      const errorMessages = errorData.detail.map(err => err.msg || 'Unknown error').join(', ');
+      throw new Error(`Classification API error: ${response.status} - ${errorMessages}`);
+    } else {
+      throw new Error(`Classification API error: ${response.status}`);
+    }
+  }
+
+  const data = await response.json();
+  logger.debug('Classification API response:', data);
+
+  // Return results in expected format
+  if (data.results && Array.isArray(data.results)) {
+    return data.results;
+  }
+
+  // If no results, return empty matches for all texts
+  return texts.map(text => ({
+    text_id: text.id,
+    topic_ids: []
+  }));
+}
+
 // ============================================================================
 // Server Text Classifier Implementation
 // ============================================================================
@@ -64,6 +193,14 @@ const CLASSIFICATION_MODEL_NAME = 'gemini-2.5-flash';
  * Conforms to the text classifier interface defined in PRD.md
  */
 class ServerTextClassifier {
+  /**
+   * @param {Object|null} [settings] - Fixed server settings, used by the popup to test unsaved values with a
+   *   direct request; when omitted, the stored settings are used
+   */
+  constructor(settings = null) {
+    this.settings = settings ? resolveServerSettings(settings) : null;
+  }
+
   /**
    * Classify texts against topics using server API
    * @param {Array<{id: string, text: string}>} texts - Texts to classify
@@ -84,54 +221,48 @@ class ServerTextClassifier {
     }
 
     try {
-      // Format request according to API specification
-      const requestBody = {
-        texts: texts,
-        topics: topics,
-        provider: CLASSIFICATION_PROVIDER,
-        model_name: CLASSIFICATION_MODEL_NAME
-      };
-
-      logger.debug('Classification API request:', requestBody);
-      
-      const response = await fetch(`${API_URL}${CLASSIFICATION_ENDPOINT}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      });
-
-      if (!response.ok) {
-        // Handle error response format
-        const errorData = await response.json();
-        if (errorData.detail && Array.isArray(errorData.detail)) {
-          const errorMessages = errorData.detail.map(err => err.msg || 'Unknown error').join(', ');
-          throw new Error(`Classification API error: ${response.status} - ${errorMessages}`);
-        } else {
-          throw new Error(`Classification API error: ${response.status}`);
-        }
+      if (this.settings) {
+        return await requestServerClassification(texts, topics, this.settings);
       }
-
-      const data = await response.json();
-      logger.debug('Classification API response:', data);
-      
-      // Return results in expected format
-      if (data.results && Array.isArray(data.results)) {
-        return data.results;
+      const settings = await loadServerSettings();
+      if (!usesCustomServer(settings)) {
+        return await requestServerClassification(texts, topics, settings);
       }
-      
-      // If no results, return empty matches for all texts
-      return texts.map(text => ({
-        text_id: text.id,
-        topic_ids: []
-      }));
+      // The host permission granted for a custom server does not apply to the page's requests
+      const response = await this._sendMessage({
+        type: 'TEXT_CLASSIFIER',
+        action: 'CLASSIFY_SERVER',
+        payload: { texts, topics }
+      });
+      return response.results;
     } catch (error) {
       logger.error('Error in server text classifier:', error);
       throw error;
     }
   }
 
+  /**
+   * Send message to service worker and wait for response
+   * @private
+   * @param {Object} message - Message to send
+   * @returns {Promise<Object>} Response from service worker
+   */
+  _sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || !response.success) {
+          reject(new Error((response && response.error) || 'Server classification failed'));
+          return;
+        }
+        resolve(response);
+      });
+    });
+  }
+
   /**
    * Mock classification for testing
    * Returns random topic matches to simulate API behavior
@@ -163,9 +294,10 @@ class ServerTextClassifier {
 
 /**
  * Get server-based text classifier instance
+ * @param {Object|null} [settings] - Fixed server settings (e.g. unsaved values to test); defaults to stored settings
  * @returns {ServerTextClassifier} Classifier instance
  */
-export function getServerTextClassifier() {
-  return new ServerTextClassifier();
+export function getServerTextClassifier(settings = null) {
+  return new ServerTextClassifier(settings);
 }
 
@@ -1,67 +1,74 @@
 /**
  * Toast Notification Utilities
- * Shared toast notification system for content scripts
+ * Shared toast notification queue for content scripts
+ *
+ * A toast that is still on screen absorbs later notifications of the same kind, so rapid
+ * infinite-scroll batches update one toast instead of replacing it. Toasts can carry action
+ * buttons, and the user can limit them to one a minute or mute them (storage key `toastMode`).
  */
 
 import logger from '../logger.js';
 
-// Global toast timeout management
-let toastTimeout = null;
+export const TOAST_MODE_KEY = 'toastMode';
+export const TOAST_MODES = ['all', 'limited', 'off'];
+
+const TOAST_DURATION = 5000; // Visible time after the last update
+const LIMITED_INTERVAL = 60 * 1000; // 'limited' mode shows at most one toast per minute
+
+let toastMode = 'all';
+let lastShownAt = 0;
+let flushTimeout = null;
+const visibleToasts = new Map(); // toastId -> visible toast state
+const pendingToasts = new Map(); // toastId -> notification waiting for the 'limited' interval
 
 /**
- * Create and show a toast notification
- * @param {number} count - Number of items affected
- * @param {string} itemType - Type of items (e.g., 'video', 'Shorts section')
- * @param {string} action - Action taken (e.g., 'hidden', 'deleted', 'removed')
- * @param {string} [toastId] - Optional unique ID for the toast (defaults to 'conscious-youtube-toast')
+ * Load the toast mode and follow changes made in the popup
+ * @returns {Promise<void>}
  */
-export function showToast(count, itemType, action, toastId = 'conscious-youtube-toast') {
-  // Remove existing toast if any
-  const existingToast = document.getElementById(toastId);
-  if (existingToast) {
-    existingToast.remove();
+export async function initializeToastSettings() {
+  try {
+    const result = await chrome.storage.local.get([TOAST_MODE_KEY]);
+    setToastMode(result[TOAST_MODE_KEY]);
+  } catch (error) {
+    logger.error('Failed to load toast settings:', error);
   }
-  
-  // Clear existing timeout
-  if (toastTimeout) {
-    clearTimeout(toastTimeout);
-  }
-  
-  // Create toast element
-  const toast = document.createElement('div');
-  toast.id = toastId;
-  toast.innerHTML = `
-    <div class="conscious-youtube-toast-content">
-      <div class="conscious-youtube-toast-icon">🎬</div>
-      <div class="conscious-youtube-toast-message">
-        <div class="conscious-youtube-toast-title">YouTube Watch Guard</div>
-        <div class="conscious-youtube-toast-text">${count} ${itemType}${count > 1 ? 's' : ''} ${action}</div>
-      </div>
-    </div>
-  `;
-  
-  // Add styles
-  toast.style.cssText = `
-    position: fixed;
-    bottom: 20px;
-    right: 20px;
-    background: rgba(0, 0, 0, 0.9);
-    color: white;
-    border-radius: 8px;
-    padding: 12px 16px;
-    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-    z-index: 10000;
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    font-size: 14px;
-    max-width: 300px;
-    transform: translateX(100%);
-    transition: transform 0.3s ease-in-out;
-    pointer-events: none;
-  `;
-  
-  // Add content styles
+  chrome.storage.onChanged.addListener((changes) => {
+    if (changes[TOAST_MODE_KEY]) setToastMode(changes[TOAST_MODE_KEY].newValue);
+  });
+}
+
+/**
+ * Set how toasts are shown
+ * @param {string} mode - 'all', 'limited' (one a minute) or 'off'
+ */
+export function setToastMode(mode) {
+  toastMode = TOAST_MODES.includes(mode) ? mode : 'all';
+  if (toastMode === 'off') clearToast();
+}
+
+/**
+ * Add the toast styles to the page once
+ */
+function ensureToastStyles() {
+  if (document.getElementById('conscious-youtube-toast-styles')) return;
   const style = document.createElement('style');
+  style.id = 'conscious-youtube-toast-styles';
   style.textContent = `
+    .conscious-youtube-toast {
+      position: fixed;
+      right: 20px;
+      background: rgba(0, 0, 0, 0.9);
+      color: white;
+      border-radius: 8px;
+      padding: 12px 16px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      z-index: 10000;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      max-width: 300px;
+      transform: translateX(calc(100% + 20px));
+      transition: transform 0.3s ease-in-out, bottom 0.3s ease-in-out;
+    }
     .conscious-youtube-toast-content {
       display: flex;
       align-items: center;
@@ -83,42 +90,257 @@ export function showToast(count, itemType, action, toastId = 'conscious-youtube-
       font-size: 13px;
       color: #e0e0e0;
     }
+    .conscious-youtube-toast-close {
+      align-self: flex-start;
+      background: none;
+      border: none;
+      color: #aaa;
+      font-size: 16px;
+      line-height: 1;
+      cursor: pointer;
+    }
+    .conscious-youtube-toast-actions {
+      display: flex;
+      gap: 8px;
+      margin-top: 8px;
+      justify-content: flex-end;
+    }
+    .conscious-youtube-toast-actions button {
+      background: rgba(255, 255, 255, 0.9);
+      color: #0f0f0f;
+      border: none;
+      border-radius: 12px;
+      padding: 4px 10px;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+    }
   `;
-  
-  // Add styles to head if not already added
-  if (!document.getElementById('conscious-youtube-toast-styles')) {
-    style.id = 'conscious-youtube-toast-styles';
-    document.head.appendChild(style);
+  document.head.appendChild(style);
+}
+
+/**
+ * Build the toast message, e.g. "3 videos deleted"
+ * @param {{count: number, itemType: string, action: string}} notification
+ * @returns {string} Message text
+ */
+function formatMessage({ count, itemType, action }) {
+  return `${count} ${itemType}${count > 1 ? 's' : ''} ${action}`;
+}
+
+/**
+ * Merge a notification into an earlier one of the same kind
+ * @param {Object} target - Earlier notification, updated in place
+ * @param {Object} notification - New notification
+ */
+function mergeNotification(target, notification) {
+  target.count += notification.count;
+  // Different actions in one toast are summed up as 'filtered'
+  if (target.action !== notification.action) target.action = 'filtered';
+  target.items = [...target.items, ...notification.items];
+  target.actions = notification.actions;
+}
+
+/**
+ * Stack visible toasts from the bottom of the screen
+ */
+function layoutToasts() {
+  let bottom = 20;
+  for (const { element } of visibleToasts.values()) {
+    element.style.bottom = `${bottom}px`;
+    bottom += element.offsetHeight + 12;
+  }
+}
+
+/**
+ * Remove a visible toast
+ * @param {string} toastId - Toast to remove
+ */
+function dismissToast(toastId) {
+  const toast = visibleToasts.get(toastId);
+  if (!toast) return;
+  clearTimeout(toast.hideTimeout);
+  visibleToasts.delete(toastId);
+  toast.element.style.transform = 'translateX(calc(100% + 20px))';
+  setTimeout(() => toast.element.remove(), 300);
+  layoutToasts();
+}
+
+/**
+ * (Re)start the timer that hides a toast
+ * @param {string} toastId - Toast to hide
+ */
+function scheduleDismiss(toastId) {
+  const toast = visibleToasts.get(toastId);
+  clearTimeout(toast.hideTimeout);
+  toast.hideTimeout = setTimeout(() => dismissToast(toastId), TOAST_DURATION);
+}
+
+/**
+ * Render the text and action buttons of a visible toast; all text is set as text, never as HTML
+ * @param {string} toastId - Toast to render
+ */
+function renderToast(toastId) {
+  const toast = visibleToasts.get(toastId);
+  const { element, notification } = toast;
+  element.querySelector('.conscious-youtube-toast-text').textContent = formatMessage(notification);
+
+  const actionsRow = element.querySelector('.conscious-youtube-toast-actions');
+  actionsRow.textContent = '';
+  actionsRow.style.display = notification.actions.length > 0 ? '' : 'none';
+  for (const { label, onClick } of notification.actions) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      dismissToast(toastId);
+      onClick(notification.items);
+    });
+    actionsRow.appendChild(button);
   }
-  
-  // Add to page
-  document.body.appendChild(toast);
-  
+}
+
+/**
+ * Create a toast element
+ * @param {string} toastId - Element ID
+ * @returns {HTMLElement} Toast element
+ */
+function createToastElement(toastId) {
+  const element = document.createElement('div');
+  element.id = toastId;
+  element.className = 'conscious-youtube-toast';
+  element.setAttribute('role', 'status');
+
+  const content = document.createElement('div');
+  content.className = 'conscious-youtube-toast-content';
+  const icon = document.createElement('div');
+  icon.className = 'conscious-youtube-toast-icon';
+  icon.textContent = '🎬';
+  const message = document.createElement('div');
+  message.className = 'conscious-youtube-toast-message';
+  const title = document.createElement('div');
+  title.className = 'conscious-youtube-toast-title';
+  title.textContent = 'YouTube Watch Guard';
+  const text = document.createElement('div');
+  text.className = 'conscious-youtube-toast-text';
+  message.appendChild(title);
+  message.appendChild(text);
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'conscious-youtube-toast-close';
+  close.setAttribute('aria-label', 'Dismiss');
+  close.textContent = '×';
+  close.addEventListener('click', () => dismissToast(toastId));
+  content.appendChild(icon);
+  content.appendChild(message);
+  content.appendChild(close);
+
+  const actionsRow = document.createElement('div');
+  actionsRow.className = 'conscious-youtube-toast-actions';
+  element.appendChild(content);
+  element.appendChild(actionsRow);
+  return element;
+}
+
+/**
+ * Put a notification on screen
+ * @param {string} toastId - Toast kind
+ * @param {Object} notification - Notification to show
+ */
+function displayToast(toastId, notification) {
+  ensureToastStyles();
+  const element = createToastElement(toastId);
+  visibleToasts.set(toastId, { element, notification, hideTimeout: null });
+  renderToast(toastId);
+  document.body.appendChild(element);
+  layoutToasts();
+  lastShownAt = Date.now();
+
   // Animate in
   requestAnimationFrame(() => {
-    toast.style.transform = 'translateX(0)';
+    element.style.transform = 'translateX(0)';
+  });
+  scheduleDismiss(toastId);
+  logger.info(`Toast shown: ${formatMessage(notification)}`);
+}
+
+/**
+ * Show the notifications held back by the 'limited' mode
+ */
+function flushPendingToasts() {
+  flushTimeout = null;
+  if (toastMode === 'off') {
+    pendingToasts.clear();
+    return;
+  }
+  for (const [toastId, notification] of pendingToasts) {
+    displayToast(toastId, notification);
+  }
+  pendingToasts.clear();
+}
+
+/**
+ * Create and show a toast notification
+ * @param {number} count - Number of items affected
+ * @param {string} itemType - Type of items (e.g., 'video', 'Shorts section')
+ * @param {string} action - Action taken (e.g., 'hidden', 'deleted', 'removed')
+ * @param {string} [toastId] - Optional unique ID for the toast kind (defaults to 'conscious-youtube-toast')
+ * @param {Object} [options]
+ * @param {Array} [options.items=[]] - Items the toast is about, passed to action callbacks
+ * @param {Array<{label: string, onClick: Function}>} [options.actions=[]] - Buttons; onClick receives
+ *   the items of every notification the toast has absorbed
+ */
+export function showToast(count, itemType, action, toastId = 'conscious-youtube-toast', { items = [], actions = [] } = {}) {
+  if (toastMode === 'off' || count <= 0) return;
+  const notification = { count, itemType, action, items, actions };
+
+  // A toast still on screen absorbs the new notification
+  const visible = visibleToasts.get(toastId);
+  if (visible) {
+    mergeNotification(visible.notification, notification);
+    renderToast(toastId);
+    scheduleDismiss(toastId);
+    return;
+  }
+
+  if (toastMode === 'limited' && Date.now() - lastShownAt < LIMITED_INTERVAL) {
+    const pending = pendingToasts.get(toastId);
+    if (pending) {
+      mergeNotification(pending, notification);
+    } else {
+      pendingToasts.set(toastId, notification);
+    }
+    if (!flushTimeout) {
+      flushTimeout = setTimeout(flushPendingToasts, lastShownAt + LIMITED_INTERVAL - Date.now());
+    }
+    return;
+  }
+
+  displayToast(toastId, notification);
+}
+
+/**
+ * Open the extension settings in a new tab (the service worker does it; content scripts cannot)
+ */
+export function openSettings() {
+  chrome.runtime.sendMessage({ type: 'OPEN_SETTINGS' }).catch(error => {
+    logger.error('Failed to open settings:', error);
   });
-  
-  // Auto-hide after 3 seconds
-  toastTimeout = setTimeout(() => {
-    toast.style.transform = 'translateX(100%)';
-    setTimeout(() => {
-      if (toast.parentNode) {
-        toast.remove();
-      }
-    }, 300);
-  }, 3000);
-  
-  logger.info(`Toast shown: ${count} ${itemType}${count > 1 ? 's' : ''} ${action}`);
 }
 
 /**
  * Show a toast notification for video processing
  * @param {number} count - Number of videos affected
- * @param {string} action - Action taken ('hidden' or 'deleted')
+ * @param {string} action - Action taken ('hidden', 'deleted', 'blurred' or 'filtered')
+ * @param {Object} [options]
+ * @param {string[]} [options.videoIds=[]] - IDs of the affected videos
+ * @param {Function} [options.onShow] - Reveals the given video IDs; adds a "Show them" button
  */
-export function showVideoToast(count, action) {
-  showToast(count, 'video', action, 'conscious-youtube-video-toast');
+export function showVideoToast(count, action, { videoIds = [], onShow = null } = {}) {
+  const actions = [];
+  if (onShow) actions.push({ label: 'Show them', onClick: onShow });
+  actions.push({ label: 'Settings', onClick: openSettings });
+  showToast(count, 'video', action, 'conscious-youtube-video-toast', { items: videoIds, actions });
 }
 
 /**
@@ -126,29 +348,19 @@ export function showVideoToast(count, action) {
  * @param {number} count - Number of Shorts sections affected
  */
 export function showShortsToast(count) {
-  showToast(count, 'Shorts section', 'removed', 'conscious-youtube-shorts-toast');
+  showToast(count, 'Shorts section', 'removed', 'conscious-youtube-shorts-toast', {
+    actions: [{ label: 'Settings', onClick: openSettings }]
+  });
 }
 
 /**
  * Clear any existing toast notifications
  */
 export function clearToast() {
-  if (toastTimeout) {
-    clearTimeout(toastTimeout);
-    toastTimeout = null;
+  clearTimeout(flushTimeout);
+  flushTimeout = null;
+  pendingToasts.clear();
+  for (const toastId of [...visibleToasts.keys()]) {
+    dismissToast(toastId);
   }
-  
-  // Remove all possible toast elements
-  const toastIds = [
-    'conscious-youtube-toast',
-    'conscious-youtube-video-toast', 
-    'conscious-youtube-shorts-toast'
-  ];
-  
-  toastIds.forEach(id => {
-    const toast = document.getElementById(id);
-    if (toast) {
-      toast.remove();
-    }
-  });
 }
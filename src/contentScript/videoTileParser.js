@@ -0,0 +1,291 @@
+/**
+ * Video Tile Parser
+ * Extracts a structured record (identity + metadata) from YouTube video tiles
+ */
+
+import logger from '../logger.js';
+import { getAllTileSelectors, getTileFieldSelector, getTileFieldSelectors, recordFieldLookup } from './selectorRegistry.js';
+
+/**
+ * Tile types the content scripts work with
+ */
+export const TILE_TYPES = getAllTileSelectors();
+
+const VIEW_COUNT_PATTERN = /^([\d.,]+)\s*([KMB])?\s*(views?|watching)\b/i;
+const UPLOAD_AGE_PATTERN = /\bago\b|^(streamed|premiered|scheduled|premieres)\b/i;
+const DURATION_PATTERN = /^\d{1,2}(:\d{2}){1,2}$/;
+const MULTIPLIERS = { K: 1e3, M: 1e6, B: 1e9 };
+
+/**
+ * Read the first non-empty text found by a tile field's selectors
+ * @param {Element} root - Element to search within
+ * @param {string} field - Tile field in the selector registry
+ * @param {boolean} preferTitleAttribute - Prefer the title attribute over text content
+ * @returns {string|null} - Trimmed text or null
+ */
+function findFirstText(root, field, preferTitleAttribute) {
+  for (const selector of getTileFieldSelectors(field)) {
+    const element = root.querySelector(selector);
+    if (!element) continue;
+    const text = preferTitleAttribute
+      ? element.getAttribute('title') || element.textContent || element.getAttribute('aria-label')
+      : element.textContent || element.getAttribute('title') || element.getAttribute('aria-label');
+    if (text && text.trim()) {
+      recordFieldLookup(field, selector);
+      return text.trim();
+    }
+  }
+  recordFieldLookup(field, null);
+  return null;
+}
+
+/**
+ * Extract video title from a YouTube video tile
+ * @param {Element} videoElement - The video tile element
+ * @returns {string|null} - Video title or null if not found
+ */
+export function extractVideoTitle(videoElement) {
+  try {
+    return findFirstText(videoElement, 'title', true);
+  } catch (error) {
+    logger.error('Error extracting video title:', error);
+    return null;
+  }
+}
+
+/**
+ * Extract channel name from a YouTube video tile
+ * @param {Element} videoElement - The video tile element
+ * @returns {string|null} - Channel name or null if not found
+ */
+export function extractChannelName(videoElement) {
+  try {
+    return findFirstText(videoElement, 'channel', false);
+  } catch (error) {
+    logger.error('Error extracting channel name:', error);
+    return null;
+  }
+}
+
+/**
+ * Combine title and channel name into the text sent to classifiers
+ * @param {string|null} title - Video title
+ * @param {string|null} channelName - Channel name
+ * @returns {string|null} - Combined context or null if neither is present
+ */
+function buildContext(title, channelName) {
+  if (title && channelName) return `${title} - ${channelName}`;
+  return title || channelName || null;
+}
+
+/**
+ * Extract combined video context (title + channel name) for better classification accuracy
+ * @param {Element} videoElement - The video tile element
+ * @returns {string|null} - Combined video context or null if neither found
+ */
+export function extractVideoContext(videoElement) {
+  try {
+    return buildContext(extractVideoTitle(videoElement), extractChannelName(videoElement));
+  } catch (error) {
+    logger.error('Error extracting video context:', error);
+    return null;
+  }
+}
+
+/**
+ * Parse a video ID from a watch or Shorts URL
+ * @param {string} href - Link href (absolute or relative)
+ * @returns {{videoId: string|null, isShort: boolean}} - Parsed ID and whether it is a Shorts link
+ */
+export function parseVideoHref(href) {
+  if (!href) return { videoId: null, isShort: false };
+  try {
+    const url = new URL(href, 'https://www.youtube.com');
+    if (url.pathname.startsWith('/shorts/')) {
+      return { videoId: url.pathname.split('/')[2] || null, isShort: true };
+    }
+    return { videoId: url.searchParams.get('v'), isShort: false };
+  } catch (error) {
+    return { videoId: null, isShort: false };
+  }
+}
+
+/**
+ * Extract the YouTube video ID from a video tile
+ * @param {Element} videoElement - The video tile element
+ * @returns {string|null} - Video ID or null if not found
+ */
+export function extractVideoId(videoElement) {
+  try {
+    const link = videoElement.querySelector(getTileFieldSelector('videoLink'));
+    return parseVideoHref(link && link.getAttribute('href')).videoId;
+  } catch (error) {
+    logger.error('Error extracting video ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Extract channel handle and ID from the channel link in a tile
+ * @param {Element} videoElement - The video tile element
+ * @returns {{channelHandle: string|null, channelId: string|null}}
+ */
+function extractChannelIdentity(videoElement) {
+  const identity = { channelHandle: null, channelId: null };
+  for (const link of videoElement.querySelectorAll(getTileFieldSelector('channelLink'))) {
+    const href = link.getAttribute('href') || '';
+    const handleMatch = href.match(/\/(@[^/?#]+)/);
+    const idMatch = href.match(/\/channel\/([^/?#]+)/);
+    if (handleMatch && !identity.channelHandle) {
+      identity.channelHandle = decodeURIComponent(handleMatch[1]);
+    }
+    if (idMatch && !identity.channelId) {
+      identity.channelId = idMatch[1];
+    }
+  }
+  return identity;
+}
+
+/**
+ * Convert a view count label ("1.2M views", "3,456 views", "No views") to a number
+ * @param {string} text - View count label
+ * @returns {number|null} - View count or null if the text is not a view count
+ */
+export function parseViewCount(text) {
+  if (!text) return null;
+  const trimmed = text.trim();
+  if (/^no views?\b/i.test(trimmed)) return 0;
+  const match = trimmed.match(VIEW_COUNT_PATTERN);
+  if (!match) return null;
+
+  const suffix = match[2] ? match[2].toUpperCase() : null;
+  const number = suffix
+    ? parseFloat(match[1].replace(/,/g, ''))
+    : parseInt(match[1].replace(/[.,]/g, ''), 10);
+  if (Number.isNaN(number)) return null;
+  return Math.round(number * (suffix ? MULTIPLIERS[suffix] : 1));
+}
+
+/**
+ * Convert a duration label ("4:05", "1:02:03") to seconds
+ * @param {string} text - Duration label
+ * @returns {number|null} - Duration in seconds or null if the text is not a duration
+ */
+export function parseDuration(text) {
+  if (!text || !DURATION_PATTERN.test(text.trim())) return null;
+  return text.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Collect the metadata texts (views, upload age, ...) shown under the title
+ * @param {Element} videoElement - The video tile element
+ * @returns {string[]} - Distinct non-empty metadata texts
+ */
+function collectMetadataTexts(videoElement) {
+  const texts = new Set();
+  for (const selector of getTileFieldSelectors('metadata')) {
+    for (const element of videoElement.querySelectorAll(selector)) {
+      // Metadata rows may join several items with a bullet separator
+      for (const part of (element.textContent || '').split('•')) {
+        if (part.trim()) texts.add(part.trim());
+      }
+    }
+  }
+  return Array.from(texts);
+}
+
+/**
+ * Detect live, premiere and members-only badges on a tile
+ * @param {Element} videoElement - The video tile element
+ * @param {string[]} metadataTexts - Metadata texts already collected from the tile
+ * @returns {{live: boolean, premiere: boolean, members: boolean}}
+ */
+function detectBadges(videoElement, metadataTexts) {
+  const badgeTexts = [];
+  for (const selector of getTileFieldSelectors('badges')) {
+    for (const element of videoElement.querySelectorAll(selector)) {
+      badgeTexts.push((element.textContent || '').trim(), element.getAttribute('aria-label') || '');
+    }
+  }
+  const badgeText = badgeTexts.join(' ').toLowerCase();
+  const metadataText = metadataTexts.join(' ').toLowerCase();
+
+  return {
+    live: !!videoElement.querySelector(getTileFieldSelector('liveBadge')) ||
+      /\blive\b/.test(badgeText) || /\bwatching\b/.test(metadataText),
+    premiere: /\bpremier/.test(badgeText) || /\bpremier/.test(metadataText),
+    members: !!videoElement.querySelector(getTileFieldSelector('membersBadge')) ||
+      /\bmembers\b/.test(badgeText)
+  };
+}
+
+/**
+ * Determine the tile type of an element
+ * @param {Element} videoElement - The video tile element
+ * @returns {string} - Lowercase tag name of the tile
+ */
+function getTileType(videoElement) {
+  return (videoElement.tagName || '').toLowerCase();
+}
+
+/**
+ * Parse a video tile into a structured record
+ * @param {Element} videoElement - The video tile element
+ * @returns {{
+ *   tileType: string,
+ *   videoId: string|null,
+ *   title: string|null,
+ *   channelName: string|null,
+ *   channelHandle: string|null,
+ *   channelId: string|null,
+ *   duration: string|null,
+ *   durationSeconds: number|null,
+ *   viewCount: number|null,
+ *   uploadAge: string|null,
+ *   badges: {live: boolean, premiere: boolean, members: boolean},
+ *   isShort: boolean,
+ *   context: string|null
+ * }|null} - Parsed record, or null if the element cannot be parsed
+ */
+export function parseVideoTile(videoElement) {
+  if (!videoElement || typeof videoElement.querySelector !== 'function') {
+    return null;
+  }
+
+  try {
+    const tileType = getTileType(videoElement);
+    const link = videoElement.querySelector(getTileFieldSelector('videoLink'));
+    const { videoId, isShort: isShortLink } = parseVideoHref(link && link.getAttribute('href'));
+    const title = extractVideoTitle(videoElement);
+    const channelName = extractChannelName(videoElement);
+    const duration = findFirstText(videoElement, 'duration', false);
+    const metadataTexts = collectMetadataTexts(videoElement);
+
+    let viewCount = null;
+    let uploadAge = null;
+    for (const text of metadataTexts) {
+      if (viewCount === null) viewCount = parseViewCount(text);
+      if (uploadAge === null && UPLOAD_AGE_PATTERN.test(text)) uploadAge = text;
+    }
+
+    const durationSeconds = parseDuration(duration);
+
+    return {
+      tileType,
+      videoId,
+      title,
+      channelName,
+      ...extractChannelIdentity(videoElement),
+      duration: durationSeconds !== null ? duration : null,
+      durationSeconds,
+      viewCount,
+      uploadAge,
+      badges: detectBadges(videoElement, metadataTexts),
+      isShort: isShortLink || tileType === 'ytm-shorts-lockup-view-model-v2',
+      context: buildContext(title, channelName)
+    };
+  } catch (error) {
+    logger.error('Error parsing video tile:', error);
+    return null;
+  }
+}
@@ -4,21 +4,27 @@
  */
 
 import logger from '../logger.js';
-import { createSharedMutationObserver } from './mutationObserverUtils.js';
 import { showShortsToast } from './toastUtils.js';
+import { getPageType } from './navigationService.js';
+import { getPageSelectors, queryAllTracked } from './selectorRegistry.js';
+import { PAGE_POLICY_KEYS, normalizePagePolicySettings, getPagePolicy } from './pagePolicy.js';
 
 // State management
 let removeShortsSection = true;
+let pagePolicies = normalizePagePolicySettings(); // Shorts sections are only removed on fully filtered pages
 let hiddenElements = new WeakSet(); // Track elements we've hidden
+let scanScheduler = null; // Shared scheduler that hands this component the Shorts sections added to the page
+let removalTimeout = null; // Second pass shortly after load, in case the page is still loading
 
 
 /**
- * Check if we're on a search results page
- * @returns {boolean} - True if on search results page
+ * Get the Shorts section selectors for a page type
+ * @param {string} [pageType] - Page type from getPageType(); defaults to the current page
+ * @returns {string[]} - Shorts section selectors, empty on pages where Shorts are left alone
  */
-function isSearchResultsPage() {
-  const url = window.location.href;
-  return /youtube\.com\/(results|search)/.test(url);
+function getShortsSelectorsForPage(pageType = getPageType(window.location.href)) {
+  if (getPagePolicy(pageType, pagePolicies) !== 'filter') return [];
+  return getPageSelectors(pageType).shorts;
 }
 
 
@@ -27,8 +33,9 @@ function isSearchResultsPage() {
  */
 async function loadShortsSettings() {
   try {
-    const result = await chrome.storage.local.get(['removeShortsSection']);
+    const result = await chrome.storage.local.get(['removeShortsSection', ...PAGE_POLICY_KEYS]);
     removeShortsSection = result.removeShortsSection !== undefined ? !!result.removeShortsSection : true;
+    pagePolicies = normalizePagePolicySettings(result);
   } catch (error) {
     logger.error('Failed to load Shorts section removal setting:', error);
   }
@@ -40,27 +47,14 @@ async function loadShortsSettings() {
 function showShortsSectionsFromDOM() {
   logger.debug('showShortsSectionsFromDOM called');
   
-  // Skip processing on search results pages
-  if (isSearchResultsPage()) {
-    logger.debug('Search results page detected - skipping Shorts processing');
-    return;
-  }
-  
-  const selectors = [
-    'ytd-rich-section-renderer',
-    'ytd-reel-shelf-renderer'
-  ];
+  // Look at every Shorts section the page type has, also once the page is no longer filtered
   let shownCount = 0;
-  for (const selector of selectors) {
-    const elements = document.querySelectorAll(selector);
-    logger.debug(`Found ${elements.length} elements for selector: ${selector}`);
-    elements.forEach(el => {
-      if (hiddenElements.has(el)) {
-        el.style.display = '';
-        hiddenElements.delete(el);
-        shownCount++;
-      }
-    });
+  for (const el of queryAllTracked(getPageSelectors(getPageType(window.location.href)).shorts)) {
+    if (hiddenElements.has(el)) {
+      el.style.display = '';
+      hiddenElements.delete(el);
+      shownCount++;
+    }
   }
   if (shownCount > 0) {
     logger.info(`Showed ${shownCount} Shorts section(s)`);
@@ -71,33 +65,27 @@ function showShortsSectionsFromDOM() {
 
 /**
  * Remove or show Shorts sections from the DOM based on setting
+ * @param {Element[]} [elements] - New Shorts sections; defaults to every section on the page
  */
-function removeShortsSectionsFromDOM() {
+function removeShortsSectionsFromDOM(elements = null) {
   logger.debug(`removeShortsSectionsFromDOM called, removeShortsSection: ${removeShortsSection}`);
   
-  // Skip processing on search results pages
-  if (isSearchResultsPage()) {
-    logger.debug('Search results page detected - skipping Shorts processing');
-    return;
+  // Pages that are not fully filtered, e.g. search results by default, keep their Shorts sections
+  const selectors = getShortsSelectorsForPage();
+  if (selectors.length === 0) {
+    logger.debug('Shorts sections are not removed on this page');
   }
   
-  if (removeShortsSection) {
+  if (removeShortsSection && selectors.length > 0) {
     // Hide Shorts sections
-    const selectors = [
-      'ytd-rich-section-renderer',
-      'ytd-reel-shelf-renderer'
-    ];
+    const sections = elements || queryAllTracked(selectors);
     let removedCount = 0;
-    for (const selector of selectors) {
-      const elements = document.querySelectorAll(selector);
-      logger.debug(`Found ${elements.length} elements for selector: ${selector}`);
-      elements.forEach(el => {
-        if (el.style.display !== 'none') {
-          el.style.display = 'none';
-          hiddenElements.add(el);
-          removedCount++;
-        }
-      });
+    for (const el of sections) {
+      if (el.style.display !== 'none') {
+        el.style.display = 'none';
+        hiddenElements.add(el);
+        removedCount++;
+      }
     }
     if (removedCount > 0) {
       logger.info(`Removed ${removedCount} Shorts section(s)`);
@@ -113,69 +101,88 @@ function removeShortsSectionsFromDOM() {
 }
 
 /**
- * Set up storage change listener for Shorts section removal
+ * Apply a changed Shorts section removal setting
+ * @param {Object} changes - Storage changes
  */
-function setupShortsStorageListener() {
-  chrome.storage.onChanged.addListener((changes) => {
-    if (changes.removeShortsSection) {
-      loadShortsSettings().then(() => {
-        logger.info(`Shorts section removal setting changed to: ${removeShortsSection}`);
-        // Apply new setting (hide or show based on new value)
-        removeShortsSectionsFromDOM();
-      });
-    }
+function handleStorageChange(changes) {
+  if (changes.removeShortsSection || PAGE_POLICY_KEYS.some(key => changes[key])) {
+    loadShortsSettings().then(() => {
+      logger.info(`Shorts section removal setting changed to: ${removeShortsSection}`);
+      // Apply new setting (hide or show based on new value)
+      armForPage(getPageType(window.location.href));
+      removeShortsSectionsFromDOM();
+    });
+  }
+}
+
+/**
+ * Stop watching the page for Shorts sections
+ */
+function disarm() {
+  scanScheduler.unregister('youtubeShorts');
+  clearTimeout(removalTimeout);
+  removalTimeout = null;
+}
+
+/**
+ * Watch the page for new Shorts sections, if the page type has Shorts selectors
+ * @param {string} pageType - Page type from getPageType()
+ */
+function armForPage(pageType) {
+  disarm();
+  const selectors = getShortsSelectorsForPage(pageType);
+  if (selectors.length === 0) return;
+
+  scanScheduler.register('youtubeShorts', {
+    selectors,
+    onAdded: removeShortsSectionsFromDOM
   });
 }
 
 /**
- * Debounced function to avoid excessive processing
+ * Re-arm for the new page and remove the Shorts sections it already has
+ * @param {{pageType: string}} navigation - Navigation from the navigation service
  */
-let removalTimeout = null;
-function debouncedShortsAction() {
-  if (removalTimeout) {
-    clearTimeout(removalTimeout);
-  }
-  removalTimeout = setTimeout(removeShortsSectionsFromDOM, 250); // 250ms debounce
+function onNavigate({ pageType }) {
+  armForPage(pageType);
+  removeShortsSectionsFromDOM();
+}
+
+/**
+ * Tear the component down
+ */
+function dispose() {
+  disarm();
+  chrome.storage.onChanged.removeListener(handleStorageChange);
 }
 
 /**
  * Initialize the YouTube Shorts component
+ * @param {Object} scheduler - Shared scan scheduler from createScanScheduler()
  */
-export async function initializeYouTubeShortsContent() {
+export async function initializeYouTubeShortsContent(scheduler) {
   logger.info('YouTube Shorts component initializing');
+  scanScheduler = scheduler;
 
   // Load initial settings
   await loadShortsSettings();
   logger.info(`Shorts removal enabled: ${removeShortsSection}`);
   
   // Set up storage change listener
-  setupShortsStorageListener();
+  chrome.storage.onChanged.addListener(handleStorageChange);
 
   // Initial removal if enabled
   removeShortsSectionsFromDOM();
   
+  armForPage(getPageType(window.location.href));
+
   // Also try again after a short delay in case the page is still loading
-  setTimeout(() => {
-    removeShortsSectionsFromDOM();
-  }, 1000);
-
-  // Set up mutation observer for dynamic content loading
-  const shortsSelectors = [
-    'ytd-rich-section-renderer',
-    'ytd-reel-shelf-renderer'
-  ];
-  
-  const observer = createSharedMutationObserver(shortsSelectors, debouncedShortsAction, 250);
-  
-  // Start observing
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+  removalTimeout = setTimeout(removeShortsSectionsFromDOM, 1000);
 
   return {
+    onNavigate,
+    dispose,
     removeShortsSectionsFromDOM,
-    showShortsSectionsFromDOM,
-    debouncedShortsAction
+    showShortsSectionsFromDOM
   };
 }
@@ -0,0 +1,58 @@
+/**
+ * Bring-your-own-key LLM Settings
+ * Stored under `llmSettings` and shared by the popup, the content script and the service worker
+ */
+
+/**
+ * Storage key of the user's LLM settings
+ */
+export const LLM_SETTINGS_KEY = 'llmSettings';
+
+/**
+ * Supported LLM API flavours and their defaults
+ */
+export const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI-compatible',
+    baseUrl: 'https://api.openai.com/v1',
+    modelName: 'gpt-4o-mini'
+  },
+  gemini: {
+    label: 'Gemini',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    modelName: 'gemini-2.5-flash'
+  }
+};
+
+/**
+ * Merge stored LLM settings over the defaults of the chosen provider, ignoring blank values
+ * @param {Object} [stored] - Settings stored by the popup
+ * @returns {{provider: string, baseUrl: string, modelName: string, apiKey: string}} Complete settings
+ */
+export function resolveLLMSettings(stored) {
+  const provider = stored && LLM_PROVIDERS[stored.provider] ? stored.provider : 'openai';
+  const defaults = LLM_PROVIDERS[provider];
+  const pick = (key, fallback) => {
+    const value = stored && typeof stored[key] === 'string' ? stored[key].trim() : '';
+    return value || fallback;
+  };
+  return {
+    provider,
+    baseUrl: pick('baseUrl', defaults.baseUrl).replace(/\/+$/, ''),
+    modelName: pick('modelName', defaults.modelName),
+    apiKey: pick('apiKey', '')
+  };
+}
+
+/**
+ * Whether the user has configured an LLM to call
+ * A key is required except for OpenAI-compatible servers at a custom URL (e.g. a local server)
+ * @param {Object} [stored] - Settings stored by the popup
+ * @returns {boolean} True if the LLM backend can be used
+ */
+export function isLLMConfigured(stored) {
+  if (!stored) return false;
+  const settings = resolveLLMSettings(stored);
+  if (settings.apiKey) return true;
+  return settings.provider === 'openai' && settings.baseUrl !== LLM_PROVIDERS.openai.baseUrl;
+}
@@ -24,14 +24,15 @@ function randomBetween(min, max) {
 /**
  * Mark the first N videos as 'Not interested' on the YouTube homepage.
  * @param {number} count - Number of videos to process (default 10)
+ * @param {{tiles: string, menuButton: string, menuItem: string}} selectors - Selectors from the selector registry
  */
-export async function markVideosNotInterested(count = 10) {
-  const videos = document.querySelectorAll('ytd-rich-item-renderer');
+export async function markVideosNotInterested(count = 10, selectors) {
+  const videos = document.querySelectorAll(selectors.tiles);
   let processed = 0;
   for (let i = 0; i < videos.length && processed < count; i++) {
     const video = videos[i];
     // 1. Find and click the menu button (three dots)
-    const menuBtn = video.querySelector('button[aria-label*="Action menu"], button[aria-label*="More actions"]');
+    const menuBtn = video.querySelector(selectors.menuButton);
     if (!menuBtn) {
       console.warn(`Menu button not found for video #${i + 1}`);
       continue;
@@ -41,7 +42,7 @@ export async function markVideosNotInterested(count = 10) {
     await wait(400 + randomBetween(0, 200));
     // 3. Find and click the 'Not interested' menu item
     // The menu is rendered at the document level, not inside the video tile
-    const menuItems = document.querySelectorAll('yt-list-item-view-model');
+    const menuItems = document.querySelectorAll(selectors.menuItem);
     let found = false;
     for (const item of menuItems) {
       if (item.textContent && item.textContent.trim().toLowerCase().includes('not interested')) {
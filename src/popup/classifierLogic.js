@@ -0,0 +1,221 @@
+/**
+ * Classifier Settings - Logic Layer
+ * Handles the classifier backend order, confidence threshold, serving status, server and LLM settings
+ * and offline rule storage
+ */
+
+import { parseRulesText, formatRulesText, loadRules, saveRules } from './topicRulesModel.js';
+import {
+  validateServerSettings, requestServerPermission, loadServerSettings, saveServerSettings, testServerConnection
+} from './serverSettingsModel.js';
+import {
+  validateLLMSettings, requestLLMPermission, loadLLMSettings, saveLLMSettings, testLLMConnection
+} from './llmSettingsModel.js';
+import {
+  renderClassifierOrder, renderClassifierStatus, setClassifierError,
+  renderConfidenceThreshold, renderConfidenceThresholdScope, setupConfidenceThresholdListener,
+  setRulesForm, getRulesForm, setRulesError, setupSaveRulesListener,
+  setServerForm, getServerForm, setServerMessage, setupServerListeners, setServerTestBusy,
+  setLLMForm, getLLMForm, setLLMPlaceholders, setLLMMessage, setupLLMListeners, setLLMTestBusy
+} from './classifierView.js';
+import { resolveClassifierOrder } from '../contentScript/textClassifier.js';
+import { getDefaultServerSettings } from '../contentScript/textClassifierServer.js';
+import { LLM_PROVIDERS } from '../llmSettings.js';
+import { DEFAULT_CLASSIFIER_ORDER } from '../contentScript/textClassifierComposite.js';
+import { DEFAULT_CONFIDENCE_THRESHOLD, SCORING_BACKENDS } from '../contentScript/classificationUtils.js';
+import logger from '../logger.js';
+
+/**
+ * Initialize the Classifier Settings component
+ * @returns {Object} - Component interface with public methods
+ */
+export async function initializeClassifierSettings() {
+  let order = DEFAULT_CLASSIFIER_ORDER.slice();
+  let status = null;
+  let threshold = DEFAULT_CONFIDENCE_THRESHOLD;
+  try {
+    const result = await chrome.storage.local.get([
+      'classifierOrder', 'classifierBackend', 'classifierStatus', 'confidenceThreshold'
+    ]);
+    order = resolveClassifierOrder(result).slice();
+    status = result.classifierStatus || null;
+    if (typeof result.confidenceThreshold === 'number') threshold = result.confidenceThreshold;
+
+    // Replace the single-backend setting of older versions with an explicit order
+    if (!Array.isArray(result.classifierOrder)) {
+      await chrome.storage.local.set({ classifierOrder: order });
+      await chrome.storage.local.remove('classifierBackend');
+    }
+  } catch (error) {
+    logger.error('Failed to load classifier order:', error);
+  }
+
+  async function saveOrder(next) {
+    order = next;
+    render();
+    await chrome.storage.local.set({ classifierOrder: order });
+  }
+
+  const orderHandlers = {
+    onToggle: async (name, enabled) => {
+      setClassifierError('');
+      if (!enabled && order.length === 1 && order[0] === name) {
+        setClassifierError('Keep at least one classifier enabled.');
+        render();
+        return;
+      }
+      await saveOrder(enabled ? [...order, name] : order.filter(n => n !== name));
+    },
+    onMove: async (name, direction) => {
+      setClassifierError('');
+      const index = order.indexOf(name);
+      const target = index + direction;
+      if (index === -1 || target < 0 || target >= order.length) return;
+      const next = order.slice();
+      [next[index], next[target]] = [next[target], next[index]];
+      await saveOrder(next);
+    }
+  };
+
+  function render() {
+    renderClassifierOrder(order, DEFAULT_CLASSIFIER_ORDER, orderHandlers);
+    // The threshold only filters scored matches, so say which enabled classifiers it affects
+    renderConfidenceThresholdScope(
+      order.filter(name => SCORING_BACKENDS.includes(name)),
+      order.filter(name => !SCORING_BACKENDS.includes(name))
+    );
+  }
+
+  render();
+  renderClassifierStatus(status);
+  renderConfidenceThreshold(threshold);
+
+  setupConfidenceThresholdListener(async (value) => {
+    threshold = value;
+    await chrome.storage.local.set({ confidenceThreshold: threshold });
+  });
+
+  // Keep the serving status live while the popup is open
+  chrome.storage.onChanged.addListener((changes) => {
+    if (changes.classifierStatus) {
+      status = changes.classifierStatus.newValue || null;
+      renderClassifierStatus(status);
+    }
+  });
+
+  const { topicRules, options } = await loadRules();
+  setRulesForm(formatRulesText(topicRules), options);
+
+  setupSaveRulesListener(async () => {
+    setRulesError('');
+    const form = getRulesForm();
+    try {
+      const parsed = parseRulesText(form.text);
+      await saveRules(parsed, form.options);
+      setRulesForm(formatRulesText(parsed), form.options);
+    } catch (msg) {
+      setRulesError(String(msg));
+    }
+  });
+
+  setServerForm(await loadServerSettings(), getDefaultServerSettings());
+
+  /**
+   * Validate a settings form and ask for access to the origin it points at.
+   * Must run straight from a click so Chrome shows the permission prompt.
+   * @param {Object} form
+   * @param {Function} form.read - Reads the raw form values
+   * @param {Function} form.validate - Validates raw values, throwing a message when invalid
+   * @param {Function} form.requestPermission - Requests the host permission for validated values
+   * @param {Function} form.setMessage - Shows a message under the form
+   * @returns {Promise<Object|null>} - Validated settings, or null when invalid or access was denied
+   */
+  async function prepareSettings({ read, validate, requestPermission, setMessage }) {
+    setMessage('');
+    let settings;
+    try {
+      settings = validate(read());
+    } catch (msg) {
+      setMessage(String(msg), true);
+      return null;
+    }
+    let granted = false;
+    try {
+      granted = await requestPermission(settings);
+    } catch (error) {
+      logger.error('Failed to request host permission:', error);
+    }
+    if (!granted) {
+      setMessage('Access to the server was not granted.', true);
+      return null;
+    }
+    return settings;
+  }
+
+  const serverForm = {
+    read: getServerForm,
+    validate: validateServerSettings,
+    requestPermission: requestServerPermission,
+    setMessage: setServerMessage
+  };
+
+  setupServerListeners({
+    onSave: async () => {
+      const settings = await prepareSettings(serverForm);
+      if (!settings) return;
+      await saveServerSettings(settings);
+      setServerForm(settings, getDefaultServerSettings());
+      setServerMessage('Server settings saved.');
+    },
+    onTest: async () => {
+      const settings = await prepareSettings(serverForm);
+      if (!settings) return;
+      setServerTestBusy(true);
+      try {
+        setServerMessage(await testServerConnection(settings));
+      } catch (msg) {
+        setServerMessage(String(msg), true);
+      } finally {
+        setServerTestBusy(false);
+      }
+    }
+  });
+
+  setLLMForm(await loadLLMSettings(), LLM_PROVIDERS);
+
+  const llmForm = {
+    read: getLLMForm,
+    validate: validateLLMSettings,
+    requestPermission: requestLLMPermission,
+    setMessage: setLLMMessage
+  };
+
+  setupLLMListeners({
+    onProviderChange: (provider) => setLLMPlaceholders(LLM_PROVIDERS[provider] || LLM_PROVIDERS.openai),
+    onSave: async () => {
+      const settings = await prepareSettings(llmForm);
+      if (!settings) return;
+      await saveLLMSettings(settings);
+      setLLMMessage('LLM settings saved.');
+    },
+    onTest: async () => {
+      const settings = await prepareSettings(llmForm);
+      if (!settings) return;
+      setLLMTestBusy(true);
+      try {
+        setLLMMessage(await testLLMConnection(settings));
+      } catch (msg) {
+        setLLMMessage(String(msg), true);
+      } finally {
+        setLLMTestBusy(false);
+      }
+    }
+  });
+
+  // Return public interface
+  return {
+    getClassifierOrder: () => order,
+    getClassifierStatus: () => status,
+    getConfidenceThreshold: () => threshold
+  };
+}
@@ -0,0 +1,412 @@
+/**
+ * Classifier Settings - View Layer
+ * Handles all DOM manipulation and UI rendering for the classifier settings section
+ */
+
+/**
+ * Human readable backend names
+ */
+const BACKEND_LABELS = {
+  builtin: 'Built-in AI (on device)',
+  llm: 'Your own LLM key',
+  server: 'AI server',
+  rules: 'Offline keyword rules'
+};
+
+/**
+ * Get classifier settings elements
+ * @returns {Object} - Elements of the classifier settings section
+ */
+export function getClassifierElements() {
+  return {
+    orderList: document.getElementById('classifier-order-list'),
+    status: document.getElementById('classifier-status'),
+    threshold: document.getElementById('confidence-threshold'),
+    thresholdValue: document.getElementById('confidence-threshold-value'),
+    thresholdNote: document.getElementById('confidence-threshold-note'),
+    orderError: document.getElementById('classifier-error-msg'),
+    rulesSection: document.getElementById('rules-section'),
+    rulesInput: document.getElementById('rules-input'),
+    wholeWord: document.getElementById('rules-whole-word'),
+    caseSensitive: document.getElementById('rules-case-sensitive'),
+    saveBtn: document.getElementById('rules-save-btn'),
+    error: document.getElementById('rules-error-msg'),
+    serverSection: document.getElementById('server-section'),
+    serverInputs: {
+      baseUrl: document.getElementById('server-base-url'),
+      endpointPath: document.getElementById('server-endpoint-path'),
+      provider: document.getElementById('server-provider'),
+      modelName: document.getElementById('server-model-name'),
+      authHeaderName: document.getElementById('server-auth-header-name'),
+      authHeaderValue: document.getElementById('server-auth-header-value')
+    },
+    serverSaveBtn: document.getElementById('server-save-btn'),
+    serverTestBtn: document.getElementById('server-test-btn'),
+    serverMessage: document.getElementById('server-msg'),
+    llmSection: document.getElementById('llm-section'),
+    llmInputs: {
+      provider: document.getElementById('llm-provider'),
+      baseUrl: document.getElementById('llm-base-url'),
+      modelName: document.getElementById('llm-model-name'),
+      apiKey: document.getElementById('llm-api-key')
+    },
+    llmSaveBtn: document.getElementById('llm-save-btn'),
+    llmTestBtn: document.getElementById('llm-test-btn'),
+    llmMessage: document.getElementById('llm-msg')
+  };
+}
+
+/**
+ * Get the display label of a backend
+ * @param {string} name - Backend name
+ * @returns {string} - Label
+ */
+export function getBackendLabel(name) {
+  return BACKEND_LABELS[name] || name;
+}
+
+/**
+ * Create a small icon button for the order list
+ * @param {string} label - Accessible label
+ * @param {string} text - Button text
+ * @param {boolean} disabled - Whether the button is disabled
+ * @param {Function} onClick - Click callback
+ * @returns {HTMLButtonElement} - The button
+ */
+function createOrderButton(label, text, disabled, onClick) {
+  const button = document.createElement('button');
+  button.className = 'btn btn-xs btn-ghost';
+  button.setAttribute('aria-label', label);
+  button.textContent = text;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Render the classifier backends, enabled ones first in the order they are tried
+ * @param {string[]} order - Enabled backend names in order
+ * @param {string[]} allBackends - Every known backend name
+ * @param {Object} handlers
+ * @param {Function} handlers.onToggle - Called with (name, enabled)
+ * @param {Function} handlers.onMove - Called with (name, direction) where direction is -1 or 1
+ */
+export function renderClassifierOrder(order, allBackends, { onToggle, onMove }) {
+  const { orderList, rulesSection, serverSection, llmSection } = getClassifierElements();
+  if (rulesSection) {
+    rulesSection.style.display = order.includes('rules') ? '' : 'none';
+  }
+  if (serverSection) {
+    serverSection.style.display = order.includes('server') ? '' : 'none';
+  }
+  if (llmSection) {
+    llmSection.style.display = order.includes('llm') ? '' : 'none';
+  }
+  if (!orderList) return;
+  orderList.innerHTML = '';
+
+  const disabled = allBackends.filter(name => !order.includes(name));
+  [...order, ...disabled].forEach(name => {
+    const enabled = order.includes(name);
+    const position = order.indexOf(name);
+
+    const li = document.createElement('li');
+    li.className = 'flex items-center justify-between gap-2';
+
+    const label = document.createElement('label');
+    label.className = 'flex items-center gap-1 text-xs font-light text-gray-500 align-middle';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'checkbox checkbox-xs align-middle';
+    checkbox.checked = enabled;
+    checkbox.addEventListener('change', () => onToggle(name, checkbox.checked));
+    const text = document.createElement('span');
+    text.className = 'align-middle';
+    text.textContent = enabled ? `${position + 1}. ${getBackendLabel(name)}` : getBackendLabel(name);
+    label.appendChild(checkbox);
+    label.appendChild(text);
+
+    const controls = document.createElement('div');
+    controls.className = 'flex gap-1';
+    controls.appendChild(createOrderButton('Move up', '↑', !enabled || position === 0, () => onMove(name, -1)));
+    controls.appendChild(createOrderButton('Move down', '↓', !enabled || position === order.length - 1, () => onMove(name, 1)));
+
+    li.appendChild(label);
+    li.appendChild(controls);
+    orderList.appendChild(li);
+  });
+}
+
+/**
+ * Show the minimum confidence threshold
+ * @param {number} threshold - Threshold between 0 and 1
+ */
+export function renderConfidenceThreshold(threshold) {
+  const { threshold: input, thresholdValue } = getClassifierElements();
+  const percent = Math.round(threshold * 100);
+  if (input) input.value = String(percent);
+  if (thresholdValue) thresholdValue.textContent = `${percent}%`;
+}
+
+/**
+ * Show which enabled classifiers the threshold applies to; the slider is disabled when none reports a score
+ * @param {string[]} scoring - Enabled backends that report confidence scores
+ * @param {string[]} unscored - Enabled backends that do not
+ */
+export function renderConfidenceThresholdScope(scoring, unscored) {
+  const { threshold: input, thresholdNote } = getClassifierElements();
+  if (input) input.disabled = scoring.length === 0;
+  if (!thresholdNote) return;
+  if (scoring.length === 0) {
+    thresholdNote.textContent = 'None of the enabled classifiers reports a confidence score, so every match counts.';
+  } else if (unscored.length > 0) {
+    thresholdNote.textContent = `Applies to ${scoring.map(getBackendLabel).join(', ')} only; ` +
+      `matches from ${unscored.map(getBackendLabel).join(', ')} always count.`;
+  } else {
+    thresholdNote.textContent = '';
+  }
+}
+
+/**
+ * Set up the confidence threshold slider
+ * @param {Function} onChange - Called with the new threshold (0-1) once the slider is released
+ */
+export function setupConfidenceThresholdListener(onChange) {
+  const { threshold: input, thresholdValue } = getClassifierElements();
+  if (!input) return;
+  input.addEventListener('input', () => {
+    if (thresholdValue) thresholdValue.textContent = `${input.value}%`;
+  });
+  input.addEventListener('change', () => onChange(Number(input.value) / 100));
+}
+
+/**
+ * Show which backend is serving requests and which backends are paused after errors
+ * @param {Object|null} status - Status published by the content script
+ */
+export function renderClassifierStatus(status) {
+  const { status: statusEl } = getClassifierElements();
+  if (!statusEl) return;
+
+  if (!status || !status.backends) {
+    statusEl.textContent = 'Serving now: not used yet. Open YouTube to start filtering.';
+    return;
+  }
+
+  const active = status.activeBackend;
+  const activeHealth = active ? status.backends[active] : null;
+  const latency = activeHealth && activeHealth.avgLatencyMs !== null ? ` (avg ${activeHealth.avgLatencyMs} ms)` : '';
+  const lines = [active
+    ? `Serving now: ${getBackendLabel(active)}${latency}`
+    : 'Serving now: no classifier available, videos are not being filtered'];
+
+  for (const [name, health] of Object.entries(status.backends)) {
+    if (health.state === 'open' && health.openUntil) {
+      const retryAt = new Date(health.openUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      lines.push(`${getBackendLabel(name)} paused after errors, retrying at ${retryAt}`);
+    }
+  }
+  statusEl.textContent = lines.join('\n');
+}
+
+/**
+ * Show a message under the classifier order list
+ * @param {string} message - Message text (empty to clear)
+ */
+export function setClassifierError(message) {
+  const { orderError } = getClassifierElements();
+  if (orderError) orderError.textContent = message || '';
+}
+
+/**
+ * Fill the rules editor
+ * @param {string} text - Rules text
+ * @param {{wholeWord: boolean, caseSensitive: boolean}} options - Matching options
+ */
+export function setRulesForm(text, options) {
+  const { rulesInput, wholeWord, caseSensitive } = getClassifierElements();
+  if (rulesInput) rulesInput.value = text;
+  if (wholeWord) wholeWord.checked = !!options.wholeWord;
+  if (caseSensitive) caseSensitive.checked = !!options.caseSensitive;
+}
+
+/**
+ * Read the rules editor
+ * @returns {{text: string, options: {wholeWord: boolean, caseSensitive: boolean}}}
+ */
+export function getRulesForm() {
+  const { rulesInput, wholeWord, caseSensitive } = getClassifierElements();
+  return {
+    text: rulesInput ? rulesInput.value : '',
+    options: {
+      wholeWord: wholeWord ? wholeWord.checked : true,
+      caseSensitive: caseSensitive ? caseSensitive.checked : false
+    }
+  };
+}
+
+/**
+ * Show a message under the rules editor
+ * @param {string} message - Message text (empty to clear)
+ */
+export function setRulesError(message) {
+  const { error } = getClassifierElements();
+  if (error) error.textContent = message || '';
+}
+
+/**
+ * Set up save rules button listener
+ * @param {Function} onSave - Callback for save button click
+ */
+export function setupSaveRulesListener(onSave) {
+  const { saveBtn } = getClassifierElements();
+  if (saveBtn) saveBtn.addEventListener('click', onSave);
+}
+
+/**
+ * Fill the server settings form
+ * @param {Object} settings - Stored server settings (blank fields use the defaults)
+ * @param {Object} defaults - Default server settings, shown as placeholders
+ */
+export function setServerForm(settings, defaults) {
+  const { serverInputs } = getClassifierElements();
+  for (const [key, input] of Object.entries(serverInputs)) {
+    if (!input) continue;
+    input.value = settings[key] || '';
+    if (key !== 'authHeaderValue' && defaults[key]) input.placeholder = defaults[key];
+  }
+}
+
+/**
+ * Read the server settings form
+ * @returns {Object} - Raw form values keyed by setting name
+ */
+export function getServerForm() {
+  const { serverInputs } = getClassifierElements();
+  const values = {};
+  for (const [key, input] of Object.entries(serverInputs)) {
+    values[key] = input ? input.value : '';
+  }
+  return values;
+}
+
+/**
+ * Show a success or error message in a settings form
+ * @param {HTMLElement|null} element - Message element
+ * @param {string} message - Message text (empty to clear)
+ * @param {boolean} isError - Whether the message is an error
+ */
+function setFormMessage(element, message, isError) {
+  if (!element) return;
+  element.textContent = message || '';
+  element.classList.toggle('text-error', isError);
+  element.classList.toggle('text-success', !isError);
+}
+
+/**
+ * Disable a test connection button while a request is in flight
+ * @param {HTMLButtonElement|null} button - Test button
+ * @param {boolean} busy - Whether a test is running
+ */
+function setTestButtonBusy(button, busy) {
+  if (!button) return;
+  button.disabled = busy;
+  button.textContent = busy ? 'Testing…' : 'Test connection';
+}
+
+/**
+ * Show a message under the server settings form
+ * @param {string} message - Message text (empty to clear)
+ * @param {boolean} [isError=false] - Whether the message is an error
+ */
+export function setServerMessage(message, isError = false) {
+  setFormMessage(getClassifierElements().serverMessage, message, isError);
+}
+
+/**
+ * Set up server settings button listeners
+ * @param {Object} handlers
+ * @param {Function} handlers.onSave - Callback for save button click
+ * @param {Function} handlers.onTest - Callback for test connection button click
+ */
+export function setupServerListeners({ onSave, onTest }) {
+  const { serverSaveBtn, serverTestBtn } = getClassifierElements();
+  if (serverSaveBtn) serverSaveBtn.addEventListener('click', onSave);
+  if (serverTestBtn) serverTestBtn.addEventListener('click', onTest);
+}
+
+/**
+ * Disable the server test button while a request is in flight
+ * @param {boolean} busy - Whether a test is running
+ */
+export function setServerTestBusy(busy) {
+  setTestButtonBusy(getClassifierElements().serverTestBtn, busy);
+}
+
+/**
+ * Fill the LLM settings form
+ * @param {Object} settings - Stored LLM settings (blank fields use the provider defaults)
+ * @param {Object} providers - Provider defaults keyed by provider name
+ */
+export function setLLMForm(settings, providers) {
+  const { llmInputs } = getClassifierElements();
+  if (llmInputs.provider) llmInputs.provider.value = settings.provider || 'openai';
+  if (llmInputs.baseUrl) llmInputs.baseUrl.value = settings.baseUrl || '';
+  if (llmInputs.modelName) llmInputs.modelName.value = settings.modelName || '';
+  if (llmInputs.apiKey) llmInputs.apiKey.value = settings.apiKey || '';
+  setLLMPlaceholders(providers[settings.provider] || providers.openai);
+}
+
+/**
+ * Show the defaults of the selected provider as placeholders
+ * @param {{baseUrl: string, modelName: string}} defaults - Provider defaults
+ */
+export function setLLMPlaceholders(defaults) {
+  const { llmInputs } = getClassifierElements();
+  if (llmInputs.baseUrl) llmInputs.baseUrl.placeholder = defaults.baseUrl;
+  if (llmInputs.modelName) llmInputs.modelName.placeholder = defaults.modelName;
+}
+
+/**
+ * Read the LLM settings form
+ * @returns {Object} - Raw form values keyed by setting name
+ */
+export function getLLMForm() {
+  const { llmInputs } = getClassifierElements();
+  const values = {};
+  for (const [key, input] of Object.entries(llmInputs)) {
+    values[key] = input ? input.value : '';
+  }
+  return values;
+}
+
+/**
+ * Show a message under the LLM settings form
+ * @param {string} message - Message text (empty to clear)
+ * @param {boolean} [isError=false] - Whether the message is an error
+ */
+export function setLLMMessage(message, isError = false) {
+  setFormMessage(getClassifierElements().llmMessage, message, isError);
+}
+
+/**
+ * Set up LLM settings listeners
+ * @param {Object} handlers
+ * @param {Function} handlers.onProviderChange - Called with the selected provider name
+ * @param {Function} handlers.onSave - Callback for save button click
+ * @param {Function} handlers.onTest - Callback for test connection button click
+ */
+export function setupLLMListeners({ onProviderChange, onSave, onTest }) {
+  const { llmInputs, llmSaveBtn, llmTestBtn } = getClassifierElements();
+  if (llmInputs.provider) llmInputs.provider.addEventListener('change', () => onProviderChange(llmInputs.provider.value));
+  if (llmSaveBtn) llmSaveBtn.addEventListener('click', onSave);
+  if (llmTestBtn) llmTestBtn.addEventListener('click', onTest);
+}
+
+/**
+ * Disable the LLM test button while a request is in flight
+ * @param {boolean} busy - Whether a test is running
+ */
+export function setLLMTestBusy(busy) {
+  setTestButtonBusy(getClassifierElements().llmTestBtn, busy);
+}
@@ -0,0 +1,56 @@
+/**
+ * Corrections - Logic Layer
+ * Shows, exports and clears the corrections made on YouTube pages ("Hide this" / "Not this topic")
+ */
+
+import {
+  VIDEO_OVERRIDES_KEY, LABELLED_EXAMPLES_KEY, USE_LABELLED_EXAMPLES_KEY, buildFeedbackExport
+} from '../videoFeedback.js';
+import {
+  renderFeedbackSummary, setUseLabelledExamples, getUseLabelledExamples, confirmClearFeedback,
+  downloadJson, setupFeedbackListeners
+} from './feedbackView.js';
+import logger from '../logger.js';
+
+/**
+ * Initialize the corrections component
+ * @returns {Object} - Component interface with public methods
+ */
+export async function initializeFeedback() {
+  let overrides = {};
+  let examples = [];
+  let useExamples = false;
+  try {
+    const result = await chrome.storage.local.get([VIDEO_OVERRIDES_KEY, LABELLED_EXAMPLES_KEY, USE_LABELLED_EXAMPLES_KEY]);
+    overrides = result[VIDEO_OVERRIDES_KEY] || {};
+    examples = result[LABELLED_EXAMPLES_KEY] || [];
+    useExamples = !!result[USE_LABELLED_EXAMPLES_KEY];
+  } catch (error) {
+    logger.error('Failed to load corrections:', error);
+  }
+
+  renderFeedbackSummary(Object.keys(overrides).length, examples.length);
+  setUseLabelledExamples(useExamples);
+
+  setupFeedbackListeners({
+    onToggleUseExamples: async () => {
+      useExamples = getUseLabelledExamples();
+      await chrome.storage.local.set({ [USE_LABELLED_EXAMPLES_KEY]: useExamples });
+    },
+    onExport: () => {
+      const date = new Date().toISOString().slice(0, 10);
+      downloadJson(`youtube-watch-guard-corrections-${date}.json`, buildFeedbackExport(examples, overrides));
+    },
+    onClear: async () => {
+      if (!confirmClearFeedback()) return;
+      overrides = {};
+      examples = [];
+      await chrome.storage.local.set({ [VIDEO_OVERRIDES_KEY]: overrides, [LABELLED_EXAMPLES_KEY]: examples });
+      renderFeedbackSummary(0, 0);
+    }
+  });
+
+  return {
+    getUseLabelledExamples: () => useExamples
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Corrections - View Layer
+ * Handles DOM manipulation for the corrections (video feedback) section
+ */
+
+/**
+ * Show how many corrections are stored
+ * @param {number} overrideCount - Number of corrected videos
+ * @param {number} exampleCount - Number of labelled examples
+ */
+export function renderFeedbackSummary(overrideCount, exampleCount) {
+  const summary = document.getElementById('feedback-summary');
+  if (!summary) return;
+  summary.textContent = overrideCount === 0
+    ? 'No corrections yet.'
+    : `${overrideCount} corrected video${overrideCount === 1 ? '' : 's'}, ${exampleCount} labelled example${exampleCount === 1 ? '' : 's'}.`;
+  const hasFeedback = overrideCount > 0;
+  for (const id of ['feedback-export-btn', 'feedback-clear-btn']) {
+    const button = document.getElementById(id);
+    if (button) button.disabled = !hasFeedback;
+  }
+}
+
+/**
+ * Set the "use corrections as examples" checkbox
+ * @param {boolean} enabled
+ */
+export function setUseLabelledExamples(enabled) {
+  const checkbox = document.getElementById('use-labelled-examples');
+  if (checkbox) checkbox.checked = enabled;
+}
+
+/**
+ * Get the "use corrections as examples" checkbox state
+ * @returns {boolean}
+ */
+export function getUseLabelledExamples() {
+  const checkbox = document.getElementById('use-labelled-examples');
+  return !!(checkbox && checkbox.checked);
+}
+
+/**
+ * Ask for a second click before clearing; resets after a few seconds
+ * @returns {boolean} - Whether the clear was confirmed
+ */
+export function confirmClearFeedback() {
+  const button = document.getElementById('feedback-clear-btn');
+  if (!button) return false;
+  if (button.dataset.confirming === 'true') {
+    delete button.dataset.confirming;
+    button.textContent = 'Clear';
+    return true;
+  }
+  button.dataset.confirming = 'true';
+  button.textContent = 'Click again to clear';
+  setTimeout(() => {
+    delete button.dataset.confirming;
+    button.textContent = 'Clear';
+  }, 3000);
+  return false;
+}
+
+/**
+ * Save a JSON document as a file download
+ * @param {string} fileName - Download file name
+ * @param {string} json - File contents
+ */
+export function downloadJson(fileName, json) {
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Set up the corrections section listeners
+ * @param {Object} handlers - onToggleUseExamples, onExport and onClear callbacks
+ */
+export function setupFeedbackListeners({ onToggleUseExamples, onExport, onClear }) {
+  const checkbox = document.getElementById('use-labelled-examples');
+  const exportBtn = document.getElementById('feedback-export-btn');
+  const clearBtn = document.getElementById('feedback-clear-btn');
+  if (checkbox) checkbox.addEventListener('change', onToggleUseExamples);
+  if (exportBtn) exportBtn.addEventListener('click', onExport);
+  if (clearBtn) clearBtn.addEventListener('click', onClear);
+}
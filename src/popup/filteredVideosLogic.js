@@ -0,0 +1,64 @@
+/**
+ * Filtered Videos - Logic Layer
+ * Asks the content script of the current tab which videos it filtered, and reveals them on request.
+ * Also warns when the content script's selectors no longer find the tiles on the page.
+ */
+
+import { setFilteredVideosStatus, setSelectorWarning, renderFilteredVideos, setupRevealAllListener } from './filteredVideosView.js';
+import logger from '../logger.js';
+
+/**
+ * Get the active tab if it is a YouTube page, else the YouTube tab used last,
+ * e.g. when the settings are open in a tab of their own
+ * @returns {Promise<Object|null>} - The tab, or null
+ */
+async function getYouTubeTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (tab && tab.url && /^https:\/\/(www\.)?youtube\.com\//.test(tab.url)) return tab;
+  const youTubeTabs = await chrome.tabs.query({ url: 'https://www.youtube.com/*' });
+  return youTubeTabs.reduce(
+    (latest, candidate) => (!latest || (candidate.lastAccessed || 0) > (latest.lastAccessed || 0) ? candidate : latest),
+    null
+  );
+}
+
+/**
+ * Initialize the filtered videos component
+ * @returns {Object} - Component interface with public methods
+ */
+export async function initializeFilteredVideos() {
+  let videos = [];
+  const tab = await getYouTubeTab();
+
+  async function send(message) {
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, message);
+      videos = response && response.videos ? response.videos : [];
+      setFilteredVideosStatus(videos.length === 0 ? 'No videos filtered on this page.' : '');
+      setSelectorWarning(response && response.health);
+    } catch (error) {
+      // No content script yet, e.g. the tab was open before the extension was installed
+      logger.error('Failed to reach the YouTube tab:', error);
+      videos = [];
+      setFilteredVideosStatus('Reload the YouTube tab to see its filtered videos.');
+    }
+    renderFilteredVideos(videos, handlers);
+  }
+
+  const handlers = {
+    onShow: videoId => send({ action: 'revealVideo', videoId }),
+    onNeverHide: videoId => send({ action: 'neverHideVideo', videoId })
+  };
+
+  if (!tab) {
+    setFilteredVideosStatus('Open YouTube to see the videos filtered there.');
+    renderFilteredVideos([], handlers);
+  } else {
+    setupRevealAllListener(() => send({ action: 'revealAllVideos' }));
+    await send({ action: 'getFilteredVideos' });
+  }
+
+  return {
+    getFilteredVideos: () => videos
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Filtered Videos - View Layer
+ * Renders the videos filtered on the current tab, with per-video reveal controls
+ */
+
+const ACTION_WORDS = { hide: 'Deactivated', delete: 'Deleted', blur: 'Blurred', mark: 'Marked' };
+
+/**
+ * Show a status line instead of (or above) the list
+ * @param {string} message - Status text, or '' to clear it
+ */
+export function setFilteredVideosStatus(message) {
+  const status = document.getElementById('filtered-videos-status');
+  if (status) status.textContent = message || '';
+}
+
+/**
+ * Show or hide the warning that the extension's selectors no longer match the page
+ * @param {{broken: boolean, reason: string|null}|null} health - Selector health from the content script
+ */
+export function setSelectorWarning(health) {
+  const warning = document.getElementById('selector-warning');
+  if (!warning) return;
+  const broken = !!(health && health.broken);
+  warning.style.display = broken ? '' : 'none';
+  warning.textContent = broken
+    ? ['Filtering may be broken on this page.', health.reason, 'YouTube may have changed its layout.'].filter(Boolean).join(' ')
+    : '';
+}
+
+/**
+ * Render the filtered videos list
+ * @param {Array<{videoId: string, title: string, channel: string, topic: string|null, action: string}>} videos
+ * @param {Object} handlers - onShow(videoId) and onNeverHide(videoId) callbacks
+ */
+export function renderFilteredVideos(videos, { onShow, onNeverHide }) {
+  const list = document.getElementById('filtered-videos-list');
+  const revealAllBtn = document.getElementById('reveal-all-btn');
+  if (!list) return;
+  list.textContent = '';
+  if (revealAllBtn) revealAllBtn.style.display = videos.length > 1 ? '' : 'none';
+
+  for (const video of videos) {
+    const li = document.createElement('li');
+    li.className = 'flex items-start justify-between gap-2 px-2 py-1 rounded';
+
+    const text = document.createElement('div');
+    text.className = 'flex-1 min-w-0';
+    const title = document.createElement('div');
+    title.className = 'text-xs font-semibold truncate';
+    title.textContent = video.title || video.videoId;
+    title.title = video.title || video.videoId;
+    const details = document.createElement('div');
+    details.className = 'text-xs font-light text-gray-500 truncate';
+    details.textContent = [
+      video.channel,
+      video.topic || 'not in your topics',
+      ACTION_WORDS[video.action] || video.action
+    ].filter(Boolean).join(' · ');
+    text.appendChild(title);
+    text.appendChild(details);
+
+    const controls = document.createElement('div');
+    controls.className = 'flex gap-1 shrink-0';
+    const showBtn = document.createElement('button');
+    showBtn.className = 'btn btn-xs btn-ghost text-primary';
+    showBtn.textContent = 'Show';
+    showBtn.addEventListener('click', () => onShow(video.videoId));
+    const neverBtn = document.createElement('button');
+    neverBtn.className = 'btn btn-xs btn-ghost';
+    neverBtn.textContent = 'Never hide';
+    neverBtn.title = 'Never hide this video';
+    neverBtn.addEventListener('click', () => onNeverHide(video.videoId));
+    controls.appendChild(showBtn);
+    controls.appendChild(neverBtn);
+
+    li.appendChild(text);
+    li.appendChild(controls);
+    list.appendChild(li);
+  }
+}
+
+/**
+ * Set up the "Reveal all on this page" button
+ * @param {Function} onRevealAll - Callback for button click
+ */
+export function setupRevealAllListener(onRevealAll) {
+  const revealAllBtn = document.getElementById('reveal-all-btn');
+  if (revealAllBtn) revealAllBtn.addEventListener('click', onRevealAll);
+}
@@ -3,41 +3,141 @@
  * Handles business logic, data management, and storage operations
  */
 
-import { addTopic, editTopic, removeTopic, loadTopics, saveTopics } from './topicsModel.js';
+import {
+  addTopic, editTopic, addTopicEntry, editTopicEntry, setTopicDetails, setTopicEnabled, snoozeTopic, removeTopic, loadTopics, saveTopics,
+  loadAllowTopics, saveAllowTopics, loadIntentTopics, saveIntentTopics
+} from './topicsModel.js';
+import { getTopicNames } from '../topics.js';
 import { 
   getElements, setError, clearError, setInput, getInput, 
-  renderTopics, renderTopicsCompact, setTopicEditMode, setVideoAction, getVideoAction,
-  setupVideoActionListeners, setupEditModeListeners, setupAddTopicListeners,
-  areElementsAvailable
+  renderTopics, TOPIC_ACTION_OPTIONS, renderTopicsCompact, setTopicEditMode, setVideoAction, getVideoAction,
+  setFilterMode, getFilterMode, setupFilterModeListener, setupVideoActionListeners, setupEditModeListeners, setupAddTopicListeners,
+  setDeletedPlaceholders, setupDeletedPlaceholdersListener, areElementsAvailable
 } from './hideUnwantedView.js';
 import logger from '../logger.js';
 
 /**
- * Initialize the Hide Unwanted Videos component
- * @returns {Object} - Component interface with public methods
+ * Wire up one editable topic list (compact line, edit mode, add/edit/remove)
+ * @param {string} listName - 'exclude', 'allow' or 'intent'
+ * @param {Array<string|Object>} initialTopics - Topics loaded from storage
+ * @param {Function} save - Persists the list
+ * @param {Function} getOtherTopics - Returns the opposite list, used for cross-list duplicate checks
+ * @param {Object} [options]
+ * @param {boolean} [options.withEntries=false] - Topics are entries with a per-topic action, enabled flag and snooze
+ * @returns {Object} - List interface with a getTopics method
  */
-export async function initializeHideUnwanted() {
-  // Check if elements are available before proceeding
-  if (!areElementsAvailable()) {
-    logger.error('Required DOM elements not available for Hide Unwanted component');
-    return null;
+function initializeTopicList(listName, initialTopics, save, getOtherTopics, { withEntries = false } = {}) {
+  let topics = initialTopics;
+  let editingIndex = null;
+  const actionOptions = withEntries ? TOPIC_ACTION_OPTIONS : null;
+
+  function renderList() {
+    renderTopics(topics, { ...topicActionHandlers, ...entryHandlers, editingIndex, actionOptions }, listName);
   }
 
-  let topics = await loadTopics();
-  let editingIndex = null;
-  let editMode = false;
+  function render() {
+    renderList();
+    renderTopicsCompact(topics, listName);
+  }
 
   // --- Topic Compact/Edit Mode Logic ---
   function showCompactMode() {
-    setTopicEditMode(false);
-    renderTopicsCompact(topics);
-    editMode = false;
+    setTopicEditMode(false, listName);
+    renderTopicsCompact(topics, listName);
   }
   
   function showEditMode() {
-    setTopicEditMode(true);
-    renderTopics(topics, { ...topicActionHandlers, editingIndex });
-    editMode = true;
+    setTopicEditMode(true, listName);
+    renderList();
+  }
+
+  const topicActionHandlers = {
+    onStartEdit: (index) => {
+      clearError(listName);
+      editingIndex = index;
+      renderList();
+    },
+    onConfirmEdit: async (index, updated, action, details) => {
+      clearError(listName);
+      try {
+        topics = withEntries
+          ? setTopicDetails(editTopicEntry(topics, index, updated, action, getOtherTopics()), index, details)
+          : editTopic(topics, index, updated, getOtherTopics());
+        await save(topics);
+        editingIndex = null;
+        render();
+      } catch (msg) {
+        setError(String(msg), listName);
+      }
+    },
+    onRemove: async (index) => {
+      clearError(listName);
+      topics = removeTopic(topics, index);
+      await save(topics);
+      render();
+    }
+  };
+
+  // Pausing a topic keeps it in the list but leaves it out of classification
+  const entryHandlers = withEntries ? {
+    onToggleEnabled: async (index, enabled) => {
+      clearError(listName);
+      topics = setTopicEnabled(topics, index, enabled);
+      await save(topics);
+      render();
+    },
+    onSnooze: async (index, duration) => {
+      clearError(listName);
+      topics = snoozeTopic(topics, index, duration === null ? null : Date.now() + duration);
+      await save(topics);
+      render();
+    }
+  } : {};
+
+  async function handleAdd() {
+    clearError(listName);
+    const raw = getInput(listName);
+    try {
+      topics = withEntries
+        ? addTopicEntry(topics, raw, getOtherTopics())
+        : addTopic(topics, raw, getOtherTopics());
+      await save(topics);
+      render();
+      setInput('', listName);
+    } catch (msg) {
+      setError(String(msg), listName);
+    }
+  }
+
+  function handleKeydown(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleAdd();
+    }
+  }
+
+  // Set up all event listeners
+  setupEditModeListeners(showEditMode, showCompactMode, listName);
+  setupAddTopicListeners(handleAdd, handleKeydown, listName);
+
+  // Initial render: compact mode
+  showCompactMode();
+  renderList();
+
+  return {
+    getTopics: () => topics
+  };
+}
+
+/**
+ * Initialize the Hide Unwanted Videos component
+ * @returns {Object} - Component interface with public methods
+ */
+export async function initializeHideUnwanted() {
+  // Check if elements are available before proceeding
+  if (!areElementsAvailable()) {
+    logger.error('Required DOM elements not available for Hide Unwanted component');
+    return null;
   }
 
   // Load video action (hide/delete) from storage and set radio button
@@ -70,76 +170,61 @@ export async function initializeHideUnwanted() {
       if (currentAction === 'delete') {
         await chrome.storage.local.set({ videoAction: 'delete' });
       }
-    }
-  );
-
-
-  const topicActionHandlers = {
-    onStartEdit: (index) => {
-      clearError();
-      editingIndex = index;
-      renderTopics(topics, { ...topicActionHandlers, editingIndex });
     },
-    onConfirmEdit: async (index, updated) => {
-      clearError();
-      try {
-        const next = editTopic(topics, index, updated);
-        topics = next;
-        await saveTopics(topics);
-        editingIndex = null;
-        renderTopics(topics, { ...topicActionHandlers, editingIndex });
-        // Also update compact view
-        renderTopicsCompact(topics);
-      } catch (msg) {
-        setError(String(msg));
+    async () => {
+      const currentAction = getVideoAction();
+      if (currentAction === 'blur') {
+        await chrome.storage.local.set({ videoAction: 'blur' });
       }
-    },
-    onRemove: async (index) => {
-      clearError();
-      const next = removeTopic(topics, index);
-      topics = next;
-      await saveTopics(topics);
-      renderTopics(topics, { ...topicActionHandlers, editingIndex });
-      // Also update compact view
-      renderTopicsCompact(topics);
     }
-  };
+  );
 
-  async function handleAdd() {
-    clearError();
-    const raw = getInput();
-    try {
-      const next = addTopic(topics, raw);
-      topics = next;
-      await saveTopics(topics);
-      renderTopics(topics, { ...topicActionHandlers, editingIndex });
-      renderTopicsCompact(topics);
-      setInput('');
-    } catch (msg) {
-      setError(String(msg));
-    }
+  // Deleted videos can leave a slim placeholder row instead of a gap
+  let deletedPlaceholders = false;
+  try {
+    const result = await chrome.storage.local.get(['deletedPlaceholders']);
+    deletedPlaceholders = !!result.deletedPlaceholders;
+  } catch (error) {
+    logger.error('Failed to load deleted placeholders setting:', error);
   }
+  setDeletedPlaceholders(deletedPlaceholders);
+  setupDeletedPlaceholdersListener(async (enabled) => {
+    deletedPlaceholders = enabled;
+    await chrome.storage.local.set({ deletedPlaceholders });
+  });
 
-
-  function handleKeydown(e) {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      handleAdd();
-    }
+  // Exclude mode hides videos matching the exclusion list, include mode hides everything
+  // that does not match the intent list
+  let filterMode = 'exclude';
+  try {
+    const result = await chrome.storage.local.get(['filterMode']);
+    filterMode = result.filterMode === 'include' ? 'include' : 'exclude';
+  } catch (error) {
+    logger.error('Failed to load filter mode:', error);
   }
+  setFilterMode(filterMode);
+  setupFilterModeListener(async () => {
+    filterMode = getFilterMode();
+    setFilterMode(filterMode);
+    await chrome.storage.local.set({ filterMode });
+  });
 
-  // Set up all event listeners
-  setupEditModeListeners(showEditMode, showCompactMode);
-  setupAddTopicListeners(handleAdd, handleKeydown);
-
-  // Initial render: compact mode
-  showCompactMode();
-  renderTopics(topics, { ...topicActionHandlers, editingIndex });
+  // Excluded and always-shown topics; a topic can only be in one of the two lists.
+  // Each excluded topic may override the video action above, and be paused or snoozed.
+  const [topics, allowTopics, intentTopics] = await Promise.all([loadTopics(), loadAllowTopics(), loadIntentTopics()]);
+  const excludeList = initializeTopicList('exclude', topics, saveTopics, () => allowList.getTopics(), { withEntries: true });
+  const allowList = initializeTopicList('allow', allowTopics, saveAllowTopics, () => excludeList.getTopics());
+  const intentList = initializeTopicList('intent', intentTopics, saveIntentTopics, () => []);
 
   // Return public interface
   return {
     // Public methods for external access if needed
-    getTopics: () => topics,
-    getVideoAction: () => videoAction
+    getTopics: () => getTopicNames(excludeList.getTopics()),
+    getTopicEntries: () => excludeList.getTopics(),
+    getAllowTopics: () => allowList.getTopics(),
+    getIntentTopics: () => intentList.getTopics(),
+    getFilterMode: () => filterMode,
+    getVideoAction: () => videoAction,
+    getDeletedPlaceholders: () => deletedPlaceholders
   };
 }
@@ -3,56 +3,211 @@
  * Handles all DOM manipulation and UI rendering for the hide unwanted videos section
  */
 
+// Element IDs of each topic list: 'exclude' (hide matches), 'allow' (always show matches)
+// and 'intent' (include-only mode: hide everything else)
+const TOPIC_LIST_IDS = {
+  exclude: {
+    input: 'topic-input',
+    addBtn: 'add-topic-btn',
+    list: 'topic-list',
+    error: 'error-msg',
+    compactRow: 'topic-compact-row',
+    compactList: 'topic-compact-list',
+    editSection: 'topic-edit-section',
+    editBtn: 'topic-edit-btn',
+    doneBtn: 'topic-edit-done-btn'
+  },
+  allow: {
+    input: 'allow-topic-input',
+    addBtn: 'add-allow-topic-btn',
+    list: 'allow-topic-list',
+    error: 'allow-error-msg',
+    compactRow: 'allow-topic-compact-row',
+    compactList: 'allow-topic-compact-list',
+    editSection: 'allow-topic-edit-section',
+    editBtn: 'allow-topic-edit-btn',
+    doneBtn: 'allow-topic-edit-done-btn'
+  },
+  intent: {
+    input: 'intent-topic-input',
+    addBtn: 'add-intent-topic-btn',
+    list: 'intent-topic-list',
+    error: 'intent-error-msg',
+    compactRow: 'intent-topic-compact-row',
+    compactList: 'intent-topic-compact-list',
+    editSection: 'intent-topic-edit-section',
+    editBtn: 'intent-topic-edit-btn',
+    doneBtn: 'intent-topic-edit-done-btn'
+  }
+};
+
 // DOM view helpers
-export function getElements() {
+export function getElements(listName = 'exclude') {
+  const ids = TOPIC_LIST_IDS[listName];
   return {
-    input: document.getElementById('topic-input'),
-    addBtn: document.getElementById('add-topic-btn'),
-    list: document.getElementById('topic-list'),
-    error: document.getElementById('error-msg')
+    input: document.getElementById(ids.input),
+    addBtn: document.getElementById(ids.addBtn),
+    list: document.getElementById(ids.list),
+    error: document.getElementById(ids.error)
   };
 }
 
-export function setError(message) {
-  const { error } = getElements();
+export function setError(message, listName = 'exclude') {
+  const { error } = getElements(listName);
   if (error) error.textContent = message || '';
 }
 
-export function clearError() {
-  setError('');
+export function clearError(listName = 'exclude') {
+  setError('', listName);
 }
 
-export function setInput(value) {
-  const { input } = getElements();
+export function setInput(value, listName = 'exclude') {
+  const { input } = getElements(listName);
   if (input) input.value = value;
 }
 
-export function getInput() {
-  const { input } = getElements();
+export function getInput(listName = 'exclude') {
+  const { input } = getElements(listName);
   return input ? input.value : '';
 }
 
 
-export function renderTopics(topics, { editingIndex = null, onStartEdit, onConfirmEdit, onRemove }) {
-  const { list } = getElements();
+// Per-topic action choices for the excluded topic list; '' uses the global video action
+export const TOPIC_ACTION_OPTIONS = [
+  { value: '', label: 'Default' },
+  { value: 'hide', label: 'Deactivate' },
+  { value: 'delete', label: 'Delete' },
+  { value: 'blur', label: 'Blur' }
+];
+
+// Snooze durations offered for a topic, in ms
+export const SNOOZE_OPTIONS = [
+  { value: 60 * 60 * 1000, label: '1 hour' },
+  { value: 24 * 60 * 60 * 1000, label: '1 day' },
+  { value: 7 * 24 * 60 * 60 * 1000, label: '1 week' }
+];
+
+function formatSnoozeEnd(until) {
+  return new Date(until).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// Paused state of a topic entry: 'disabled', 'snoozed' or null when it is classified
+function getTopicState(entry, now) {
+  if (typeof entry === 'string') return null;
+  if (entry.enabled === false) return 'disabled';
+  if (entry.snoozedUntil && entry.snoozedUntil > now) return 'snoozed';
+  return null;
+}
+
+// Description and example title fields shown under the edit row of a topic entry
+function createTopicDetailsFields(entry) {
+  const fields = document.createElement('div');
+  fields.className = 'flex flex-col gap-1 w-full mt-1 topic-details-fields';
+  const make = (className, placeholder, value) => {
+    const textarea = document.createElement('textarea');
+    textarea.className = `textarea textarea-bordered textarea-xs w-full ${className}`;
+    textarea.rows = 2;
+    textarea.placeholder = placeholder;
+    textarea.value = value;
+    fields.appendChild(textarea);
+    return textarea;
+  };
+  const description = make('topic-description-input', 'What you mean by this topic (optional)', entry.description || '');
+  const positive = make('topic-positive-input', 'Titles that belong, one per line (optional)', (entry.positiveExamples || []).join('\n'));
+  const negative = make('topic-negative-input', 'Similar titles that do not belong, one per line (optional)', (entry.negativeExamples || []).join('\n'));
+  const lines = textarea => textarea.value.split('\n');
+  return {
+    fields,
+    read: () => ({ description: description.value, positiveExamples: lines(positive), negativeExamples: lines(negative) })
+  };
+}
+
+// Enable toggle and snooze selector for a read row
+function addTopicStateControls(li, entry, state, index, { onToggleEnabled, onSnooze }) {
+  const controls = li.querySelector('.edit-btn').parentElement;
+
+  const snooze = document.createElement('select');
+  snooze.className = 'select select-ghost select-xs topic-snooze-select';
+  snooze.setAttribute('aria-label', 'Snooze topic');
+  const options = [{ value: '', label: state === 'snoozed' ? 'Snoozed' : 'Snooze' }, ...SNOOZE_OPTIONS];
+  if (state === 'snoozed') options.push({ value: 'resume', label: 'Resume now' });
+  for (const option of options) {
+    const el = document.createElement('option');
+    el.value = String(option.value);
+    el.textContent = option.label;
+    snooze.appendChild(el);
+  }
+  snooze.disabled = state === 'disabled';
+  snooze.addEventListener('change', () => {
+    if (snooze.value) onSnooze(index, snooze.value === 'resume' ? null : Number(snooze.value));
+  });
+
+  const toggle = document.createElement('input');
+  toggle.type = 'checkbox';
+  toggle.className = 'toggle toggle-xs toggle-success topic-enabled-toggle';
+  toggle.checked = entry.enabled !== false;
+  toggle.setAttribute('aria-label', 'Enable topic');
+  toggle.addEventListener('change', () => onToggleEnabled(index, toggle.checked));
+
+  controls.classList.add('items-center');
+  controls.prepend(toggle);
+  controls.prepend(snooze);
+}
+
+/**
+ * Render a topic list in edit mode.
+ * Topics are strings, or entries when actionOptions is given; the edit row then gets an action
+ * selector and description/example fields, and onConfirmEdit receives (index, name, action, details).
+ * Rows of entries also get an enable toggle (onToggleEnabled(index, enabled)) and a snooze
+ * selector (onSnooze(index, durationMs|null)) when those handlers are given; paused topics are dimmed.
+ * @param {Array<string|Object>} topics
+ * @param {Object} handlers - editingIndex, onStartEdit, onConfirmEdit, onRemove and optional
+ *   actionOptions, onToggleEnabled, onSnooze
+ * @param {string} [listName='exclude'] - Topic list to render
+ * @param {number} [now=Date.now()] - Current time, used to tell whether topics are snoozed
+ */
+export function renderTopics(topics, { editingIndex = null, onStartEdit, onConfirmEdit, onRemove, actionOptions = null, onToggleEnabled, onSnooze }, listName = 'exclude', now = Date.now()) {
+  const { list } = getElements(listName);
   if (!list) return;
   list.innerHTML = '';
   const template = document.getElementById('topic-list-item-template');
 
-  topics.forEach((t, index) => {
+  topics.forEach((entry, index) => {
+    const t = typeof entry === 'string' ? entry : entry.name;
+    const action = typeof entry === 'string' ? null : entry.action;
     let li;
     if (editingIndex === index) {
-      // Edit mode: single row with input + confirm button, tight spacing
+      // Edit mode: single row with input (+ action selector) + confirm button, tight spacing,
+      // and the topic details below it for entries
       const row = document.createElement('div');
       row.className = 'flex items-center gap-2 w-full';
 
       const input = document.createElement('input');
       input.className = 'input input-bordered input-sm flex-1';
       input.value = t;
+
+      let select = null;
+      if (actionOptions) {
+        select = document.createElement('select');
+        select.className = 'select select-bordered select-sm topic-action-select';
+        select.setAttribute('aria-label', 'Action for this topic');
+        for (const option of actionOptions) {
+          const el = document.createElement('option');
+          el.value = option.value;
+          el.textContent = option.label;
+          select.appendChild(el);
+        }
+        select.value = action || '';
+      }
+      const details = actionOptions ? createTopicDetailsFields(entry) : null;
+      const confirm = () => select
+        ? onConfirmEdit(index, input.value, select.value || null, details.read())
+        : onConfirmEdit(index, input.value);
+
       input.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
           e.preventDefault();
-          onConfirmEdit(index, input.value);
+          confirm();
         }
       });
 
@@ -60,20 +215,43 @@ export function renderTopics(topics, { editingIndex = null, onStartEdit, onConfi
       confirmBtn.className = 'btn btn-sm btn-success text-success-content';
       confirmBtn.setAttribute('aria-label', 'Confirm');
       confirmBtn.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" class="w-4 h-4"><path d="M9 16.2 4.8 12l-1.4 1.4L9 19 21 7l-1.4-1.4z"/></svg>`;
-      confirmBtn.addEventListener('click', () => onConfirmEdit(index, input.value));
+      confirmBtn.addEventListener('click', confirm);
 
       row.appendChild(input);
+      if (select) row.appendChild(select);
       row.appendChild(confirmBtn);
       li = document.createElement('li');
-      li.className = 'flex items-center justify-between px-2 py-1 rounded';
+      li.className = details
+        ? 'flex flex-col px-2 py-1 rounded'
+        : 'flex items-center justify-between px-2 py-1 rounded';
       li.appendChild(row);
+      if (details) li.appendChild(details.fields);
     } else {
       // Read mode: clone from template
       if (template && template.content) {
         li = template.content.firstElementChild.cloneNode(true);
-        li.querySelector('.topic-label').textContent = t;
+        const label = li.querySelector('.topic-label');
+        label.textContent = t;
+        const actionOption = action && actionOptions && actionOptions.find(option => option.value === action);
+        if (actionOption) {
+          const badge = document.createElement('span');
+          badge.className = 'badge badge-ghost badge-sm ml-1 topic-action-badge';
+          badge.textContent = actionOption.label;
+          label.appendChild(badge);
+        }
+        if (typeof entry !== 'string' && entry.description) label.title = entry.description;
+        const state = getTopicState(entry, now);
+        if (state === 'disabled') {
+          label.classList.add('opacity-50', 'line-through');
+        } else if (state === 'snoozed') {
+          label.classList.add('opacity-50');
+          label.title = `Snoozed until ${formatSnoozeEnd(entry.snoozedUntil)}`;
+        }
         li.querySelector('.edit-btn').addEventListener('click', () => onStartEdit(index));
         li.querySelector('.remove-btn').addEventListener('click', () => onRemove(index));
+        if (typeof entry !== 'string' && onToggleEnabled && onSnooze) {
+          addTopicStateControls(li, entry, state, index, { onToggleEnabled, onSnooze });
+        }
       } else {
         // fallback to old method if template not found
         li = document.createElement('li');
@@ -104,16 +282,33 @@ export function renderTopics(topics, { editingIndex = null, onStartEdit, onConfi
 
 /**
  * Render the topics as a single comma-separated line in compact mode.
- * @param {string[]} topics
+ * Disabled topics are struck through and snoozed topics dimmed.
+ * @param {Array<string|Object>} topics - Topic names or entries
+ * @param {string} [listName='exclude'] - Topic list to render
+ * @param {number} [now=Date.now()] - Current time, used to tell whether topics are snoozed
  */
-export function renderTopicsCompact(topics) {
-  const compactRow = document.getElementById('topic-compact-row');
-  const compactList = document.getElementById('topic-compact-list');
+export function renderTopicsCompact(topics, listName = 'exclude', now = Date.now()) {
+  const compactRow = document.getElementById(TOPIC_LIST_IDS[listName].compactRow);
+  const compactList = document.getElementById(TOPIC_LIST_IDS[listName].compactList);
   if (!compactRow || !compactList) return;
+  compactList.textContent = '';
   if (topics.length === 0) {
     compactList.textContent = 'No topics added.';
   } else {
-    compactList.textContent = topics.join(', ');
+    topics.forEach((entry, index) => {
+      if (index > 0) compactList.appendChild(document.createTextNode(', '));
+      const item = document.createElement('span');
+      item.textContent = typeof entry === 'string' ? entry : entry.name;
+      const state = getTopicState(entry, now);
+      if (state === 'disabled') {
+        item.className = 'opacity-50 line-through';
+        item.title = 'Disabled';
+      } else if (state === 'snoozed') {
+        item.className = 'opacity-50';
+        item.title = `Snoozed until ${formatSnoozeEnd(entry.snoozedUntil)}`;
+      }
+      compactList.appendChild(item);
+    });
   }
   // Remove any truncation styling to ensure all topics are visible
   compactList.classList.remove('truncate');
@@ -122,10 +317,11 @@ export function renderTopicsCompact(topics) {
 /**
  * Show/hide the compact and edit sections.
  * @param {boolean} editMode
+ * @param {string} [listName='exclude'] - Topic list to switch
  */
-export function setTopicEditMode(editMode) {
-  const compactRow = document.getElementById('topic-compact-row');
-  const editSection = document.getElementById('topic-edit-section');
+export function setTopicEditMode(editMode, listName = 'exclude') {
+  const compactRow = document.getElementById(TOPIC_LIST_IDS[listName].compactRow);
+  const editSection = document.getElementById(TOPIC_LIST_IDS[listName].editSection);
   if (compactRow && editSection) {
     compactRow.style.display = editMode ? 'none' : '';
     editSection.style.display = editMode ? '' : 'none';
@@ -134,25 +330,96 @@ export function setTopicEditMode(editMode) {
 
 /**
  * Set video action radio buttons
- * @param {string} action - 'hide' or 'delete'
+ * @param {string} action - 'hide', 'delete' or 'blur'
  */
 export function setVideoAction(action) {
   const hideRadio = document.getElementById('action-hide');
   const deleteRadio = document.getElementById('action-delete');
+  const blurRadio = document.getElementById('action-blur');
   if (hideRadio && deleteRadio) {
     hideRadio.checked = action === 'hide';
     deleteRadio.checked = action === 'delete';
   }
+  if (blurRadio) {
+    blurRadio.checked = action === 'blur';
+  }
+}
+
+/**
+ * Set the deleted video placeholders checkbox
+ * @param {boolean} enabled - Whether deleted videos leave a placeholder row
+ */
+export function setDeletedPlaceholders(enabled) {
+  const checkbox = document.getElementById('deleted-placeholders');
+  if (checkbox) {
+    checkbox.checked = enabled;
+  }
+}
+
+/**
+ * Set up the deleted video placeholders listener
+ * @param {Function} onChange - Called with whether the checkbox is checked
+ */
+export function setupDeletedPlaceholdersListener(onChange) {
+  const checkbox = document.getElementById('deleted-placeholders');
+  if (checkbox) {
+    checkbox.addEventListener('change', () => onChange(checkbox.checked));
+  }
+}
+
+/**
+ * Set filter mode radio buttons and show the topic list that mode uses
+ * @param {string} mode - 'exclude' (hide matching videos) or 'include' (show only matching videos)
+ */
+export function setFilterMode(mode) {
+  const excludeRadio = document.getElementById('filter-mode-exclude');
+  const includeRadio = document.getElementById('filter-mode-include');
+  if (excludeRadio && includeRadio) {
+    excludeRadio.checked = mode === 'exclude';
+    includeRadio.checked = mode === 'include';
+  }
+  const excludeBlock = document.getElementById('exclude-topics-block');
+  const intentBlock = document.getElementById('intent-topics-block');
+  if (excludeBlock) excludeBlock.style.display = mode === 'include' ? 'none' : '';
+  if (intentBlock) intentBlock.style.display = mode === 'include' ? '' : 'none';
+  const actionLabel = document.getElementById('video-action-label');
+  if (actionLabel) {
+    actionLabel.textContent = mode === 'include'
+      ? 'When a video does not match your topics:'
+      : 'When a video matches an excluded topic:';
+  }
+}
+
+/**
+ * Get current filter mode selection
+ * @returns {string} - 'exclude' or 'include'
+ */
+export function getFilterMode() {
+  const includeRadio = document.getElementById('filter-mode-include');
+  return includeRadio && includeRadio.checked ? 'include' : 'exclude';
+}
+
+/**
+ * Set up filter mode change listeners
+ * @param {Function} onChange - Callback for a filter mode radio change
+ */
+export function setupFilterModeListener(onChange) {
+  for (const id of ['filter-mode-exclude', 'filter-mode-include']) {
+    const radio = document.getElementById(id);
+    if (radio) radio.addEventListener('change', onChange);
+  }
 }
 
 /**
  * Set up video action change listeners
  * @param {Function} onHideChange - Callback for hide radio change
  * @param {Function} onDeleteChange - Callback for delete radio change
+ * @param {Function} [onBlurChange] - Callback for blur radio change
  */
-export function setupVideoActionListeners(onHideChange, onDeleteChange) {
+export function setupVideoActionListeners(onHideChange, onDeleteChange, onBlurChange) {
   const hideRadio = document.getElementById('action-hide');
   const deleteRadio = document.getElementById('action-delete');
+  const blurRadio = document.getElementById('action-blur');
   
   if (hideRadio) {
     hideRadio.addEventListener('change', onHideChange);
@@ -160,6 +427,9 @@ export function setupVideoActionListeners(onHideChange, onDeleteChange) {
   if (deleteRadio) {
     deleteRadio.addEventListener('change', onDeleteChange);
   }
+  if (blurRadio && onBlurChange) {
+    blurRadio.addEventListener('change', onBlurChange);
+  }
 }
 
 
@@ -167,10 +437,11 @@ export function setupVideoActionListeners(onHideChange, onDeleteChange) {
  * Set up edit mode event listeners
  * @param {Function} onEditClick - Callback for edit button click
  * @param {Function} onDoneClick - Callback for done button click
+ * @param {string} [listName='exclude'] - Topic list the buttons belong to
  */
-export function setupEditModeListeners(onEditClick, onDoneClick) {
-  const editBtn = document.getElementById('topic-edit-btn');
-  const doneBtn = document.getElementById('topic-edit-done-btn');
+export function setupEditModeListeners(onEditClick, onDoneClick, listName = 'exclude') {
+  const editBtn = document.getElementById(TOPIC_LIST_IDS[listName].editBtn);
+  const doneBtn = document.getElementById(TOPIC_LIST_IDS[listName].doneBtn);
   
   if (editBtn) {
     editBtn.addEventListener('click', onEditClick);
@@ -184,9 +455,10 @@ export function setupEditModeListeners(onEditClick, onDoneClick) {
  * Set up add topic button and input listeners
  * @param {Function} onAdd - Callback for add button click
  * @param {Function} onKeydown - Callback for input keydown
+ * @param {string} [listName='exclude'] - Topic list the controls belong to
  */
-export function setupAddTopicListeners(onAdd, onKeydown) {
-  const { addBtn, input } = getElements();
+export function setupAddTopicListeners(onAdd, onKeydown, listName = 'exclude') {
+  const { addBtn, input } = getElements(listName);
   
   if (addBtn) {
     addBtn.addEventListener('click', onAdd);
@@ -198,14 +470,16 @@ export function setupAddTopicListeners(onAdd, onKeydown) {
 
 /**
  * Get current video action selection
- * @returns {string} - 'hide' or 'delete'
+ * @returns {string} - 'hide', 'delete' or 'blur'
  */
 export function getVideoAction() {
   const hideRadio = document.getElementById('action-hide');
   const deleteRadio = document.getElementById('action-delete');
+  const blurRadio = document.getElementById('action-blur');
   
   if (hideRadio && hideRadio.checked) return 'hide';
   if (deleteRadio && deleteRadio.checked) return 'delete';
+  if (blurRadio && blurRadio.checked) return 'blur';
   return 'hide'; // Default
 }
 
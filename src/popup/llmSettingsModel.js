@@ -0,0 +1,64 @@
+// Validation, persistence and connection testing for the bring-your-own-key LLM classifier
+//
+// Settings are stored under `llmSettings`; blank base URL and model fall back to the
+// provider defaults (see resolveLLMSettings).
+
+import { LLM_SETTINGS_KEY, LLM_PROVIDERS, resolveLLMSettings } from '../llmSettings.js';
+import { classify } from '../serviceWorker/textClassifierLLM.js';
+
+const SAMPLE_TEXTS = [
+  { id: 't0', text: 'India vs Australia cricket World Cup final highlights' },
+  { id: 't1', text: 'How to bake sourdough bread at home' }
+];
+const SAMPLE_TOPICS = [{ id: 'p0', topic: 'cricket' }];
+
+export function validateLLMSettings(settings) {
+  const provider = settings.provider;
+  if (!LLM_PROVIDERS[provider]) throw 'Choose an LLM provider.';
+  const baseUrl = (settings.baseUrl || '').trim();
+  if (baseUrl) {
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch (e) {
+      throw 'Base URL is not a valid URL.';
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw 'Base URL must start with http:// or https://.';
+  }
+  const apiKey = (settings.apiKey || '').trim();
+  if (!apiKey && (provider === 'gemini' || !baseUrl)) throw 'Enter an API key, or the URL of a local OpenAI-compatible server.';
+
+  return { provider, baseUrl, modelName: (settings.modelName || '').trim(), apiKey };
+}
+
+export function requestLLMPermission(settings) {
+  const { baseUrl } = resolveLLMSettings(settings);
+  return chrome.permissions.request({ origins: [`${new URL(baseUrl).origin}/*`] });
+}
+
+export function loadLLMSettings() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([LLM_SETTINGS_KEY], res => {
+      resolve(res[LLM_SETTINGS_KEY] || { provider: 'openai' });
+    });
+  });
+}
+
+export function saveLLMSettings(settings) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [LLM_SETTINGS_KEY]: settings }, resolve);
+  });
+}
+
+// Send a sample classification prompt; resolves to a short summary or throws a message
+export async function testLLMConnection(settings, now = () => Date.now()) {
+  const start = now();
+  let results;
+  try {
+    results = await classify(SAMPLE_TEXTS, SAMPLE_TOPICS, settings);
+  } catch (error) {
+    throw `Connection failed: ${error && error.message ? error.message : error}`;
+  }
+  const matched = results.filter(r => r.topic_ids.includes('p0')).length;
+  return `Connected in ${now() - start} ms, ${matched} of ${SAMPLE_TEXTS.length} sample titles matched "${SAMPLE_TOPICS[0].topic}".`;
+}
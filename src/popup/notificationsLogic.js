@@ -0,0 +1,35 @@
+/**
+ * Page Notifications - Logic Layer
+ * Stores how the toasts shown on YouTube pages behave: all, at most one a minute, or off
+ */
+
+import { setToastMode, setupToastModeListener } from './notificationsView.js';
+import { TOAST_MODE_KEY, TOAST_MODES } from '../contentScript/toastUtils.js';
+
+/**
+ * Initialize the page notifications component
+ * @returns {Object} - Component interface with public methods
+ */
+export async function initializeNotifications() {
+  let toastMode = 'all';
+  try {
+    const result = await chrome.storage.local.get([TOAST_MODE_KEY]);
+    if (TOAST_MODES.includes(result[TOAST_MODE_KEY])) {
+      toastMode = result[TOAST_MODE_KEY];
+    }
+  } catch (error) {
+    console.error('Failed to load notifications setting:', error);
+  }
+
+  setToastMode(toastMode);
+
+  setupToastModeListener(async (mode) => {
+    toastMode = mode;
+    await chrome.storage.local.set({ [TOAST_MODE_KEY]: mode });
+  });
+
+  // Return public interface
+  return {
+    getToastMode: () => toastMode
+  };
+}
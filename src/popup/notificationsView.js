@@ -0,0 +1,26 @@
+/**
+ * Page Notifications - View Layer
+ * Handles all DOM manipulation for the page notifications setting
+ */
+
+/**
+ * Set the selected notifications mode
+ * @param {string} mode - 'all', 'limited' or 'off'
+ */
+export function setToastMode(mode) {
+  const select = document.getElementById('toast-mode');
+  if (select) {
+    select.value = mode;
+  }
+}
+
+/**
+ * Set up the notifications mode listener
+ * @param {Function} onChange - Called with the selected mode
+ */
+export function setupToastModeListener(onChange) {
+  const select = document.getElementById('toast-mode');
+  if (select) {
+    select.addEventListener('change', () => onChange(select.value));
+  }
+}
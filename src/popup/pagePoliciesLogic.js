@@ -0,0 +1,44 @@
+/**
+ * Where to Filter - Logic Layer
+ * Stores how each kind of YouTube page is filtered: whether search results are filtered, only
+ * marked, or left alone, and which other page types (subscriptions, channel pages, ...) are filtered
+ */
+
+import {
+  setSearchPolicy, setupSearchPolicyListener, setPageFilters, getPageFilters, setupPageFiltersListener
+} from './pagePoliciesView.js';
+import {
+  SEARCH_POLICY_KEY, PAGE_FILTERS_KEY, PAGE_POLICY_KEYS, normalizePagePolicySettings
+} from '../contentScript/pagePolicy.js';
+import logger from '../logger.js';
+
+/**
+ * Initialize the page policies component
+ * @returns {Object} - Component interface with public methods
+ */
+export async function initializePagePolicies() {
+  let settings = normalizePagePolicySettings();
+  try {
+    settings = normalizePagePolicySettings(await chrome.storage.local.get(PAGE_POLICY_KEYS));
+  } catch (error) {
+    logger.error('Failed to load page policy settings:', error);
+  }
+
+  setSearchPolicy(settings.searchPolicy);
+  setPageFilters(settings.pageFilters);
+
+  setupSearchPolicyListener(async (policy) => {
+    settings = { ...settings, searchPolicy: policy };
+    await chrome.storage.local.set({ [SEARCH_POLICY_KEY]: policy });
+  });
+
+  setupPageFiltersListener(async () => {
+    settings = { ...settings, pageFilters: { ...settings.pageFilters, ...getPageFilters() } };
+    await chrome.storage.local.set({ [PAGE_FILTERS_KEY]: settings.pageFilters });
+  });
+
+  // Return public interface
+  return {
+    getPagePolicies: () => settings
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Where to Filter - View Layer
+ * Handles all DOM manipulation for the page policy settings
+ */
+
+/**
+ * Set the selected search results policy
+ * @param {string} policy - 'off', 'mark' or 'filter'
+ */
+export function setSearchPolicy(policy) {
+  const select = document.getElementById('search-policy');
+  if (select) {
+    select.value = policy;
+  }
+}
+
+/**
+ * Set up the search results policy listener
+ * @param {Function} onChange - Called with the selected policy
+ */
+export function setupSearchPolicyListener(onChange) {
+  const select = document.getElementById('search-policy');
+  if (select) {
+    select.addEventListener('change', () => onChange(select.value));
+  }
+}
+
+/**
+ * Check the page types that are filtered
+ * @param {Object<string, boolean>} pageFilters - Page type -> whether it is filtered
+ */
+export function setPageFilters(pageFilters) {
+  for (const checkbox of document.querySelectorAll('input[data-page-type]')) {
+    checkbox.checked = !!pageFilters[checkbox.dataset.pageType];
+  }
+}
+
+/**
+ * Read which page types are checked
+ * @returns {Object<string, boolean>} Page type -> whether it is filtered
+ */
+export function getPageFilters() {
+  const pageFilters = {};
+  for (const checkbox of document.querySelectorAll('input[data-page-type]')) {
+    pageFilters[checkbox.dataset.pageType] = checkbox.checked;
+  }
+  return pageFilters;
+}
+
+/**
+ * Set up the page type checkbox listeners
+ * @param {Function} onChange - Called when any page type is checked or unchecked
+ */
+export function setupPageFiltersListener(onChange) {
+  for (const checkbox of document.querySelectorAll('input[data-page-type]')) {
+    checkbox.addEventListener('change', onChange);
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Pending Mask - Logic Layer
+ * Stores whether new videos are masked until classified, for how long, and what happens
+ * when classification fails or times out
+ */
+
+import { setPendingMaskSettings, getPendingMaskSettings, setupPendingMaskListeners } from './pendingMaskView.js';
+import { PENDING_MASK_KEY, normalizePendingMaskSettings } from '../contentScript/pendingMask.js';
+import logger from '../logger.js';
+
+/**
+ * Initialize the pending mask component
+ * @returns {Object} - Component interface with public methods
+ */
+export async function initializePendingMask() {
+  let settings = normalizePendingMaskSettings();
+  try {
+    const result = await chrome.storage.local.get([PENDING_MASK_KEY]);
+    settings = normalizePendingMaskSettings(result[PENDING_MASK_KEY]);
+  } catch (error) {
+    logger.error('Failed to load pending mask settings:', error);
+  }
+
+  setPendingMaskSettings(settings);
+
+  setupPendingMaskListeners(async () => {
+    // Out-of-range timeouts are clamped and shown back as saved
+    settings = normalizePendingMaskSettings(getPendingMaskSettings());
+    setPendingMaskSettings(settings);
+    await chrome.storage.local.set({ [PENDING_MASK_KEY]: settings });
+  });
+
+  // Return public interface
+  return {
+    getPendingMaskSettings: () => settings
+  };
+}
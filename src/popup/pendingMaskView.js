@@ -0,0 +1,45 @@
+/**
+ * Pending Mask - View Layer
+ * Handles all DOM manipulation for the pending mask settings
+ */
+
+/**
+ * Show the pending mask settings
+ * @param {{enabled: boolean, timeoutSeconds: number, failMode: string}} settings - Pending mask settings
+ */
+export function setPendingMaskSettings({ enabled, timeoutSeconds, failMode }) {
+  const checkbox = document.getElementById('pending-mask-enabled');
+  const timeout = document.getElementById('pending-mask-timeout');
+  const failSelect = document.getElementById('pending-mask-fail-mode');
+  const options = document.getElementById('pending-mask-options');
+  if (checkbox) checkbox.checked = enabled;
+  if (timeout) timeout.value = String(timeoutSeconds);
+  if (failSelect) failSelect.value = failMode;
+  if (options) options.style.display = enabled ? '' : 'none';
+}
+
+/**
+ * Read the pending mask settings from the form
+ * @returns {{enabled: boolean, timeoutSeconds: string, failMode: string}} Raw settings
+ */
+export function getPendingMaskSettings() {
+  const checkbox = document.getElementById('pending-mask-enabled');
+  const timeout = document.getElementById('pending-mask-timeout');
+  const failSelect = document.getElementById('pending-mask-fail-mode');
+  return {
+    enabled: checkbox ? checkbox.checked : true,
+    timeoutSeconds: timeout ? timeout.value : '',
+    failMode: failSelect ? failSelect.value : 'open'
+  };
+}
+
+/**
+ * Set up the pending mask listeners
+ * @param {Function} onChange - Called when any pending mask setting changes
+ */
+export function setupPendingMaskListeners(onChange) {
+  for (const id of ['pending-mask-enabled', 'pending-mask-timeout', 'pending-mask-fail-mode']) {
+    const element = document.getElementById(id);
+    if (element) element.addEventListener('change', onChange);
+  }
+}
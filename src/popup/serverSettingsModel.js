@@ -0,0 +1,81 @@
+// Validation, persistence and connection testing for the self-hosted classification server
+//
+// Settings are stored under `serverSettings`; blank fields fall back to the built-in defaults
+// (see resolveServerSettings in the server classifier).
+
+import {
+  SERVER_SETTINGS_KEY, resolveServerSettings, getServerTextClassifier
+} from '../contentScript/textClassifierServer.js';
+
+const SAMPLE_TEXTS = [
+  { id: 't0', text: 'India vs Australia cricket World Cup final highlights' },
+  { id: 't1', text: 'How to bake sourdough bread at home' }
+];
+const SAMPLE_TOPICS = [{ id: 'p0', topic: 'cricket' }];
+
+export function validateServerSettings(settings) {
+  const baseUrl = (settings.baseUrl || '').trim();
+  if (baseUrl) {
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch (e) {
+      throw 'Base URL is not a valid URL.';
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw 'Base URL must start with http:// or https://.';
+  }
+  const endpointPath = (settings.endpointPath || '').trim();
+  if (endpointPath && !endpointPath.startsWith('/')) throw 'Endpoint path must start with /.';
+  const authHeaderName = (settings.authHeaderName || '').trim();
+  if (authHeaderName && !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(authHeaderName)) throw 'Auth header name is not a valid header name.';
+  if ((settings.authHeaderValue || '').trim() && !authHeaderName) throw 'Enter an auth header name for the auth value.';
+
+  return {
+    baseUrl,
+    endpointPath,
+    provider: (settings.provider || '').trim(),
+    modelName: (settings.modelName || '').trim(),
+    authHeaderName,
+    authHeaderValue: (settings.authHeaderValue || '').trim()
+  };
+}
+
+// Match pattern for the optional host permission needed to reach the server
+export function getOriginPattern(settings) {
+  const { baseUrl } = resolveServerSettings(settings);
+  return `${new URL(baseUrl).origin}/*`;
+}
+
+export function requestServerPermission(settings) {
+  return chrome.permissions.request({ origins: [getOriginPattern(settings)] });
+}
+
+export function loadServerSettings() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([SERVER_SETTINGS_KEY], res => {
+      resolve(res[SERVER_SETTINGS_KEY] || {});
+    });
+  });
+}
+
+export function saveServerSettings(settings) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [SERVER_SETTINGS_KEY]: settings }, resolve);
+  });
+}
+
+// Send a sample classification request; resolves to a short summary or throws a message
+export async function testServerConnection(settings, now = () => Date.now()) {
+  const start = now();
+  let results;
+  try {
+    results = await getServerTextClassifier(settings).classify(SAMPLE_TEXTS, SAMPLE_TOPICS);
+  } catch (error) {
+    throw `Connection failed: ${error && error.message ? error.message : error}`;
+  }
+  if (!Array.isArray(results) || !results.every(r => r && typeof r.text_id === 'string' && Array.isArray(r.topic_ids))) {
+    throw 'Connection failed: unexpected response format.';
+  }
+  const matched = results.filter(r => r.topic_ids.includes('p0')).length;
+  return `Connected in ${now() - start} ms, ${matched} of ${SAMPLE_TEXTS.length} sample titles matched "${SAMPLE_TOPICS[0].topic}".`;
+}
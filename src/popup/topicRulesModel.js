@@ -0,0 +1,128 @@
+// Keyword/phrase/regex rule parsing and persistence for the offline rule classifier
+//
+// Rules are edited as text, one topic per line:
+//   politics: election, "prime minister", /\bmp\d+\b/i
+// Bare terms are keywords (or phrases when they contain spaces), quoted terms are
+// phrases and /.../flags terms are regular expressions. Lines starting with # are ignored.
+
+const REGEX_FLAGS = /^[imsu]*$/;
+
+function parseRegexTerm(line, start, lineNumber) {
+  let i = start + 1;
+  let pattern = '';
+  while (i < line.length && line[i] !== '/') {
+    if (line[i] === '\\' && i + 1 < line.length) {
+      pattern += line[i] + line[i + 1];
+      i += 2;
+    } else {
+      pattern += line[i];
+      i++;
+    }
+  }
+  if (i >= line.length) throw `Line ${lineNumber}: unterminated regular expression.`;
+  i++;
+  let flags = '';
+  while (i < line.length && /[a-z]/i.test(line[i])) {
+    flags += line[i];
+    i++;
+  }
+  if (!pattern) throw `Line ${lineNumber}: empty regular expression.`;
+  if (!REGEX_FLAGS.test(flags)) throw `Line ${lineNumber}: unsupported regular expression flags "${flags}".`;
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    throw `Line ${lineNumber}: invalid regular expression /${pattern}/.`;
+  }
+  const rule = { type: 'regex', pattern };
+  if (flags) rule.flags = flags;
+  return { rule, next: i };
+}
+
+function parseQuotedTerm(line, start, lineNumber) {
+  const end = line.indexOf('"', start + 1);
+  if (end === -1) throw `Line ${lineNumber}: unterminated quoted phrase.`;
+  const pattern = line.slice(start + 1, end).trim();
+  if (!pattern) throw `Line ${lineNumber}: empty quoted phrase.`;
+  return { rule: { type: 'phrase', pattern }, next: end + 1 };
+}
+
+function parseBareTerm(line, start) {
+  const end = line.indexOf(',', start);
+  const stop = end === -1 ? line.length : end;
+  const pattern = line.slice(start, stop).trim().replace(/\s+/g, ' ');
+  return {
+    rule: pattern ? { type: pattern.includes(' ') ? 'phrase' : 'keyword', pattern } : null,
+    next: stop
+  };
+}
+
+export function parseRuleList(text, lineNumber = 1) {
+  const rules = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === ',' || /\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const parsed = ch === '/'
+      ? parseRegexTerm(text, i, lineNumber)
+      : ch === '"'
+        ? parseQuotedTerm(text, i, lineNumber)
+        : parseBareTerm(text, i);
+    if (parsed.rule) rules.push(parsed.rule);
+    i = parsed.next;
+    // Anything other than a separator right after a quoted phrase or regex is a typo
+    const rest = text.slice(i).match(/^\s*([^,\s])/);
+    if ((ch === '/' || ch === '"') && rest) {
+      throw `Line ${lineNumber}: expected a comma after ${ch === '/' ? 'regular expression' : 'quoted phrase'}.`;
+    }
+  }
+  return rules;
+}
+
+export function parseRulesText(text) {
+  const topicRules = {};
+  (text || '').split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const lineNumber = index + 1;
+    const separator = line.indexOf(':');
+    if (separator === -1) throw `Line ${lineNumber}: expected "topic: rules".`;
+    const topic = line.slice(0, separator).trim().toLowerCase();
+    if (!topic) throw `Line ${lineNumber}: topic cannot be blank.`;
+    const rules = parseRuleList(line.slice(separator + 1), lineNumber);
+    if (rules.length === 0) throw `Line ${lineNumber}: add at least one rule for "${topic}".`;
+    topicRules[topic] = [...(topicRules[topic] || []), ...rules];
+  });
+  return topicRules;
+}
+
+export function formatRule(rule) {
+  if (rule.type === 'regex') return `/${rule.pattern}/${rule.flags || ''}`;
+  if (rule.type === 'phrase') return `"${rule.pattern}"`;
+  return rule.pattern;
+}
+
+export function formatRulesText(topicRules) {
+  return Object.entries(topicRules || {})
+    .map(([topic, rules]) => `${topic}: ${rules.map(formatRule).join(', ')}`)
+    .join('\n');
+}
+
+export function loadRules() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(['topicRules', 'ruleClassifierOptions'], res => {
+      resolve({
+        topicRules: res.topicRules || {},
+        options: { wholeWord: true, caseSensitive: false, ...(res.ruleClassifierOptions || {}) }
+      });
+    });
+  });
+}
+
+export function saveRules(topicRules, options) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ topicRules, ruleClassifierOptions: options }, resolve);
+  });
+}
@@ -1,40 +1,103 @@
 // Topic logic and persistence
+//
+// Excluded topics are entries ({name, action, enabled, snoozedUntil, description,
+// positiveExamples, negativeExamples}, see src/topics.js); the always-show and
+// intent lists are plain strings. Duplicate checks accept either.
+import {
+  TOPIC_ACTIONS, MAX_DESCRIPTION_LENGTH, MAX_EXAMPLES, normalizeTopicEntry, normalizeTopicEntries, needsTopicMigration
+} from '../topics.js';
+
 export function normalize(topic) {
   return (topic || '').trim().toLowerCase();
 }
 
+function topicName(t) {
+  return t !== null && typeof t === 'object' ? t.name : t;
+}
+
 export function isDuplicate(topics, topic) {
   const norm = normalize(topic);
-  return topics.some(t => normalize(t) === norm);
+  return topics.some(t => normalize(topicName(t)) === norm);
 }
 
-export function addTopic(topics, topic) {
+// otherTopics is the opposite list (exclude vs. always show); a topic may only be in one of them
+export function addTopic(topics, topic, otherTopics = []) {
   const norm = normalize(topic);
   if (!norm) throw 'Topic cannot be blank.';
   if (isDuplicate(topics, norm)) throw 'Topic already exists.';
+  if (isDuplicate(otherTopics, norm)) throw 'Topic is already in the other list.';
   return [...topics, norm];
 }
 
-export function editTopic(topics, index, topic) {
+export function editTopic(topics, index, topic, otherTopics = []) {
   const norm = normalize(topic);
   if (!norm) throw 'Topic cannot be blank.';
-  const dupAt = topics.findIndex((t, i) => normalize(t) === norm && i !== index);
+  const dupAt = topics.findIndex((t, i) => normalize(topicName(t)) === norm && i !== index);
   if (dupAt !== -1) throw 'Topic already exists.';
+  if (isDuplicate(otherTopics, norm)) throw 'Topic is already in the other list.';
   const next = topics.slice();
   next[index] = norm;
   return next;
 }
 
+// New entries use the global video action until the user picks one
+export function addTopicEntry(entries, topic, otherTopics = []) {
+  const [name] = addTopic(entries, topic, otherTopics).slice(-1);
+  return [...entries, normalizeTopicEntry(name)];
+}
+
+// action is 'hide', 'delete', 'blur', or null/'' for the global video action
+export function editTopicEntry(entries, index, topic, action, otherTopics = []) {
+  const name = editTopic(entries, index, topic, otherTopics)[index];
+  if (action && !TOPIC_ACTIONS.includes(action)) throw 'Unknown action.';
+  const next = entries.slice();
+  next[index] = { ...entries[index], name, action: action || null };
+  return next;
+}
+
+// Description and example titles help the classifiers tell what the topic covers
+export function setTopicDetails(entries, index, { description = '', positiveExamples = [], negativeExamples = [] }) {
+  const text = description.trim();
+  if (text.length > MAX_DESCRIPTION_LENGTH) throw `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`;
+  const clean = titles => titles.map(title => title.trim()).filter(Boolean);
+  const positive = clean(positiveExamples);
+  const negative = clean(negativeExamples);
+  if (positive.length > MAX_EXAMPLES || negative.length > MAX_EXAMPLES) throw `Use at most ${MAX_EXAMPLES} example titles per list.`;
+  const next = entries.slice();
+  next[index] = normalizeTopicEntry({ ...entries[index], description: text, positiveExamples: positive, negativeExamples: negative });
+  return next;
+}
+
+// Re-enabling a topic also ends its snooze
+export function setTopicEnabled(entries, index, enabled) {
+  const next = entries.slice();
+  next[index] = { ...entries[index], enabled, snoozedUntil: enabled ? null : entries[index].snoozedUntil };
+  return next;
+}
+
+// until is a timestamp in ms, or null to end the snooze
+export function snoozeTopic(entries, index, until) {
+  const next = entries.slice();
+  next[index] = { ...entries[index], snoozedUntil: until };
+  return next;
+}
+
 export function removeTopic(topics, index) {
   const next = topics.slice();
   next.splice(index, 1);
   return next;
 }
 
+// Resolves to topic entries; topics saved as plain strings by older versions are migrated
 export function loadTopics() {
   return new Promise(resolve => {
     chrome.storage.local.get(['topics'], res => {
-      resolve(res.topics || []);
+      const entries = normalizeTopicEntries(res.topics);
+      if (needsTopicMigration(res.topics)) {
+        chrome.storage.local.set({ topics: entries }, () => resolve(entries));
+      } else {
+        resolve(entries);
+      }
     });
   });
 }
@@ -44,3 +107,31 @@ export function saveTopics(topics) {
     chrome.storage.local.set({ topics }, resolve);
   });
 }
+
+export function loadAllowTopics() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(['allowTopics'], res => {
+      resolve(res.allowTopics || []);
+    });
+  });
+}
+
+export function saveAllowTopics(allowTopics) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ allowTopics }, resolve);
+  });
+}
+
+export function loadIntentTopics() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(['intentTopics'], res => {
+      resolve(res.intentTopics || []);
+    });
+  });
+}
+
+export function saveIntentTopics(intentTopics) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ intentTopics }, resolve);
+  });
+}
@@ -0,0 +1,129 @@
+/**
+ * Classification Prompts
+ * Prompts and JSON response schemas shared by the LLM-based text classifiers
+ * (built-in AI and bring-your-own-key LLM APIs)
+ */
+
+/**
+ * JSON Schema of the response to a single text prompt
+ */
+export const SINGLE_TEXT_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    topic_ids: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  },
+  required: ['topic_ids'],
+  additionalProperties: false
+};
+
+/**
+ * JSON Schema of the response to a batch prompt
+ */
+export const BATCH_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text_id: { type: 'string' },
+          topic_ids: {
+            type: 'array',
+            items: { type: 'string' }
+          }
+        },
+        required: ['text_id', 'topic_ids'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['results'],
+  additionalProperties: false
+};
+
+// Explains the optional topic details (description and example titles) when any topic has them
+const TOPIC_DETAILS_INSTRUCTIONS = (
+  'Some topics also have a description of what the user means by the topic, positive_examples ' +
+  '(titles that belong to the topic) and negative_examples (similar titles that do not). ' +
+  'Use them to decide where the topic ends.\n\n'
+);
+
+/**
+ * Whether any topic carries a description or example titles
+ * @param {Array<Object>} topics - Topics to classify against
+ * @returns {boolean}
+ */
+function hasTopicDetails(topics) {
+  return topics.some(t => t.description || (t.positive_examples || []).length > 0 || (t.negative_examples || []).length > 0);
+}
+
+/**
+ * Format one topic as a compact line, with its details on the following lines
+ * @param {{id: string, topic: string, description?: string, positive_examples?: string[], negative_examples?: string[]}} t - Topic
+ * @returns {string} Topic lines
+ */
+function formatTopicLine(t) {
+  const lines = [`${t.id}: ${t.topic}`];
+  if (t.description) lines.push(`  Description: ${t.description}`);
+  if (t.positive_examples && t.positive_examples.length > 0) {
+    lines.push(`  Belongs: ${JSON.stringify(t.positive_examples)}`);
+  }
+  if (t.negative_examples && t.negative_examples.length > 0) {
+    lines.push(`  Does not belong: ${JSON.stringify(t.negative_examples)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build a prompt for classifying a single text against topics
+ * Much more compact than batch prompts, avoiding token limit issues
+ * 
+ * @param {Object} text - Single text object {id, text}
+ * @param {Array<{id: string, topic: string, description?: string, positive_examples?: string[], negative_examples?: string[]}>} topics - Topics to classify against
+ * @returns {string} The classification prompt
+ */
+export function buildSingleTextPrompt(text, topics) {
+  // Create a compact representation of topics
+  const topicsList = topics.map(formatTopicLine).join('\n');
+  
+  const prompt = (
+    'Classify this YouTube video title and channel name against the given topics.\n' +
+    'Be strict: only match if the title clearly belongs to a topic.\n\n' +
+    'Topics consist of topic ids and topic names. Topic ids are unique and used to identify the topic. Topic names are human readable and used to describe the topic.\n\n' +
+    (hasTopicDetails(topics) ? TOPIC_DETAILS_INSTRUCTIONS : '') +
+    `Video Title and channel name: "${text.text}"\n\n` +
+    `Topics:\n${topicsList}\n\n` +
+    'Return a JSON object with topic_ids array containing IDs of matching topics (or empty array if none match).\n' +
+    'Format: {"topic_ids": ["id1", "id2"]} or {"topic_ids": []}'
+  );
+  
+  return prompt;
+}
+
+/**
+ * Build a structured prompt for batch classification
+ * Based on the Python implementation, adapted for the Prompt API
+ * Used by the built-in AI legacy batch mode and by the direct LLM classifier
+ * 
+ * @param {Array<{id: string, text: string}>} texts - Texts to classify
+ * @param {Array<{id: string, topic: string, description?: string, positive_examples?: string[], negative_examples?: string[]}>} topics - Topics to classify against
+ * @returns {string} The classification prompt
+ */
+export function buildBatchClassificationPrompt(texts, topics) {
+  const prompt = (
+    'I have a list of youtube video titles along with channel names. I want to determine if that youtube title belongs to any of the topics.\n' +
+    'Given the following texts (with IDs) and topics (with IDs), return a JSON object with a "results" field, which is an array of objects, each with a text_id and a topic_ids array (from the provided list) that the text clearly belongs to.\n' +
+    'If a text does not belong to any, use an empty array. Be a little strict in categorizing. If it\'s not clear that the text belongs to a particular topic, classify it as none.\n\n' +
+    (hasTopicDetails(topics) ? TOPIC_DETAILS_INSTRUCTIONS : '') +
+    `Texts: ${JSON.stringify(texts)}\n\n` +
+    `Topics: ${JSON.stringify(topics)}\n\n` +
+    'Respond with only a JSON object like: {"results": [{"text_id": "t1", "topic_ids": ["p"]}, {"text_id": "t2", "topic_ids": []}]}'
+  );
+  
+  return prompt;
+}
+
@@ -6,6 +6,12 @@
  */
 
 import logger from '../logger.js';
+import {
+  buildSingleTextPrompt,
+  buildBatchClassificationPrompt,
+  SINGLE_TEXT_RESPONSE_SCHEMA,
+  BATCH_RESPONSE_SCHEMA
+} from './classificationPrompts.js';
 
 /**
  * Check if built-in AI API is available in the browser
@@ -128,17 +134,7 @@ async function classifySingleText(text, topics) {
     session = await LanguageModel.create();
     
     // Define JSON Schema for structured output
-    const responseSchema = {
-      type: 'object',
-      properties: {
-        topic_ids: {
-          type: 'array',
-          items: { type: 'string' }
-        }
-      },
-      required: ['topic_ids'],
-      additionalProperties: false
-    };
+    const responseSchema = SINGLE_TEXT_RESPONSE_SCHEMA;
     
     // Build prompt for single text
     const prompt = buildSingleTextPrompt(text, topics);
@@ -220,17 +216,7 @@ export async function classify(texts, topics) {
     let session = await LanguageModel.create();
     
     // Define JSON Schema for structured output (single text response)
-    const responseSchema = {
-      type: 'object',
-      properties: {
-        topic_ids: {
-          type: 'array',
-          items: { type: 'string' }
-        }
-      },
-      required: ['topic_ids'],
-      additionalProperties: false
-    };
+    const responseSchema = SINGLE_TEXT_RESPONSE_SCHEMA;
 
     const results = [];
     
@@ -356,28 +342,7 @@ export async function classifyBatch(texts, topics) {
     });
     
     // Define JSON Schema for structured output
-    const responseSchema = {
-      type: 'object',
-      properties: {
-        results: {
-          type: 'array',
-          items: {
-            type: 'object',
-            properties: {
-              text_id: { type: 'string' },
-              topic_ids: {
-                type: 'array',
-                items: { type: 'string' }
-              }
-            },
-            required: ['text_id', 'topic_ids'],
-            additionalProperties: false
-          }
-        }
-      },
-      required: ['results'],
-      additionalProperties: false
-    };
+    const responseSchema = BATCH_RESPONSE_SCHEMA;
 
     logger.info('Sending classification request to Gemini Nano...');
     
@@ -420,52 +385,3 @@ export async function classifyBatch(texts, topics) {
     throw error;
   }
 }
-
-/**
- * Build a prompt for classifying a single text against topics
- * Much more compact than batch prompts, avoiding token limit issues
- * 
- * @private
- * @param {Object} text - Single text object {id, text}
- * @param {Array<{id: string, topic: string}>} topics - Topics to classify against
- * @returns {string} The classification prompt
- */
-function buildSingleTextPrompt(text, topics) {
-  // Create a compact representation of topics
-  const topicsList = topics.map(t => `${t.id}: ${t.topic}`).join('\n');
-  
-  const prompt = (
-    'Classify this YouTube video title and channel name against the given topics.\n' +
-    'Be strict: only match if the title clearly belongs to a topic.\n\n' +
-    'Topics consist of topic ids and topic names. Topic ids are unique and used to identify the topic. Topic names are human readable and used to describe the topic.\n\n' +
-    `Video Title and channel name: "${text.text}"\n\n` +
-    `Topics:\n${topicsList}\n\n` +
-    'Return a JSON object with topic_ids array containing IDs of matching topics (or empty array if none match).\n' +
-    'Format: {"topic_ids": ["id1", "id2"]} or {"topic_ids": []}'
-  );
-  
-  return prompt;
-}
-
-/**
- * LEGACY: Build a structured prompt for batch classification
- * Based on the Python implementation, adapted for the Prompt API
- * 
- * @private
- * @param {Array<{id: string, text: string}>} texts - Texts to classify
- * @param {Array<{id: string, topic: string}>} topics - Topics to classify against
- * @returns {string} The classification prompt
- */
-function buildBatchClassificationPrompt(texts, topics) {
-  const prompt = (
-    'I have a list of youtube video titles along with channel names. I want to determine if that youtube title belongs to any of the topics.\n' +
-    'Given the following texts (with IDs) and topics (with IDs), return a JSON object with a "results" field, which is an array of objects, each with a text_id and a topic_ids array (from the provided list) that the text clearly belongs to.\n' +
-    'If a text does not belong to any, use an empty array. Be a little strict in categorizing. If it\'s not clear that the text belongs to a particular topic, classify it as none.\n\n' +
-    `Texts: ${JSON.stringify(texts)}\n\n` +
-    `Topics: ${JSON.stringify(topics)}\n\n` +
-    'Respond with only a JSON object like: {"results": [{"text_id": "t1", "topic_ids": ["p"]}, {"text_id": "t2", "topic_ids": []}]}'
-  );
-  
-  return prompt;
-}
-
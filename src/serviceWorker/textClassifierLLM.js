@@ -0,0 +1,167 @@
+/**
+ * Service Worker Module: Bring-your-own-key LLM Text Classifier
+ * Calls an OpenAI-compatible chat completions endpoint or the Gemini REST API directly
+ * with the user's own key, using the same prompt and response schema as the built-in AI
+ * This module runs in the service worker context, where host permissions apply to fetch
+ */
+
+import logger from '../logger.js';
+import { buildBatchClassificationPrompt, BATCH_RESPONSE_SCHEMA } from './classificationPrompts.js';
+import { LLM_SETTINGS_KEY, resolveLLMSettings, isLLMConfigured } from '../llmSettings.js';
+
+/**
+ * Load the LLM settings from storage
+ * @returns {Promise<Object|null>} Stored settings, or null if the LLM is not configured
+ */
+export async function loadLLMSettings() {
+  const result = await chrome.storage.local.get([LLM_SETTINGS_KEY]);
+  const stored = result[LLM_SETTINGS_KEY];
+  return isLLMConfigured(stored) ? stored : null;
+}
+
+/**
+ * Convert a JSON Schema into the OpenAPI subset accepted by Gemini's responseSchema
+ * @private
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.required) converted.required = schema.required;
+  return converted;
+}
+
+/**
+ * Build the HTTP request for the configured provider
+ * @private
+ * @param {Object} settings - Resolved LLM settings
+ * @param {string} prompt - Classification prompt
+ * @returns {{url: string, init: Object}} Fetch arguments
+ */
+function buildRequest(settings, prompt) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (settings.provider === 'gemini') {
+    headers['x-goog-api-key'] = settings.apiKey;
+    return {
+      url: `${settings.baseUrl}/models/${encodeURIComponent(settings.modelName)}:generateContent`,
+      init: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: {
+            temperature: 0,
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(BATCH_RESPONSE_SCHEMA)
+          }
+        })
+      }
+    };
+  }
+
+  if (settings.apiKey) {
+    headers.Authorization = `Bearer ${settings.apiKey}`;
+  }
+  return {
+    url: `${settings.baseUrl}/chat/completions`,
+    init: {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: settings.modelName,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'classification_results', strict: true, schema: BATCH_RESPONSE_SCHEMA }
+        }
+      })
+    }
+  };
+}
+
+/**
+ * Extract the model's text output from a provider response
+ * @private
+ * @param {string} provider - 'openai' or 'gemini'
+ * @param {Object} data - Parsed response body
+ * @returns {string} Model output
+ */
+function extractContent(provider, data) {
+  const content = provider === 'gemini'
+    ? data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('')
+    : data.choices?.[0]?.message?.content;
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('LLM response did not contain any output');
+  }
+  return content;
+}
+
+/**
+ * Parse the model output into classification results
+ * Keeps only known text and topic IDs and fills in texts the model skipped
+ * @param {string} content - Model output, JSON optionally wrapped in a code fence
+ * @param {Array<{id: string, text: string}>} texts - Texts that were classified
+ * @param {Array<{id: string, topic: string}>} topics - Topics classified against
+ * @returns {Array<{text_id: string, topic_ids: string[]}>} Classification results in text order
+ */
+export function parseClassificationContent(content, texts, topics) {
+  const json = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error('LLM response was not valid JSON');
+  }
+  if (!parsed || !Array.isArray(parsed.results)) {
+    throw new Error('LLM response did not match the expected format');
+  }
+
+  const topicIds = new Set(topics.map(topic => topic.id));
+  const byTextId = new Map();
+  for (const result of parsed.results) {
+    if (!result || !Array.isArray(result.topic_ids)) continue;
+    byTextId.set(String(result.text_id), result.topic_ids.filter(id => topicIds.has(id)));
+  }
+  return texts.map(text => ({
+    text_id: text.id,
+    topic_ids: byTextId.get(text.id) || []
+  }));
+}
+
+/**
+ * Classify texts against topics with the user's LLM
+ * @param {Array<{id: string, text: string}>} texts - Texts to classify
+ * @param {Array<{id: string, topic: string}>} topics - Topics to classify against
+ * @param {Object} storedSettings - LLM settings as stored by the popup
+ * @returns {Promise<Array<{text_id: string, topic_ids: string[]}>>} Classification results
+ */
+export async function classify(texts, topics, storedSettings) {
+  if (!Array.isArray(texts) || texts.length === 0) {
+    throw new Error('Texts must be a non-empty array');
+  }
+  if (!Array.isArray(topics) || topics.length === 0) {
+    throw new Error('Topics must be a non-empty array');
+  }
+
+  const settings = resolveLLMSettings(storedSettings);
+  const { url, init } = buildRequest(settings, buildBatchClassificationPrompt(texts, topics));
+  logger.debug('LLM classification request:', { provider: settings.provider, model: settings.modelName, textCount: texts.length });
+
+  const response = await fetch(url, init);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const detail = errorData.error?.message || (typeof errorData.error === 'string' ? errorData.error : '');
+    throw new Error(`LLM API error: ${response.status}${detail ? ` - ${detail}` : ''}`);
+  }
+
+  const data = await response.json();
+  return parseClassificationContent(extractContent(settings.provider, data), texts, topics);
+}
@@ -0,0 +1,147 @@
+/**
+ * Excluded Topic Entries
+ * Shared by the popup, the content script and the service worker.
+ *
+ * Excluded topics are stored under `topics` as objects:
+ * {name, action, enabled, snoozedUntil, description, positiveExamples, negativeExamples}.
+ * `action` is 'hide', 'delete' or 'blur', or null to use the global `videoAction`.
+ * A topic is only classified while it is enabled and not snoozed (`snoozedUntil` is a
+ * timestamp in ms, or null).
+ * The description and example titles disambiguate the topic for the classifiers.
+ * Older versions stored plain topic strings; those are migrated on update.
+ */
+
+import logger from './logger.js';
+
+/**
+ * Actions a topic can override the global video action with
+ */
+export const TOPIC_ACTIONS = ['hide', 'delete', 'blur'];
+
+/**
+ * Limits on the topic details sent with every classification request
+ */
+export const MAX_DESCRIPTION_LENGTH = 300;
+export const MAX_EXAMPLES = 10;
+
+/**
+ * Normalize a list of example titles: trimmed, non-empty, unique and capped at MAX_EXAMPLES
+ * @param {*} examples - Stored examples
+ * @returns {string[]} Example titles
+ */
+function normalizeExamples(examples) {
+  if (!Array.isArray(examples)) return [];
+  const titles = examples.map(example => String(example || '').trim()).filter(Boolean);
+  return [...new Set(titles)].slice(0, MAX_EXAMPLES);
+}
+
+/**
+ * Normalize one stored topic (legacy string or object) into an entry
+ * @param {string|Object} entry - Stored topic
+ * @returns {Object|null} Entry, or null if it has no name
+ */
+export function normalizeTopicEntry(entry) {
+  const isObject = entry !== null && typeof entry === 'object';
+  const name = String((isObject ? entry.name : entry) || '').trim().toLowerCase();
+  if (!name) return null;
+  return {
+    name,
+    action: isObject && TOPIC_ACTIONS.includes(entry.action) ? entry.action : null,
+    enabled: !isObject || entry.enabled !== false,
+    snoozedUntil: isObject && Number.isFinite(entry.snoozedUntil) ? entry.snoozedUntil : null,
+    description: isObject && typeof entry.description === 'string' ? entry.description.trim() : '',
+    positiveExamples: normalizeExamples(isObject ? entry.positiveExamples : null),
+    negativeExamples: normalizeExamples(isObject ? entry.negativeExamples : null)
+  };
+}
+
+/**
+ * Get the details of a topic in the classifier contract format (see PRD.md).
+ * Only non-empty fields are included, so topics without details are sent as before.
+ * @param {Object} entry - Topic entry
+ * @returns {{description?: string, positive_examples?: string[], negative_examples?: string[]}}
+ */
+export function getClassifierTopicDetails(entry) {
+  const details = {};
+  if (entry.description) details.description = entry.description;
+  if (entry.positiveExamples.length > 0) details.positive_examples = entry.positiveExamples;
+  if (entry.negativeExamples.length > 0) details.negative_examples = entry.negativeExamples;
+  return details;
+}
+
+/**
+ * Normalize stored topics into entries, dropping invalid ones
+ * @param {Array<string|Object>} [stored] - Value of the `topics` storage key
+ * @returns {Array<Object>} Topic entries
+ */
+export function normalizeTopicEntries(stored) {
+  if (!Array.isArray(stored)) return [];
+  return stored.map(normalizeTopicEntry).filter(Boolean);
+}
+
+/**
+ * Whether a topic is snoozed at the given time
+ * @param {{snoozedUntil: number|null}} entry - Topic entry
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {boolean}
+ */
+export function isTopicSnoozed(entry, now = Date.now()) {
+  return entry.snoozedUntil !== null && entry.snoozedUntil > now;
+}
+
+/**
+ * Whether a topic should be classified: enabled and not snoozed
+ * @param {{enabled: boolean, snoozedUntil: number|null}} entry - Topic entry
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {boolean}
+ */
+export function isTopicActive(entry, now = Date.now()) {
+  return entry.enabled && !isTopicSnoozed(entry, now);
+}
+
+/**
+ * Get the earliest time a snoozed topic becomes active again
+ * @param {Array<Object>} entries - Topic entries
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {number|null} Timestamp in ms, or null if no enabled topic is snoozed
+ */
+export function getNextSnoozeEnd(entries, now = Date.now()) {
+  const ends = entries
+    .filter(entry => entry.enabled && isTopicSnoozed(entry, now))
+    .map(entry => entry.snoozedUntil);
+  return ends.length > 0 ? Math.min(...ends) : null;
+}
+
+/**
+ * Get the names of topic entries
+ * @param {Array<{name: string}>} entries - Topic entries
+ * @returns {string[]} Topic names
+ */
+export function getTopicNames(entries) {
+  return entries.map(entry => entry.name);
+}
+
+/**
+ * Whether stored topics still use the legacy string format
+ * @param {*} stored - Value of the `topics` storage key
+ * @returns {boolean} True if any topic is a plain string
+ */
+export function needsTopicMigration(stored) {
+  return Array.isArray(stored) && stored.some(entry => typeof entry === 'string');
+}
+
+/**
+ * Convert legacy string topics in storage into entries
+ * @returns {Promise<void>}
+ */
+export async function migrateStoredTopics() {
+  try {
+    const result = await chrome.storage.local.get(['topics']);
+    if (needsTopicMigration(result.topics)) {
+      await chrome.storage.local.set({ topics: normalizeTopicEntries(result.topics) });
+      logger.info('Migrated topics to topic entries');
+    }
+  } catch (error) {
+    logger.error('Failed to migrate topics:', error);
+  }
+}
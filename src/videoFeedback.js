@@ -0,0 +1,99 @@
+/**
+ * Video Feedback
+ * Corrections the user makes from the page, shared by the content script and the popup.
+ *
+ * - `videoOverrides`: {[videoId]: {decision: 'show'|'hide', topic, title, at}}, applied to the
+ *   video before any classification; only the newest are kept
+ * - `labelledExamples`: [{videoId, title, topic, label: 'positive'|'negative', at}], newest last;
+ *   usable as few-shot example titles for their topic and exportable from the popup
+ */
+
+export const VIDEO_OVERRIDES_KEY = 'videoOverrides';
+export const LABELLED_EXAMPLES_KEY = 'labelledExamples';
+export const USE_LABELLED_EXAMPLES_KEY = 'useLabelledExamples';
+
+/**
+ * Oldest labelled examples are dropped beyond this many
+ */
+export const MAX_LABELLED_EXAMPLES = 500;
+
+/**
+ * Oldest video overrides are dropped beyond this many
+ */
+export const MAX_VIDEO_OVERRIDES = 2000;
+
+/**
+ * Add a correction to the overrides and labelled examples.
+ * "Not this topic" (decision 'show') is a negative example of the topic, "hide this" with a topic a positive one;
+ * a correction without a topic only overrides the video.
+ * @param {Object} overrides - Current video overrides
+ * @param {Array<Object>} examples - Current labelled examples
+ * @param {{videoId: string, title: string, topic: string|null, decision: string}} feedback - The correction
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {{overrides: Object, examples: Array<Object>}} Updated overrides and examples
+ */
+export function addVideoFeedback(overrides, examples, { videoId, title, topic = null, decision }, now = Date.now()) {
+  let nextOverrides = { ...overrides, [videoId]: { decision, topic, title, at: now } };
+  if (Object.keys(nextOverrides).length > MAX_VIDEO_OVERRIDES) {
+    nextOverrides = Object.fromEntries(
+      Object.entries(nextOverrides).sort(([, a], [, b]) => (a.at || 0) - (b.at || 0)).slice(-MAX_VIDEO_OVERRIDES)
+    );
+  }
+  // A newer correction of the same video replaces the older example
+  let nextExamples = examples.filter(example => example.videoId !== videoId);
+  if (topic && title) {
+    nextExamples.push({ videoId, title, topic, label: decision === 'hide' ? 'positive' : 'negative', at: now });
+  }
+  if (nextExamples.length > MAX_LABELLED_EXAMPLES) {
+    nextExamples = nextExamples.slice(-MAX_LABELLED_EXAMPLES);
+  }
+  return { overrides: nextOverrides, examples: nextExamples };
+}
+
+/**
+ * Get the titles labelled for a topic, newest first
+ * @param {Array<Object>} examples - Labelled examples
+ * @param {string} topic - Topic name
+ * @param {string} label - 'positive' or 'negative'
+ * @param {number} limit - Maximum number of titles
+ * @returns {string[]} Example titles
+ */
+export function getLabelledTitles(examples, topic, label, limit) {
+  return examples
+    .filter(example => example.topic === topic && example.label === label)
+    .map(example => example.title)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Build the export file contents for the labelled examples
+ * @param {Array<Object>} examples - Labelled examples
+ * @param {Object} overrides - Video overrides
+ * @param {number} [now=Date.now()] - Export time in ms
+ * @returns {string} JSON document
+ */
+export function buildFeedbackExport(examples, overrides, now = Date.now()) {
+  return JSON.stringify({
+    exportedAt: new Date(now).toISOString(),
+    labelledExamples: examples.map(({ videoId, title, topic, label, at }) => ({
+      videoId, title, topic, label, labelledAt: new Date(at).toISOString()
+    })),
+    videoOverrides: overrides
+  }, null, 2);
+}
+
+/**
+ * Store a correction made from the page
+ * @param {{videoId: string, title: string, topic: string|null, decision: string}} feedback - The correction
+ * @returns {Promise<void>}
+ */
+export async function recordVideoFeedback(feedback) {
+  const result = await chrome.storage.local.get([VIDEO_OVERRIDES_KEY, LABELLED_EXAMPLES_KEY]);
+  const { overrides, examples } = addVideoFeedback(
+    result[VIDEO_OVERRIDES_KEY] || {},
+    result[LABELLED_EXAMPLES_KEY] || [],
+    feedback
+  );
+  await chrome.storage.local.set({ [VIDEO_OVERRIDES_KEY]: overrides, [LABELLED_EXAMPLES_KEY]: examples });
+}
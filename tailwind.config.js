@@ -1,9 +1,17 @@
 module.exports = {
-	content: [
-		'./*.html',
-		'./*.js',
-		'./**/*.js'
-	],
+	// Only the popup and help pages use these styles. Scripts are read without Tailwind's `!` important
+	// modifier, which the popup does not use, so code such as `if (!input)` does not add a `.\!input` rule.
+	content: {
+		files: [
+			'./*.html',
+			'./src/**/*.html',
+			'./popupView.js',
+			'./src/popup/**/*View.js'
+		],
+		extract: {
+			js: content => content.match(/[\w:/.-]+/g) || []
+		}
+	},
 	theme: {
 		extend: {}
 	},
@@ -0,0 +1,150 @@
+// Mock chrome API
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(),
+      set: jest.fn(),
+      remove: jest.fn()
+    }
+  }
+};
+
+import {
+  computeTopicFingerprint,
+  loadClassificationCache,
+  persistClassificationCache,
+  getCachedClassification,
+  setCachedClassification,
+  clearClassificationCache,
+  getClassificationCacheSize,
+  FALLBACK_CACHE_TTL_MS
+} from '../../src/contentScript/classificationCache.js';
+
+describe('classificationCache', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+    chrome.storage.local.remove.mockResolvedValue();
+    await clearClassificationCache();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('computeTopicFingerprint', () => {
+    test('should ignore topic order and case', () => {
+      expect(computeTopicFingerprint(['Cricket', 'football']))
+        .toBe(computeTopicFingerprint(['football', 'cricket']));
+    });
+
+    test('should change when the topic set changes', () => {
+      expect(computeTopicFingerprint(['cricket']))
+        .not.toBe(computeTopicFingerprint(['cricket', 'football']));
+    });
+  });
+
+  test('should return cached matches for the same video and fingerprint only', () => {
+    const fingerprint = computeTopicFingerprint(['cricket']);
+    setCachedClassification('abc123', fingerprint, ['cricket']);
+
+    expect(getCachedClassification('abc123', fingerprint)).toEqual({ matchedTopics: ['cricket'] });
+    expect(getCachedClassification('abc123', computeTopicFingerprint(['music']))).toBeNull();
+    expect(getCachedClassification('other', fingerprint)).toBeNull();
+  });
+
+  test('should return null for missing video ID', () => {
+    expect(getCachedClassification(null, 'ffffffff')).toBeNull();
+  });
+
+  test('should expire entries after the TTL', () => {
+    const fingerprint = computeTopicFingerprint(['cricket']);
+    setCachedClassification('abc123', fingerprint, []);
+
+    jest.advanceTimersByTime(8 * 24 * 60 * 60 * 1000);
+
+    expect(getCachedClassification('abc123', fingerprint)).toBeNull();
+    expect(getClassificationCacheSize()).toBe(0);
+  });
+
+  test('should expire fallback results after their shorter TTL', () => {
+    const fingerprint = computeTopicFingerprint(['cricket']);
+    setCachedClassification('fallback', fingerprint, ['cricket'], { backend: 'rules', ttl: FALLBACK_CACHE_TTL_MS });
+    setCachedClassification('primary', fingerprint, ['cricket'], { backend: 'server' });
+
+    jest.advanceTimersByTime(FALLBACK_CACHE_TTL_MS + 1);
+
+    expect(getCachedClassification('fallback', fingerprint)).toBeNull();
+    expect(getCachedClassification('primary', fingerprint)).not.toBeNull();
+  });
+
+  test('should evict the least recently used entry when full', () => {
+    const fingerprint = computeTopicFingerprint(['cricket']);
+    for (let i = 0; i < 5000; i++) {
+      setCachedClassification(`video${i}`, fingerprint, []);
+    }
+    // Touch the oldest entry so the second oldest becomes least recently used
+    getCachedClassification('video0', fingerprint);
+    setCachedClassification('video5000', fingerprint, []);
+
+    expect(getClassificationCacheSize()).toBe(5000);
+    expect(getCachedClassification('video0', fingerprint)).not.toBeNull();
+    expect(getCachedClassification('video1', fingerprint)).toBeNull();
+  });
+
+  test('should persist entries with a debounced write', async () => {
+    setCachedClassification('abc123', 'ffffffff', ['cricket']);
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      classificationCache: [['ffffffff:abc123', expect.objectContaining({ matchedTopics: ['cricket'] })]]
+    });
+  });
+
+  test('should merge its changes with entries other tabs stored meanwhile', async () => {
+    const now = Date.now();
+    setCachedClassification('mine', 'ffffffff', ['cricket']);
+    // Meanwhile another tab stored a new entry and an older result for this tab's video
+    chrome.storage.local.get.mockResolvedValueOnce({
+      classificationCache: [
+        ['ffffffff:theirs', { matchedTopics: ['music'], createdAt: now }],
+        ['ffffffff:mine', { matchedTopics: [], createdAt: now - 1000 }]
+      ]
+    });
+
+    await persistClassificationCache();
+
+    const [[written]] = chrome.storage.local.set.mock.calls;
+    expect(written.classificationCache.map(([key]) => key)).toEqual(['ffffffff:theirs', 'ffffffff:mine']);
+    expect(written.classificationCache[1][1].matchedTopics).toEqual(['cricket']);
+    expect(getCachedClassification('theirs', 'ffffffff')).toEqual({ matchedTopics: ['music'] });
+  });
+
+  test('should load stored entries and drop expired ones', async () => {
+    const now = Date.now();
+    chrome.storage.local.get.mockResolvedValueOnce({
+      classificationCache: [
+        ['ffffffff:fresh', { matchedTopics: ['cricket'], createdAt: now }],
+        ['ffffffff:stale', { matchedTopics: [], createdAt: now - 30 * 24 * 60 * 60 * 1000 }]
+      ]
+    });
+
+    await loadClassificationCache();
+
+    expect(getCachedClassification('fresh', 'ffffffff')).toEqual({ matchedTopics: ['cricket'] });
+    expect(getCachedClassification('stale', 'ffffffff')).toBeNull();
+  });
+
+  test('should clear storage when cleared', async () => {
+    setCachedClassification('abc123', 'ffffffff', []);
+    await clearClassificationCache();
+    await persistClassificationCache();
+
+    expect(chrome.storage.local.remove).toHaveBeenCalledWith('classificationCache');
+    expect(getClassificationCacheSize()).toBe(0);
+  });
+});
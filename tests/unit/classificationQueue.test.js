@@ -0,0 +1,54 @@
+import { createClassificationQueue } from '../../src/contentScript/classificationQueue.js';
+
+describe('classificationQueue', () => {
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // jsdom has no layout, so tiles report the position they are given
+  function createTile(name, top) {
+    const tile = document.createElement('div');
+    tile.id = name;
+    tile.getBoundingClientRect = () => ({ top, bottom: top + 200 });
+    return tile;
+  }
+
+  test('should classify tiles near the viewport first, off-screen ones when idle', async () => {
+    const batches = [];
+    const queue = createClassificationQueue(async (elements) => {
+      batches.push(elements.map(element => element.id));
+    }, { batchSize: 2, idleBatchSize: 10 });
+
+    queue.enqueue([
+      createTile('far1', 5000), createTile('near1', 0), createTile('far2', 9000),
+      createTile('near2', 300), createTile('near3', 600)
+    ]);
+    await wait(0);
+    expect(batches).toEqual([['near1', 'near2'], ['near3']]);
+
+    await wait(300);
+    expect(batches).toEqual([['near1', 'near2'], ['near3'], ['far1', 'far2']]);
+    expect(queue.size()).toBe(0);
+  });
+
+  test('should drop queued tiles and flag the batch in flight as cancelled', async () => {
+    let finishBatch;
+    let cancelledFlag = null;
+    const processed = [];
+    const queue = createClassificationQueue(async (elements, isCancelled) => {
+      await new Promise(resolve => { finishBatch = resolve; });
+      cancelledFlag = isCancelled();
+      processed.push(...elements.map(element => element.id));
+    }, { batchSize: 1 });
+
+    const first = createTile('first', 0);
+    queue.enqueue([first, createTile('second', 0), createTile('offscreen', 5000)]);
+    expect(queue.has(first)).toBe(true);
+
+    queue.cancel();
+    expect(queue.size()).toBe(0);
+    finishBatch();
+    await wait(300);
+
+    expect(cancelledFlag).toBe(true);
+    expect(processed).toEqual(['first']);
+  });
+});
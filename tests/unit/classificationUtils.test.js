@@ -61,7 +61,10 @@ describe('classificationUtils', () => {
         ]
       );
       
-      expect(results).toEqual(['cricket', 'football']);
+      expect(results).toEqual([
+        { matchedTopics: ['cricket'], scores: [null], backend: null, fallback: false },
+        { matchedTopics: ['football'], scores: [null], backend: null, fallback: false }
+      ]);
     });
 
     test('should handle classifier response with no matches', async () => {
@@ -78,7 +81,10 @@ describe('classificationUtils', () => {
 
       const results = await classifyTextsBatch(mockClassifier, texts, topics);
       
-      expect(results).toEqual([null, null]);
+      expect(results).toEqual([
+        { matchedTopics: [], scores: [], backend: null, fallback: false },
+        { matchedTopics: [], scores: [], backend: null, fallback: false }
+      ]);
     });
 
     test('should handle classifier error', async () => {
@@ -111,6 +117,33 @@ describe('classificationUtils', () => {
       await expect(classifyTextsBatch(mockClassifier, ['text1'], 'cricket')).rejects.toThrow('Topics must be a non-empty array');
     });
 
+    test('should use provided text IDs such as video IDs', async () => {
+      const texts = [
+        { id: 'vid123', text: 'cricket video' },
+        { id: 'vid123', text: 'duplicate video' },
+        'football highlights'
+      ];
+      const topics = ['cricket', 'football'];
+
+      mockClassifier.classify.mockResolvedValueOnce([
+        { text_id: 'vid123', topic_ids: ['p0'] },
+        { text_id: 't1', topic_ids: [] },
+        { text_id: 't2', topic_ids: ['p1'] }
+      ]);
+
+      const results = await classifyTextsBatch(mockClassifier, texts, topics);
+
+      expect(mockClassifier.classify).toHaveBeenCalledWith(
+        [
+          { id: 'vid123', text: 'cricket video' },
+          { id: 't1', text: 'duplicate video' },
+          { id: 't2', text: 'football highlights' }
+        ],
+        expect.any(Array)
+      );
+      expect(results.map(result => result.matchedTopics)).toEqual([['cricket'], [], ['football']]);
+    });
+
     test('should handle single text input', async () => {
       const texts = ['cricket video'];
       const topics = ['cricket', 'football'];
@@ -124,12 +157,24 @@ describe('classificationUtils', () => {
       const results = await classifyTextsBatch(mockClassifier, texts, topics);
       
       expect(results).toHaveLength(1);
-      expect(results[0]).toBe('cricket');
+      expect(results[0].matchedTopics).toEqual(['cricket']);
+    });
+
+    test('should return every matched topic with its score and backend', async () => {
+      mockClassifier.classify.mockResolvedValueOnce([
+        { text_id: 't0', topic_ids: ['p1', 'p0', 'p9'], scores: [0.9, 1.4, 0.5], backend: 'server' }
+      ]);
+
+      const results = await classifyTextsBatch(mockClassifier, ['cricket and football'], ['cricket', 'football']);
+
+      expect(results).toEqual([
+        { matchedTopics: ['football', 'cricket'], scores: [0.9, 1], backend: 'server', fallback: false }
+      ]);
     });
   });
 
   describe('batchClassifyVideoContexts', () => {
-    test('should return boolean array matching input length', async () => {
+    test('should return a decision per context matching input length', async () => {
       const contexts = ['cricket video', 'football highlights', 'tennis match'];
       const topics = ['cricket', 'football', 'tennis'];
       
@@ -144,7 +189,8 @@ describe('classificationUtils', () => {
       const results = await batchClassifyVideoContexts(mockClassifier, contexts, topics);
       
       expect(results).toHaveLength(contexts.length);
-      expect(results).toEqual([true, true, false]);
+      expect(results.map(result => result.hide)).toEqual([true, true, false]);
+      expect(results[0]).toEqual(expect.objectContaining({ hide: true, matchedTopics: ['cricket'], score: null, backend: null }));
     });
 
     test('should return empty array for empty contexts', async () => {
@@ -152,12 +198,12 @@ describe('classificationUtils', () => {
       expect(results).toEqual([]);
     });
 
-    test('should return false array for empty topics', async () => {
+    test('should not hide anything for empty topics', async () => {
       const contexts = ['cricket video', 'football highlights'];
       const results = await batchClassifyVideoContexts(mockClassifier, contexts, []);
       
       expect(results).toHaveLength(contexts.length);
-      expect(results.every(result => result === false)).toBe(true);
+      expect(results.every(result => result.hide === false)).toBe(true);
     });
 
     test('should handle classifier errors gracefully', async () => {
@@ -170,7 +216,7 @@ describe('classificationUtils', () => {
       const results = await batchClassifyVideoContexts(mockClassifier, contexts, topics);
       
       expect(results).toHaveLength(contexts.length);
-      expect(results.every(result => result === false)).toBe(true);
+      expect(results.every(result => result.hide === false && result.error === true)).toBe(true);
     });
 
     test('should handle single context input', async () => {
@@ -186,7 +232,7 @@ describe('classificationUtils', () => {
       const results = await batchClassifyVideoContexts(mockClassifier, contexts, topics);
       
       expect(results).toHaveLength(1);
-      expect(results[0]).toBe(true);
+      expect(results[0].hide).toBe(true);
     });
 
     test('should convert topic matches to hide decisions correctly', async () => {
@@ -203,7 +249,85 @@ describe('classificationUtils', () => {
 
       const results = await batchClassifyVideoContexts(mockClassifier, contexts, topics);
       
-      expect(results).toEqual([true, false, true]);
+      expect(results.map(result => result.hide)).toEqual([true, false, true]);
+    });
+
+    test('should drop matches scored below the threshold', async () => {
+      const contexts = ['cricket video', 'cricket and tennis', 'tennis match'];
+      const topics = ['cricket', 'tennis'];
+
+      mockClassifier.classify.mockResolvedValueOnce([
+        { text_id: 't0', topic_ids: ['p0'], scores: [0.4], backend: 'llm' },
+        { text_id: 't1', topic_ids: ['p0', 'p1'], scores: [0.6, 0.8], backend: 'llm' },
+        { text_id: 't2', topic_ids: ['p1'], backend: 'llm' }
+      ]);
+
+      const results = await batchClassifyVideoContexts(mockClassifier, contexts, topics, { threshold: 0.5 });
+
+      expect(results[0]).toEqual(expect.objectContaining({ hide: false, matchedTopics: [], score: null }));
+      expect(results[1]).toEqual(expect.objectContaining({
+        hide: true, matchedTopics: ['tennis', 'cricket'], score: 0.8, backend: 'llm'
+      }));
+      // Unscored matches always count
+      expect(results[2]).toEqual(expect.objectContaining({ hide: true, matchedTopics: ['tennis'], score: null }));
+      // The raw matches are kept so the threshold can be re-applied later
+      expect(results[0].classification.scores).toEqual([0.4]);
+    });
+
+    test('should keep unscored matches of a non-server backend under any threshold', async () => {
+      mockClassifier.classify.mockResolvedValueOnce([
+        { text_id: 't0', topic_ids: ['p0'], backend: 'rules' }
+      ]);
+
+      const [result] = await batchClassifyVideoContexts(mockClassifier, ['cricket video'], ['cricket'], { threshold: 0.95 });
+
+      expect(result).toEqual(expect.objectContaining({ hide: true, matchedTopics: ['cricket'], score: null, backend: 'rules' }));
+    });
+
+    test('should classify allow topics in the same request and let them win', async () => {
+      const contexts = ['election debate', 'civics lecture on elections'];
+
+      mockClassifier.classify.mockResolvedValueOnce([
+        { text_id: 't0', topic_ids: ['p0'] },
+        { text_id: 't1', topic_ids: ['p0', 'p1'] }
+      ]);
+
+      const results = await batchClassifyVideoContexts(mockClassifier, contexts, ['politics'], { allowTopics: ['civics'] });
+
+      expect(mockClassifier.classify).toHaveBeenCalledWith(
+        expect.any(Array),
+        [{ id: 'p0', topic: 'politics' }, { id: 'p1', topic: 'civics' }]
+      );
+      expect(results[0]).toEqual(expect.objectContaining({ hide: true, matchedTopics: ['politics'], allowedTopics: [] }));
+      expect(results[1]).toEqual(expect.objectContaining({ hide: false, matchedTopics: ['politics'], allowedTopics: ['civics'] }));
+    });
+
+    test('should send topic descriptions and examples with their topics', async () => {
+      mockClassifier.classify.mockResolvedValueOnce([{ text_id: 't0', topic_ids: [] }]);
+      const details = { description: 'Video game content', positive_examples: ['Elden Ring guide'] };
+
+      await batchClassifyVideoContexts(mockClassifier, ['game theory lecture'], ['gaming'], {
+        allowTopics: ['math'],
+        topicDetails: { gaming: details }
+      });
+
+      expect(mockClassifier.classify).toHaveBeenCalledWith(
+        expect.any(Array),
+        [{ id: 'p0', topic: 'gaming', ...details }, { id: 'p1', topic: 'math' }]
+      );
+    });
+
+    test('should ignore allow matches below the threshold', async () => {
+      mockClassifier.classify.mockResolvedValueOnce([
+        { text_id: 't0', topic_ids: ['p0', 'p1'], scores: [0.9, 0.2] }
+      ]);
+
+      const results = await batchClassifyVideoContexts(mockClassifier, ['election debate'], ['politics'], {
+        threshold: 0.5,
+        allowTopics: ['civics']
+      });
+
+      expect(results[0]).toEqual(expect.objectContaining({ hide: true, allowedTopics: [], score: 0.9 }));
     });
   });
 });
\ No newline at end of file
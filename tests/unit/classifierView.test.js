@@ -0,0 +1,30 @@
+import { renderConfidenceThresholdScope } from '../../src/popup/classifierView.js';
+
+describe('classifierView', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input type="range" id="confidence-threshold" />
+      <div id="confidence-threshold-note"></div>
+    `;
+  });
+
+  const slider = () => document.getElementById('confidence-threshold');
+  const note = () => document.getElementById('confidence-threshold-note').textContent;
+
+  test('disables the threshold when no enabled classifier reports a score', () => {
+    renderConfidenceThresholdScope([], ['llm', 'rules']);
+
+    expect(slider().disabled).toBe(true);
+    expect(note()).toMatch(/every match counts/);
+  });
+
+  test('names the classifiers the threshold does not apply to', () => {
+    renderConfidenceThresholdScope(['server'], ['rules']);
+
+    expect(slider().disabled).toBe(false);
+    expect(note()).toBe('Applies to AI server only; matches from Offline keyword rules always count.');
+
+    renderConfidenceThresholdScope(['server'], []);
+    expect(note()).toBe('');
+  });
+});
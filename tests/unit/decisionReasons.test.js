@@ -0,0 +1,38 @@
+import {
+  recordDecisionReason, clearDecisionReason, clearDecisionReasons, getDecisionReason, getDecisionReasons,
+  describeDecisionReason
+} from '../../src/contentScript/decisionReasons.js';
+
+describe('decisionReasons', () => {
+  beforeEach(() => {
+    clearDecisionReasons();
+  });
+
+  test('should keep one reason per video, most recent first', () => {
+    recordDecisionReason('v1', { action: 'hide', topic: 'cricket' }, 1000);
+    recordDecisionReason('v2', { action: 'delete', topic: 'politics' }, 2000);
+    recordDecisionReason('v1', { action: 'blur', topic: 'cricket' }, 3000);
+
+    expect(getDecisionReasons().map(reason => reason.videoId)).toEqual(['v1', 'v2']);
+    expect(getDecisionReason('v1')).toEqual({ videoId: 'v1', action: 'blur', topic: 'cricket', at: 3000 });
+
+    clearDecisionReason('v2');
+    expect(getDecisionReason('v2')).toBeNull();
+  });
+
+  test('should describe the matched topics, backend and confidence', () => {
+    const lines = describeDecisionReason({
+      matchedTopics: ['cricket', 'sports'], backend: 'builtin', score: 0.823, source: 'cache', at: 0
+    });
+
+    expect(lines[0]).toBe('Matched: cricket, sports');
+    expect(lines[1]).toBe('Decided by: Built-in AI, 82% confident (cached)');
+    expect(lines[2]).toMatch(/^At: /);
+  });
+
+  test('should describe include-only and corrected decisions', () => {
+    expect(describeDecisionReason({ matchedTopics: [], backend: 'rules', score: null, source: 'classifier', at: 0 }).slice(0, 2))
+      .toEqual(['Matched none of your topics', 'Decided by: Keyword rules']);
+    expect(describeDecisionReason({ topic: 'gaming', source: 'override', at: 0 })[0]).toBe('You marked this as gaming');
+  });
+});
@@ -0,0 +1,95 @@
+import {
+  DELETED_CLASS, describeDeletedRun, updateDeletedPlaceholders, removeDeletedPlaceholders
+} from '../../src/contentScript/deletedPlaceholders.js';
+
+describe('deletedPlaceholders', () => {
+  let tiles;
+
+  // Five tiles in one grid; tiles 0, 1 and 3 are deleted
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="grid"></div>';
+    const grid = document.getElementById('grid');
+    tiles = [0, 1, 2, 3, 4].map(i => {
+      const tile = document.createElement('div');
+      tile.dataset.videoId = `v${i}`;
+      tile.dataset.topic = i === 1 ? 'gossip' : 'politics';
+      if ([0, 1, 3].includes(i)) {
+        tile.classList.add(DELETED_CLASS);
+        tile.style.display = 'none';
+      }
+      grid.appendChild(tile);
+      return tile;
+    });
+  });
+
+  afterEach(() => {
+    removeDeletedPlaceholders(tiles);
+  });
+
+  const describeVideo = tile => ({ videoId: tile.dataset.videoId, topic: tile.dataset.topic });
+  const placeholders = () => [...document.querySelectorAll('.conscious-youtube-placeholder')];
+
+  test('should summarize the count and unique topics', () => {
+    expect(describeDeletedRun(3, ['politics', 'gossip', 'politics', null])).toBe('3 videos filtered (politics, gossip)');
+    expect(describeDeletedRun(1, [null])).toBe('1 video filtered');
+  });
+
+  test('should collapse each run of deleted tiles into one placeholder', () => {
+    updateDeletedPlaceholders(tiles, describeVideo);
+
+    expect(placeholders().map(p => p.textContent)).toEqual([
+      '2 videos filtered (politics, gossip) — expand',
+      '1 video filtered (politics) — expand'
+    ]);
+    expect(placeholders()[0].nextElementSibling).toBe(tiles[0]);
+
+    // Updating again reuses the placeholders instead of adding more
+    updateDeletedPlaceholders(tiles, describeVideo);
+    expect(placeholders()).toHaveLength(2);
+  });
+
+  test('should expand and collapse a run without touching the others', () => {
+    updateDeletedPlaceholders(tiles, describeVideo);
+    placeholders()[0].querySelector('button').click();
+
+    expect(tiles[0].style.display).toBe('');
+    expect(tiles[1].style.display).toBe('');
+    expect(tiles[3].style.display).toBe('none');
+    expect(placeholders()[0].textContent).toMatch(/— collapse$/);
+
+    // Expanded runs stay expanded across updates
+    updateDeletedPlaceholders(tiles, describeVideo);
+    expect(tiles[0].style.display).toBe('');
+
+    placeholders()[0].querySelector('button').click();
+    expect(tiles[0].style.display).toBe('none');
+  });
+
+  test('should remove placeholders of runs that are no longer deleted', () => {
+    updateDeletedPlaceholders(tiles, describeVideo);
+    tiles[3].classList.remove(DELETED_CLASS);
+    updateDeletedPlaceholders(tiles, describeVideo);
+
+    expect(placeholders()).toHaveLength(1);
+  });
+
+  test('should find runs in document order when the tiles are listed selector by selector', () => {
+    // Tiles 0, 1 and 3 are deleted; tiles 1 and 2 are found by another selector than 0, 3 and 4
+    const bySelector = [tiles[0], tiles[3], tiles[4], tiles[1], tiles[2]];
+    updateDeletedPlaceholders(bySelector, describeVideo);
+
+    expect(placeholders().map(p => p.textContent)).toEqual([
+      '2 videos filtered (politics, gossip) — expand',
+      '1 video filtered (politics) — expand'
+    ]);
+  });
+
+  test('should only need the deleted tiles', () => {
+    updateDeletedPlaceholders([tiles[3], tiles[0], tiles[1]], describeVideo);
+
+    expect(placeholders().map(p => p.textContent)).toEqual([
+      '2 videos filtered (politics, gossip) — expand',
+      '1 video filtered (politics) — expand'
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+import { initializeFilteredVideos } from '../../src/popup/filteredVideosLogic.js';
+
+describe('filteredVideosLogic', () => {
+  const videos = [{ videoId: 'v1', title: 'Cricket final', channel: 'Sports TV', topic: 'cricket', action: 'delete' }];
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="filtered-videos-status"></div>
+      <div id="selector-warning"></div>
+      <button id="reveal-all-btn"></button>
+      <ul id="filtered-videos-list"></ul>
+    `;
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  function mockTabs(activeTab, youTubeTabs) {
+    global.chrome = {
+      tabs: {
+        query: jest.fn(async query => (query.active ? [activeTab] : youTubeTabs)),
+        sendMessage: jest.fn(async () => ({ videos }))
+      }
+    };
+  }
+
+  test('should ask the active YouTube tab', async () => {
+    mockTabs({ id: 1, url: 'https://www.youtube.com/' }, []);
+
+    const component = await initializeFilteredVideos();
+
+    expect(global.chrome.tabs.sendMessage).toHaveBeenCalledWith(1, { action: 'getFilteredVideos' });
+    expect(component.getFilteredVideos()).toEqual(videos);
+  });
+
+  test('should ask the YouTube tab used last when the settings are open in a tab', async () => {
+    mockTabs({ id: 9, url: 'chrome-extension://abc/popup.html' }, [
+      { id: 2, url: 'https://www.youtube.com/', lastAccessed: 100 },
+      { id: 3, url: 'https://www.youtube.com/watch?v=v1', lastAccessed: 300 },
+      { id: 4, url: 'https://www.youtube.com/feed/subscriptions', lastAccessed: 200 }
+    ]);
+
+    await initializeFilteredVideos();
+
+    expect(global.chrome.tabs.sendMessage).toHaveBeenCalledWith(3, { action: 'getFilteredVideos' });
+    expect(document.querySelectorAll('#filtered-videos-list li')).toHaveLength(1);
+  });
+
+  test('should ask to open YouTube when no YouTube tab is open', async () => {
+    mockTabs({ id: 9, url: 'chrome-extension://abc/popup.html' }, []);
+
+    await initializeFilteredVideos();
+
+    expect(global.chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    expect(document.getElementById('filtered-videos-status').textContent).toBe('Open YouTube to see the videos filtered there.');
+  });
+});
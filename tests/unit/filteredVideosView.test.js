@@ -0,0 +1,51 @@
+import { renderFilteredVideos, setSelectorWarning } from '../../src/popup/filteredVideosView.js';
+
+describe('filteredVideosView', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="selector-warning"></div>
+      <button id="reveal-all-btn"></button>
+      <ul id="filtered-videos-list"></ul>
+    `;
+  });
+
+  test('renders each filtered video and wires its buttons', () => {
+    const onShow = jest.fn();
+    const onNeverHide = jest.fn();
+    renderFilteredVideos([
+      { videoId: 'v1', title: '<b>Cricket</b> final', channel: 'Sports TV', topic: 'cricket', action: 'delete' },
+      { videoId: 'v2', title: 'Vlog', channel: '', topic: null, action: 'blur' }
+    ], { onShow, onNeverHide });
+
+    const items = [...document.querySelectorAll('#filtered-videos-list li')];
+    expect(items).toHaveLength(2);
+    // Titles come from the page, so they are rendered as text
+    expect(items[0].textContent).toContain('<b>Cricket</b> final');
+    expect(items[0].textContent).toContain('Sports TV · cricket · Deleted');
+    expect(items[1].textContent).toContain('not in your topics · Blurred');
+
+    const [showBtn, neverBtn] = items[0].querySelectorAll('button');
+    showBtn.click();
+    neverBtn.click();
+    expect(onShow).toHaveBeenCalledWith('v1');
+    expect(onNeverHide).toHaveBeenCalledWith('v1');
+    expect(document.getElementById('reveal-all-btn').style.display).toBe('');
+  });
+
+  test('hides the reveal all button for a single video', () => {
+    renderFilteredVideos([{ videoId: 'v1', title: 'A', channel: 'B', topic: 'c', action: 'hide' }], {});
+    expect(document.getElementById('reveal-all-btn').style.display).toBe('none');
+  });
+
+  test('shows the selector warning only when the page looks broken', () => {
+    const warning = document.getElementById('selector-warning');
+    setSelectorWarning({ broken: true, reason: 'Most video titles could not be read.' });
+    expect(warning.style.display).toBe('');
+    expect(warning.textContent).toContain('Filtering may be broken on this page. Most video titles could not be read.');
+
+    setSelectorWarning({ broken: false, reason: null });
+    expect(warning.style.display).toBe('none');
+    setSelectorWarning(undefined);
+    expect(warning.textContent).toBe('');
+  });
+});
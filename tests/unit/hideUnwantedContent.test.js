@@ -0,0 +1,302 @@
+/**
+ * Tests for the hide unwanted videos component, run against the real module
+ * with a fake classifier, scan scheduler and chrome storage
+ */
+
+import { DELETED_CLASS } from '../../src/contentScript/deletedPlaceholders.js';
+
+/**
+ * Add a homepage tile to the page
+ * @param {string} videoId - Video ID of the tile
+ * @param {string} title - Title of the video
+ * @returns {Element} - The tile element
+ */
+function addTile(videoId, title) {
+  const tile = document.createElement('ytd-rich-item-renderer');
+  tile.innerHTML = `<a id="video-title" href="/watch?v=${videoId}" title="${title}">${title}</a>`;
+  document.body.appendChild(tile);
+  return tile;
+}
+
+/**
+ * Fake classification: a text matches a topic when it contains the topic
+ * @param {Array<{id: string, text: string}>} texts - Texts to classify
+ * @param {Array<{id: string, topic: string}>} topics - Topics to classify against
+ * @returns {Promise<Array<{text_id: string, topic_ids: string[]}>>} Classification results
+ */
+async function matchTopics(texts, topics) {
+  return texts.map(text => ({
+    text_id: text.id,
+    topic_ids: topics.filter(({ topic }) => text.text.toLowerCase().includes(topic)).map(({ id }) => id)
+  }));
+}
+
+/**
+ * Load a fresh copy of the component and initialize it with the given stored settings
+ * @param {Object} stored - Values in chrome.storage.local
+ * @param {Object} [classifier] - Classifier to inject; defaults to one using matchTopics()
+ * @returns {Promise<Object>} - The module, its component interface, the fake classifier and the fake scheduler
+ */
+async function setup(stored, classifier = { classify: jest.fn(matchTopics) }) {
+  jest.resetModules();
+  global.chrome = {
+    storage: {
+      local: {
+        get: jest.fn(async () => ({ ...stored })),
+        set: jest.fn(async () => {}),
+        remove: jest.fn(async () => {})
+      },
+      onChanged: { addListener: jest.fn(), removeListener: jest.fn() }
+    },
+    runtime: {
+      onMessage: { addListener: jest.fn(), removeListener: jest.fn() },
+      sendMessage: jest.fn(async () => {})
+    }
+  };
+  const scheduler = { register: jest.fn(), unregister: jest.fn() };
+  const module = require('../../src/contentScript/hideUnwantedContent.js');
+  const component = await module.initializeHideUnwantedContent(classifier, scheduler);
+  return { module, component, classifier, scheduler };
+}
+
+/**
+ * Let the classification queue classify the tiles
+ */
+async function classifyQueued() {
+  await jest.advanceTimersByTimeAsync(1000);
+}
+
+describe('hideUnwantedContent', () => {
+  let component;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    if (component) component.dispose();
+    component = null;
+    jest.useRealTimers();
+    delete global.chrome;
+  });
+
+  describe('include-only mode', () => {
+    test('should hide the videos that match none of the intent topics', async () => {
+      const cooking = addTile('v1', 'Easy cooking for beginners');
+      const cricket = addTile('v2', 'Cricket final highlights');
+      let module;
+      ({ module, component } = await setup({ filterMode: 'include', intentTopics: ['cooking'], videoAction: 'delete' }));
+      await classifyQueued();
+
+      expect(cooking.classList.contains(DELETED_CLASS)).toBe(false);
+      expect(cricket.classList.contains(DELETED_CLASS)).toBe(true);
+      expect(module.decideClassification({ matchedTopics: [] }).hide).toBe(true);
+      expect(module.decideClassification({ matchedTopics: ['cooking'] })).toEqual(
+        expect.objectContaining({ hide: false, topic: null, matchedTopics: [] })
+      );
+    });
+
+    test('should count always-shown topics as intent topics', async () => {
+      const news = addTile('v1', 'Morning news briefing');
+      const cricket = addTile('v2', 'Cricket final highlights');
+      let module, classifier;
+      ({ module, component, classifier } = await setup({
+        filterMode: 'include', intentTopics: ['cooking'], allowTopics: ['news', 'cooking'], videoAction: 'delete'
+      }));
+      await classifyQueued();
+
+      expect(module.getClassifiedTopics()).toEqual(['cooking', 'news']);
+      expect(classifier.classify.mock.calls[0][1].map(({ topic }) => topic)).toEqual(['cooking', 'news']);
+      expect(news.classList.contains(DELETED_CLASS)).toBe(false);
+      expect(cricket.classList.contains(DELETED_CLASS)).toBe(true);
+    });
+
+    test('should filter nothing when there are no intent topics', async () => {
+      const tiles = [addTile('v1', 'Morning news briefing'), addTile('v2', 'Cricket final highlights')];
+      let classifier;
+      ({ component, classifier } = await setup({ filterMode: 'include', intentTopics: [], allowTopics: ['news'] }));
+      await classifyQueued();
+
+      expect(classifier.classify).not.toHaveBeenCalled();
+      expect(tiles.every(tile => tile.style.display !== 'none')).toBe(true);
+    });
+  });
+
+  describe('blur action', () => {
+    const overlay = tile => tile.querySelector(':scope > .conscious-youtube-blur-overlay');
+    const showAnyway = tile => [...overlay(tile).querySelectorAll('button')].find(button => button.textContent === 'Show anyway');
+
+    test('should blur a matching video with an overlay naming the topic', async () => {
+      const cricket = addTile('v1', 'Cricket final highlights');
+      const cooking = addTile('v2', 'Easy cooking for beginners');
+      ({ component } = await setup({ topics: ['cricket'], videoAction: 'blur' }));
+      await classifyQueued();
+
+      expect(cricket.classList.contains('conscious-youtube-blurred')).toBe(true);
+      expect(overlay(cricket).textContent).toContain('Filtered: cricket');
+      expect(cooking.classList.contains('conscious-youtube-blurred')).toBe(false);
+    });
+
+    test('showVideo should remove the blur and overlay', async () => {
+      const cricket = addTile('v1', 'Cricket final highlights');
+      ({ component } = await setup({ topics: ['cricket'], videoAction: 'blur' }));
+      await classifyQueued();
+
+      component.showVideo(cricket);
+
+      expect(cricket.classList.contains('conscious-youtube-blurred')).toBe(false);
+      expect(overlay(cricket)).toBeNull();
+    });
+
+    test('"Show anyway" should unblur the video until the page is left', async () => {
+      const cricket = addTile('v1', 'Cricket final highlights');
+      ({ component } = await setup({ topics: ['cricket'], videoAction: 'blur' }));
+      await classifyQueued();
+
+      showAnyway(cricket).click();
+      expect(cricket.classList.contains('conscious-youtube-blurred')).toBe(false);
+
+      // Rescanning the same page keeps it shown
+      component.clearProcessedVideosCache();
+      component.scanForVideos();
+      await classifyQueued();
+      expect(cricket.classList.contains('conscious-youtube-blurred')).toBe(false);
+
+      // A new page filters it again
+      component.onNavigate({ pageType: 'other' });
+      await classifyQueued();
+      expect(cricket.classList.contains('conscious-youtube-blurred')).toBe(true);
+    });
+  });
+
+  describe('storage changes', () => {
+    const storageListener = () => global.chrome.storage.onChanged.addListener.mock.calls[0][0];
+
+    test('should apply corrections from another tab in place, without reclassifying', async () => {
+      const cricket = addTile('v1', 'Cricket final highlights');
+      const cooking = addTile('v2', 'Easy cooking for beginners');
+      let classifier;
+      ({ component, classifier } = await setup({ topics: ['cricket'], videoAction: 'delete' }));
+      await classifyQueued();
+      expect(classifier.classify).toHaveBeenCalledTimes(1);
+
+      const hideCooking = { v2: { decision: 'hide', topic: null, title: 'Easy cooking for beginners', at: 1 } };
+      storageListener()({ videoOverrides: { newValue: hideCooking } });
+      await classifyQueued();
+      expect(cooking.classList.contains(DELETED_CLASS)).toBe(true);
+      expect(cricket.classList.contains(DELETED_CLASS)).toBe(true);
+
+      // Clearing the corrections shows the video again from its cached classification
+      storageListener()({ videoOverrides: { newValue: {} } });
+      await classifyQueued();
+      expect(cooking.classList.contains(DELETED_CLASS)).toBe(false);
+      expect(cricket.classList.contains(DELETED_CLASS)).toBe(true);
+      expect(classifier.classify).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reload settings once after a burst of labelled examples', async () => {
+      addTile('v1', 'Cricket final highlights');
+      ({ component } = await setup({ topics: ['cricket'], useLabelledExamples: true }));
+      const loads = () => global.chrome.storage.local.get.mock.calls.filter(([keys]) => keys.includes('topics')).length;
+      expect(loads()).toBe(1);
+
+      storageListener()({ labelledExamples: { newValue: [] } });
+      await jest.advanceTimersByTimeAsync(30 * 1000);
+      storageListener()({ labelledExamples: { newValue: [] } });
+      await jest.advanceTimersByTimeAsync(30 * 1000);
+      expect(loads()).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(30 * 1000);
+      expect(loads()).toBe(2);
+    });
+  });
+
+  describe('failed classification', () => {
+    test('should retry every batch that failed before the retry', async () => {
+      const first = addTile('v1', 'Cricket final highlights');
+      const classifier = {
+        classify: jest.fn(matchTopics).mockRejectedValueOnce(new Error('offline')).mockRejectedValueOnce(new Error('offline'))
+      };
+      let scheduler;
+      ({ component, scheduler } = await setup({ topics: ['cricket'], videoAction: 'delete' }, classifier));
+      await classifyQueued();
+
+      // A second batch fails while the first waits for its retry
+      const second = addTile('v2', 'Cricket world cup recap');
+      const { onAdded } = scheduler.register.mock.calls[0][1];
+      onAdded([second]);
+      await classifyQueued();
+      expect(classifier.classify).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(5000);
+      await classifyQueued();
+      expect(classifier.classify.mock.calls[2][0].map(({ id }) => id)).toEqual(['v1', 'v2']);
+      expect(first.classList.contains(DELETED_CLASS)).toBe(true);
+      expect(second.classList.contains(DELETED_CLASS)).toBe(true);
+    });
+  });
+
+  describe('revealing videos', () => {
+    test('"Reveal all" should show every filtered video on the page', async () => {
+      const tiles = [addTile('v1', 'Cricket final highlights'), addTile('v2', 'Cricket world cup recap')];
+      ({ component } = await setup({ topics: ['cricket'], videoAction: 'delete', deletedPlaceholders: true }));
+      await classifyQueued();
+      expect(document.querySelectorAll('.conscious-youtube-placeholder')).toHaveLength(1);
+
+      const handleMessage = global.chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+      handleMessage({ action: 'revealAllVideos' }, {}, sendResponse);
+
+      expect(tiles.some(tile => tile.classList.contains(DELETED_CLASS))).toBe(false);
+      expect(document.querySelectorAll('.conscious-youtube-placeholder')).toHaveLength(0);
+      expect(sendResponse.mock.calls[0][0].videos).toEqual([]);
+    });
+
+    test('"Show them" should find the tiles by video ID without querying the page', async () => {
+      const tiles = [addTile('v1', 'Cricket final highlights'), addTile('v2', 'Cricket world cup recap')];
+      ({ component } = await setup({ topics: ['cricket'], videoAction: 'delete', deletedPlaceholders: true }));
+      await classifyQueued();
+
+      const querySpy = jest.spyOn(document, 'querySelectorAll');
+      [...document.querySelectorAll('.conscious-youtube-toast-actions button')]
+        .find(button => button.textContent === 'Show them')
+        .click();
+
+      expect(tiles.some(tile => tile.classList.contains(DELETED_CLASS))).toBe(false);
+      expect(document.querySelectorAll('.conscious-youtube-placeholder')).toHaveLength(0);
+      const selectors = querySpy.mock.calls.map(([selector]) => selector);
+      expect(selectors.filter(selector => selector.includes('ytd-rich-item-renderer'))).toEqual([]);
+      querySpy.mockRestore();
+    });
+  });
+
+  describe('pending mask', () => {
+    const isMasked = tile => tile.classList.contains('conscious-youtube-pending');
+
+    test('should not mask tiles without a title, which are never classified', async () => {
+      const titled = addTile('v1', 'Cricket final highlights');
+      const untitled = document.createElement('ytd-rich-item-renderer');
+      untitled.innerHTML = '<a href="/watch?v=v2"></a>';
+      document.body.appendChild(untitled);
+      // Keep the titled tile pending
+      const classifier = { classify: jest.fn(() => new Promise(() => {})) };
+      ({ component } = await setup({ topics: ['cricket'], pendingMask: { failMode: 'closed' } }, classifier));
+
+      expect(isMasked(titled)).toBe(true);
+      expect(isMasked(untitled)).toBe(false);
+    });
+
+    test('should cancel the mask timeout when disposed', async () => {
+      const tile = addTile('v1', 'Cricket final highlights');
+      const classifier = { classify: jest.fn(() => new Promise(() => {})) };
+      ({ component } = await setup({ topics: ['cricket'], pendingMask: { timeoutSeconds: 5, failMode: 'closed' } }, classifier));
+      expect(isMasked(tile)).toBe(true);
+
+      component.dispose();
+      component = null;
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(tile.querySelector('.conscious-youtube-pending-overlay button')).toBeNull();
+    });
+  });
+});
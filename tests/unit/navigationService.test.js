@@ -0,0 +1,69 @@
+import { createNavigationService, getPageType } from '../../src/contentScript/navigationService.js';
+
+describe('navigationService', () => {
+  let service;
+
+  afterEach(() => {
+    if (service) service.dispose();
+    service = null;
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('should detect the page type from the URL', () => {
+    expect(getPageType('https://www.youtube.com/')).toBe('home');
+    expect(getPageType('https://www.youtube.com/watch?v=abc')).toBe('watch');
+    expect(getPageType('https://www.youtube.com/results?search_query=x')).toBe('search');
+    expect(getPageType('https://www.youtube.com/feed/subscriptions')).toBe('subscriptions');
+    expect(getPageType('https://www.youtube.com/feed/trending?bp=abc')).toBe('trending');
+    expect(getPageType('https://www.youtube.com/feed/explore')).toBe('explore');
+    expect(getPageType('https://www.youtube.com/feed/news_destination')).toBe('explore');
+    expect(getPageType('https://www.youtube.com/hashtag/cricket')).toBe('explore');
+    expect(getPageType('https://www.youtube.com/playlist?list=PL123')).toBe('playlist');
+    expect(getPageType('https://www.youtube.com/@somechannel/videos')).toBe('channel');
+    expect(getPageType('https://www.youtube.com/channel/UC123')).toBe('channel');
+    expect(getPageType('https://www.youtube.com/feed/history')).toBe('other');
+    expect(getPageType('not a url')).toBe('other');
+  });
+
+  test('should fall back to the History API without YouTube events', () => {
+    service = createNavigationService();
+    const listener = jest.fn();
+    service.onNavigate(listener);
+    service.start();
+
+    window.history.pushState(null, '', '/watch?v=abc');
+    window.history.replaceState(null, '', '/watch?v=abc');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({
+      url: 'http://localhost/watch?v=abc', previousUrl: 'http://localhost/', pageType: 'watch'
+    });
+  });
+
+  test('should follow yt-navigate-finish once YouTube fires its events', () => {
+    service = createNavigationService();
+    const listener = jest.fn();
+    service.onNavigate(listener);
+    service.start();
+
+    document.dispatchEvent(new Event('yt-navigate-start'));
+    window.history.pushState(null, '', '/results?search_query=x');
+    expect(listener).not.toHaveBeenCalled();
+
+    document.dispatchEvent(new Event('yt-navigate-finish'));
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ pageType: 'search' }));
+  });
+
+  test('should stop notifying and restore the History API when disposed', () => {
+    const originalPushState = window.history.pushState;
+    service = createNavigationService();
+    const listener = jest.fn();
+    service.onNavigate(listener);
+    service.start();
+    service.dispose();
+
+    window.history.pushState(null, '', '/watch?v=abc');
+    expect(listener).not.toHaveBeenCalled();
+    expect(window.history.pushState).toBe(originalPushState);
+  });
+});
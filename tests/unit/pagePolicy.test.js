@@ -0,0 +1,34 @@
+import {
+  DEFAULT_PAGE_FILTERS, DEFAULT_SEARCH_POLICY, PAGE_FILTERS_KEY, SEARCH_POLICY_KEY, getPagePolicy,
+  normalizePagePolicySettings
+} from '../../src/contentScript/pagePolicy.js';
+
+describe('pagePolicy', () => {
+  test('fills in the default search policy for missing or unknown values', () => {
+    expect(normalizePagePolicySettings().searchPolicy).toBe(DEFAULT_SEARCH_POLICY);
+    expect(normalizePagePolicySettings({ [SEARCH_POLICY_KEY]: 'hide' }).searchPolicy).toBe(DEFAULT_SEARCH_POLICY);
+    expect(normalizePagePolicySettings({ [SEARCH_POLICY_KEY]: 'off' }).searchPolicy).toBe('off');
+  });
+
+  test('applies the search policy to search pages only', () => {
+    const settings = normalizePagePolicySettings({ [SEARCH_POLICY_KEY]: 'mark' });
+    expect(getPagePolicy('search', settings)).toBe('mark');
+    expect(getPagePolicy('home', settings)).toBe('filter');
+    expect(getPagePolicy('watch', normalizePagePolicySettings({ [SEARCH_POLICY_KEY]: 'off' }))).toBe('filter');
+  });
+
+  test('filters subscriptions but not channel pages by default', () => {
+    const settings = normalizePagePolicySettings();
+    expect(settings.pageFilters).toEqual(DEFAULT_PAGE_FILTERS);
+    expect(getPagePolicy('subscriptions', settings)).toBe('filter');
+    expect(getPagePolicy('channel', settings)).toBe('off');
+    expect(getPagePolicy('other', settings)).toBe('filter');
+  });
+
+  test('turns page types on and off from the stored settings', () => {
+    const settings = normalizePagePolicySettings({ [PAGE_FILTERS_KEY]: { subscriptions: false, channel: 1 } });
+    expect(getPagePolicy('subscriptions', settings)).toBe('off');
+    expect(getPagePolicy('channel', settings)).toBe('filter');
+    expect(getPagePolicy('trending', settings)).toBe('filter');
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  normalizePendingMaskSettings, maskPendingVideos, isVideoMasked, unmaskVideo, failPendingVideo, resetPendingMasks
+} from '../../src/contentScript/pendingMask.js';
+
+describe('pendingMask', () => {
+  let tile;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    resetPendingMasks();
+    document.body.innerHTML = '<div id="tile"><a>Title</a></div>';
+    tile = document.getElementById('tile');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should fill in defaults and clamp the timeout', () => {
+    expect(normalizePendingMaskSettings()).toEqual({ enabled: true, timeoutSeconds: 10, failMode: 'open' });
+    expect(normalizePendingMaskSettings({ enabled: false, timeoutSeconds: '500', failMode: 'closed' }))
+      .toEqual({ enabled: false, timeoutSeconds: 60, failMode: 'closed' });
+    expect(normalizePendingMaskSettings({ timeoutSeconds: '', failMode: 'other' }))
+      .toEqual({ enabled: true, timeoutSeconds: 10, failMode: 'open' });
+  });
+
+  test('should lift the mask when the decision is applied', () => {
+    maskPendingVideos([tile], { timeoutSeconds: 5, failMode: 'open' }, jest.fn());
+    expect(isVideoMasked(tile)).toBe(true);
+
+    unmaskVideo(tile);
+    expect(isVideoMasked(tile)).toBe(false);
+    expect(tile.querySelector('.conscious-youtube-pending-overlay')).toBeNull();
+  });
+
+  test('should show the tile after the timeout when failing open', () => {
+    maskPendingVideos([tile], { timeoutSeconds: 5, failMode: 'open' }, jest.fn());
+    jest.advanceTimersByTime(5000);
+
+    expect(isVideoMasked(tile)).toBe(false);
+
+    // A tile is masked once, so later scans do not mask it again
+    maskPendingVideos([tile], { timeoutSeconds: 5, failMode: 'open' }, jest.fn());
+    expect(isVideoMasked(tile)).toBe(false);
+  });
+
+  test('should keep the tile masked with a show button when failing closed', () => {
+    const onShow = jest.fn();
+    maskPendingVideos([tile], { timeoutSeconds: 5, failMode: 'closed' }, onShow);
+    jest.advanceTimersByTime(5000);
+
+    expect(isVideoMasked(tile)).toBe(true);
+    tile.querySelector('.conscious-youtube-pending-overlay button').click();
+    expect(isVideoMasked(tile)).toBe(false);
+    expect(onShow).toHaveBeenCalledWith(tile);
+  });
+
+  test('should apply the policy right away when classification fails', () => {
+    maskPendingVideos([tile], { timeoutSeconds: 5, failMode: 'open' }, jest.fn());
+    failPendingVideo(tile, 'open', jest.fn());
+
+    expect(isVideoMasked(tile)).toBe(false);
+  });
+
+  test('should cancel the timeout on a reset', () => {
+    maskPendingVideos([tile], { timeoutSeconds: 5, failMode: 'open' }, jest.fn());
+    resetPendingMasks();
+
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,68 @@
+import { createScanScheduler } from '../../src/contentScript/scanScheduler.js';
+
+describe('scanScheduler', () => {
+  let scheduler;
+  const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="feed"><div class="tile" id="old"></div></div>';
+    scheduler = createScanScheduler({ debounceDelay: 10 });
+    scheduler.start();
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  function addTile(id, parent = document.getElementById('feed')) {
+    const tile = document.createElement('div');
+    tile.className = 'tile';
+    tile.id = id;
+    parent.appendChild(tile);
+    return tile;
+  }
+
+  test('should dispatch only newly added matching elements to each feature', async () => {
+    const immediate = jest.fn();
+    const added = jest.fn();
+    const shelves = jest.fn();
+    scheduler.register('tiles', { selectors: ['.tile'], onImmediate: immediate, onAdded: added });
+    scheduler.register('shelves', { selectors: ['.shelf'], onAdded: shelves });
+
+    addTile('new1');
+    const wrapper = document.createElement('section');
+    addTile('new2', wrapper);
+    document.getElementById('feed').appendChild(wrapper);
+    await flushMutations();
+
+    expect(immediate).toHaveBeenCalledTimes(1);
+    expect(immediate.mock.calls[0][0].map(tile => tile.id)).toEqual(['new1', 'new2']);
+
+    await wait(20);
+    expect(added).toHaveBeenCalledTimes(1);
+    expect(added.mock.calls[0][0].map(tile => tile.id)).toEqual(['new1', 'new2']);
+    expect(shelves).not.toHaveBeenCalled();
+  });
+
+  test('should dispatch a tile again when content is added inside it', async () => {
+    const immediate = jest.fn();
+    scheduler.register('tiles', { selectors: ['.tile'], onImmediate: immediate });
+
+    document.getElementById('old').appendChild(document.createElement('span'));
+    await flushMutations();
+
+    expect(immediate.mock.calls[0][0].map(tile => tile.id)).toEqual(['old']);
+  });
+
+  test('should stop dispatching to an unregistered feature', async () => {
+    const added = jest.fn();
+    const unregister = scheduler.register('tiles', { selectors: ['.tile'], onAdded: added });
+    addTile('new1');
+    await flushMutations();
+    unregister();
+
+    await wait(20);
+    expect(added).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,93 @@
+import {
+  getPageSelectors,
+  getSelectorHealth,
+  getSelectorStats,
+  getTileFieldSelector,
+  getTileFieldSelectors,
+  loadSelectorRegistry,
+  queryAllTracked,
+  resetSelectorStats
+} from '../../src/contentScript/selectorRegistry.js';
+import { extractVideoId, extractVideoTitle } from '../../src/contentScript/videoTileParser.js';
+import bundledSelectors from '../../src/contentScript/selectors.json';
+
+function videoLinks(count) {
+  return Array.from({ length: count }, (_, i) => `<a href="/watch?v=v${i}">Video ${i}</a>`).join('');
+}
+
+describe('selectorRegistry', () => {
+  beforeEach(() => {
+    loadSelectorRegistry(bundledSelectors);
+    document.body.innerHTML = '';
+  });
+
+  test('keys selectors by page type, falling back to the other profile', () => {
+    expect(getPageSelectors('home').tiles).toEqual(['ytd-rich-item-renderer']);
+    expect(getPageSelectors('watch').tiles).toContain('ytd-compact-video-renderer');
+    expect(getPageSelectors('search').tiles).toContain('ytd-video-renderer');
+    expect(getPageSelectors('unknown')).toBe(getPageSelectors('other'));
+  });
+
+  test('rejects a registry without a version or page profiles', () => {
+    expect(() => loadSelectorRegistry({ pages: {} })).toThrow('Invalid selector registry');
+    expect(() => loadSelectorRegistry({ ...bundledSelectors, version: '1' })).toThrow('Invalid selector registry');
+  });
+
+  test('counts the matches of each selector and tile field', () => {
+    document.body.innerHTML = `
+      <ytd-rich-item-renderer><a id="video-title" title="First">First</a></ytd-rich-item-renderer>
+      <ytd-rich-item-renderer><span>No title</span></ytd-rich-item-renderer>
+    `;
+    const tiles = queryAllTracked(['ytd-rich-item-renderer', 'yt-lockup-view-model']);
+    tiles.forEach(extractVideoTitle);
+
+    const stats = getSelectorStats();
+    expect(stats.version).toBe(bundledSelectors.version);
+    expect(stats.selectors['ytd-rich-item-renderer']).toEqual({ queries: 1, matches: 2 });
+    expect(stats.selectors['yt-lockup-view-model']).toEqual({ queries: 1, matches: 0 });
+    expect(stats.fields.title).toEqual({ lookups: 2, misses: 1 });
+
+    resetSelectorStats();
+    expect(getSelectorStats().selectors).toEqual({});
+  });
+
+  test('reports a page whose videos are not in any known tile as broken', () => {
+    document.body.innerHTML = `<ytd-new-item-renderer>${videoLinks(10)}</ytd-new-item-renderer>`;
+    const health = getSelectorHealth('home');
+    expect(health.broken).toBe(true);
+    expect(health.tileCount).toBe(0);
+
+    // Links inside known Shorts sections do not count
+    document.body.innerHTML = `<ytd-reel-shelf-renderer>${videoLinks(10)}</ytd-reel-shelf-renderer>`;
+    expect(getSelectorHealth('home').broken).toBe(false);
+    expect(getSelectorHealth('search').broken).toBe(false);
+  });
+
+  test('reports a page whose tiles have no readable titles as broken', () => {
+    document.body.innerHTML = Array.from({ length: 6 }, () => '<ytd-rich-item-renderer><span></span></ytd-rich-item-renderer>').join('');
+    expect(getSelectorHealth('home').broken).toBe(false);
+
+    queryAllTracked(getPageSelectors('home').tiles).forEach(extractVideoTitle);
+    const health = getSelectorHealth('home');
+    expect(health.broken).toBe(true);
+    expect(health.tileCount).toBe(6);
+    expect(health.reason).toMatch(/titles/);
+  });
+
+  test('reads every tile field as a list of selectors, whether written as a list or a string', () => {
+    loadSelectorRegistry({
+      ...bundledSelectors,
+      tile: { ...bundledSelectors.tile, title: '.custom-title', videoLink: ['a.custom-link', 'a[href*="watch?v="]'] }
+    });
+    document.body.innerHTML = `
+      <ytd-rich-item-renderer><span class="custom-title">Custom</span><a href="/watch?v=v1">Video</a></ytd-rich-item-renderer>
+    `;
+    const tile = document.querySelector('ytd-rich-item-renderer');
+
+    expect(getTileFieldSelectors('title')).toEqual(['.custom-title']);
+    expect(getTileFieldSelector('videoLink')).toBe('a.custom-link, a[href*="watch?v="]');
+    expect(Object.values(bundledSelectors.tile).every(Array.isArray)).toBe(true);
+    expect(extractVideoTitle(tile)).toBe('Custom');
+    expect(extractVideoId(tile)).toBe('v1');
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  validateServerSettings,
+  getOriginPattern,
+  testServerConnection
+} = require('../../src/popup/serverSettingsModel.js');
+const {
+  getServerTextClassifier, getDefaultServerSettings, buildClassificationUrl
+} = require('../../src/contentScript/textClassifierServer.js');
+
+describe('serverSettingsModel logic', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('validateServerSettings trims values and keeps blanks for defaults', () => {
+    expect(validateServerSettings({ baseUrl: ' https://example.com ', modelName: ' llama3 ' })).toEqual({
+      baseUrl: 'https://example.com',
+      endpointPath: '',
+      provider: '',
+      modelName: 'llama3',
+      authHeaderName: '',
+      authHeaderValue: ''
+    });
+  });
+
+  test('validateServerSettings rejects invalid values', () => {
+    expect(() => validateServerSettings({ baseUrl: 'not a url' })).toThrow('Base URL is not a valid URL.');
+    expect(() => validateServerSettings({ baseUrl: 'ftp://example.com' })).toThrow('Base URL must start with http:// or https://.');
+    expect(() => validateServerSettings({ endpointPath: 'classify' })).toThrow('Endpoint path must start with /.');
+    expect(() => validateServerSettings({ authHeaderName: 'X Key' })).toThrow('Auth header name is not a valid header name.');
+  });
+
+  test('getOriginPattern uses the origin of the base URL', () => {
+    expect(getOriginPattern({ baseUrl: 'http://192.168.1.5:8000/api/' })).toBe('http://192.168.1.5:8000/*');
+  });
+
+  test('testServerConnection posts a sample request with the configured settings', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ results: [{ text_id: 't0', topic_ids: ['p0'] }, { text_id: 't1', topic_ids: [] }] })
+    });
+    let clock = 0;
+    const message = await testServerConnection({
+      baseUrl: 'https://example.com/',
+      endpointPath: '/v1/classify',
+      provider: 'OLLAMA',
+      modelName: 'llama3',
+      authHeaderName: 'X-Api-Key',
+      authHeaderValue: 'secret'
+    }, () => (clock += 50));
+
+    expect(message).toBe('Connected in 50 ms, 1 of 2 sample titles matched "cricket".');
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://example.com/v1/classify');
+    expect(init.headers['X-Api-Key']).toBe('secret');
+    expect(JSON.parse(init.body)).toEqual(expect.objectContaining({ provider: 'OLLAMA', model_name: 'llama3' }));
+  });
+
+  test('testServerConnection reports server errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 401, json: async () => ({}) });
+
+    await expect(testServerConnection({ baseUrl: 'https://example.com' }))
+      .rejects.toBe('Connection failed: Classification API error: 401');
+  });
+
+  test('the content script classifier calls the default server directly', async () => {
+    const results = [{ text_id: 't0', topic_ids: ['p0'] }];
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ results }) });
+    global.chrome = {
+      storage: { local: { get: jest.fn(async () => ({})) } },
+      runtime: { sendMessage: jest.fn() }
+    };
+    const texts = [{ id: 't0', text: 'cricket final' }];
+    const topics = [{ id: 'p0', topic: 'cricket' }];
+
+    await expect(getServerTextClassifier().classify(texts, topics)).resolves.toEqual(results);
+    expect(global.fetch.mock.calls[0][0]).toBe(buildClassificationUrl(getDefaultServerSettings()));
+    expect(global.chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    delete global.chrome;
+  });
+
+  test('the content script classifier sends custom server requests through the service worker', async () => {
+    const results = [{ text_id: 't0', topic_ids: ['p0'] }];
+    global.fetch = jest.fn();
+    global.chrome = {
+      storage: { local: { get: jest.fn(async () => ({ serverSettings: { baseUrl: 'http://192.168.1.5:8000' } })) } },
+      runtime: { sendMessage: jest.fn((message, callback) => callback({ success: true, results })) }
+    };
+    const texts = [{ id: 't0', text: 'cricket final' }];
+    const topics = [{ id: 'p0', topic: 'cricket' }];
+
+    await expect(getServerTextClassifier().classify(texts, topics)).resolves.toEqual(results);
+    expect(global.chrome.runtime.sendMessage.mock.calls[0][0]).toEqual({
+      type: 'TEXT_CLASSIFIER',
+      action: 'CLASSIFY_SERVER',
+      payload: { texts, topics }
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+    delete global.chrome;
+  });
+});
@@ -0,0 +1,138 @@
+import { CompositeTextClassifier } from '../../src/contentScript/textClassifierComposite.js';
+
+describe('CompositeTextClassifier', () => {
+  const texts = [{ id: 't0', text: 'cricket video' }];
+  const topics = [{ id: 'p0', topic: 'cricket' }];
+  const results = [{ text_id: 't0', topic_ids: ['p0'] }];
+  const serverResults = [{ text_id: 't0', topic_ids: ['p0'], backend: 'server', fallback: false }];
+  let clock;
+  let backends;
+  let onStatusChange;
+
+  function createClassifier(order = ['builtin', 'server', 'rules']) {
+    return new CompositeTextClassifier(backends, {
+      getOrder: async () => order,
+      onStatusChange,
+      now: () => clock
+    });
+  }
+
+  beforeEach(() => {
+    clock = 1000;
+    onStatusChange = jest.fn();
+    backends = {
+      builtin: { isAvailable: jest.fn().mockResolvedValue(false), classify: jest.fn() },
+      server: { classify: jest.fn().mockResolvedValue(results) },
+      rules: { classify: jest.fn().mockResolvedValue([{ text_id: 't0', topic_ids: [] }]) }
+    };
+  });
+
+  test('should skip unavailable backends and use the next one', async () => {
+    const classifier = createClassifier();
+
+    await expect(classifier.classify(texts, topics)).resolves.toEqual(serverResults);
+    expect(backends.builtin.classify).not.toHaveBeenCalled();
+    expect(classifier.getStatus().activeBackend).toBe('server');
+    expect(onStatusChange).toHaveBeenLastCalledWith(expect.objectContaining({ activeBackend: 'server' }));
+  });
+
+  test('should ask an unavailable backend again after the availability is reset', async () => {
+    const classifier = createClassifier();
+    await classifier.classify(texts, topics);
+    backends.builtin.isAvailable.mockResolvedValue(true);
+    backends.builtin.classify.mockResolvedValue(results);
+
+    await expect(classifier.classify(texts, topics)).resolves.toEqual(serverResults);
+    classifier.resetAvailability();
+
+    await expect(classifier.classify(texts, topics)).resolves.toEqual([{ ...results[0], backend: 'builtin', fallback: false }]);
+    expect(backends.builtin.isAvailable).toHaveBeenCalledTimes(2);
+  });
+
+  test('should fall back when a backend fails', async () => {
+    backends.server.classify.mockRejectedValue(new Error('Network error'));
+    const classifier = createClassifier();
+
+    await classifier.classify(texts, topics);
+
+    expect(backends.rules.classify).toHaveBeenCalled();
+    const status = classifier.getStatus();
+    expect(status.activeBackend).toBe('rules');
+    expect(status.backends.server.consecutiveFailures).toBe(1);
+    expect(status.backends.server.lastError).toBe('Network error');
+  });
+
+  test('should flag results from a backend that answered because an earlier one failed', async () => {
+    backends.server.classify.mockRejectedValue(new Error('Network error'));
+    const classifier = createClassifier();
+
+    const [result] = await classifier.classify(texts, topics);
+    expect(result).toEqual(expect.objectContaining({ backend: 'rules', fallback: true }));
+
+    // Skipping a backend that is unavailable on this device is not a fallback
+    const [rulesFirst] = await createClassifier(['builtin', 'rules']).classify(texts, topics);
+    expect(rulesFirst.fallback).toBe(false);
+  });
+
+  test('should follow the configured order', async () => {
+    const classifier = createClassifier(['rules', 'server']);
+    await classifier.classify(texts, topics);
+
+    expect(backends.rules.classify).toHaveBeenCalled();
+    expect(backends.server.classify).not.toHaveBeenCalled();
+  });
+
+  test('should open the circuit after repeated failures and probe later', async () => {
+    backends.server.classify.mockRejectedValue(new Error('Network error'));
+    const classifier = createClassifier();
+
+    for (let i = 0; i < 3; i++) {
+      await classifier.classify(texts, topics);
+    }
+    expect(classifier.getStatus().backends.server.state).toBe('open');
+
+    // While open the server is not called at all, and the answers come from a fallback
+    const [whileOpen] = await classifier.classify(texts, topics);
+    expect(backends.server.classify).toHaveBeenCalledTimes(3);
+    expect(whileOpen.fallback).toBe(true);
+
+    // After the wait a single probe is let through and its success closes the circuit
+    clock += 60 * 1000;
+    backends.server.classify.mockResolvedValue(results);
+    await expect(classifier.classify(texts, topics)).resolves.toEqual(serverResults);
+    expect(classifier.getStatus().backends.server.state).toBe('closed');
+    expect(classifier.getStatus().activeBackend).toBe('server');
+  });
+
+  test('should wait longer after a failed probe', async () => {
+    backends.server.classify.mockRejectedValue(new Error('Network error'));
+    const classifier = createClassifier(['server']);
+
+    for (let i = 0; i < 3; i++) {
+      await expect(classifier.classify(texts, topics)).rejects.toThrow('All classifier backends failed');
+    }
+    clock += 60 * 1000;
+    await expect(classifier.classify(texts, topics)).rejects.toThrow('All classifier backends failed');
+
+    expect(classifier.getStatus().backends.server.openUntil).toBe(clock + 120 * 1000);
+  });
+
+  test('should throw when no backend can serve', async () => {
+    const classifier = createClassifier(['builtin']);
+
+    await expect(classifier.classify(texts, topics)).rejects.toThrow('No classifier backend available');
+    expect(classifier.getStatus().activeBackend).toBeNull();
+  });
+
+  test('should track average latency', async () => {
+    backends.server.classify.mockImplementation(async () => {
+      clock += 100;
+      return results;
+    });
+    const classifier = createClassifier(['server']);
+
+    await classifier.classify(texts, topics);
+
+    expect(classifier.getStatus().backends.server.avgLatencyMs).toBe(100);
+  });
+});
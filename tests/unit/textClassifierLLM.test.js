@@ -0,0 +1,86 @@
+import { classify, parseClassificationContent } from '../../src/serviceWorker/textClassifierLLM.js';
+import { resolveLLMSettings, isLLMConfigured } from '../../src/llmSettings.js';
+import { buildSingleTextPrompt, buildBatchClassificationPrompt } from '../../src/serviceWorker/classificationPrompts.js';
+
+describe('LLM text classifier', () => {
+  const texts = [{ id: 't0', text: 'cricket final' }, { id: 't1', text: 'bread recipe' }];
+  const topics = [{ id: 'p0', topic: 'cricket' }];
+  const content = JSON.stringify({ results: [{ text_id: 't0', topic_ids: ['p0'] }, { text_id: 't1', topic_ids: [] }] });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should call a local OpenAI-compatible server with the batch prompt and schema', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content } }] })
+    });
+
+    const results = await classify(texts, topics, { provider: 'openai', baseUrl: 'http://localhost:8080/v1/', modelName: 'llama3' });
+
+    expect(results).toEqual([{ text_id: 't0', topic_ids: ['p0'] }, { text_id: 't1', topic_ids: [] }]);
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(init.headers.Authorization).toBeUndefined();
+    const body = JSON.parse(init.body);
+    expect(body.model).toBe('llama3');
+    expect(body.messages[0].content).toContain('Texts: [{"id":"t0","text":"cricket final"}');
+    expect(body.response_format.json_schema.schema.required).toEqual(['results']);
+  });
+
+  test('should call Gemini with the key header and a Gemini response schema', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ candidates: [{ content: { parts: [{ text: content }] } }] })
+    });
+
+    await classify(texts, topics, { provider: 'gemini', apiKey: 'key' });
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent');
+    expect(init.headers['x-goog-api-key']).toBe('key');
+    const schema = JSON.parse(init.body).generationConfig.responseSchema;
+    expect(schema.type).toBe('OBJECT');
+    expect(schema.additionalProperties).toBeUndefined();
+  });
+
+  test('prompts should include topic descriptions and examples only when given', () => {
+    const detailed = [{ id: 'p0', topic: 'gaming', description: 'Video game content', negative_examples: ['Game theory lecture'] }];
+
+    const single = buildSingleTextPrompt(texts[0], detailed);
+    expect(single).toContain('p0: gaming\n  Description: Video game content\n  Does not belong: ["Game theory lecture"]');
+    expect(buildBatchClassificationPrompt(texts, detailed)).toContain('negative_examples');
+    expect(buildSingleTextPrompt(texts[0], topics)).not.toContain('positive_examples');
+  });
+
+  test('should report API errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: { message: 'Invalid API key' } })
+    });
+
+    await expect(classify(texts, topics, { provider: 'openai', apiKey: 'bad' }))
+      .rejects.toThrow('LLM API error: 401 - Invalid API key');
+  });
+
+  test('parseClassificationContent should strip code fences and unknown IDs', () => {
+    const fenced = '```json\n{"results": [{"text_id": "t0", "topic_ids": ["p0", "p9"]}]}\n```';
+
+    expect(parseClassificationContent(fenced, texts, topics)).toEqual([
+      { text_id: 't0', topic_ids: ['p0'] },
+      { text_id: 't1', topic_ids: [] }
+    ]);
+    expect(() => parseClassificationContent('not json', texts, topics)).toThrow('LLM response was not valid JSON');
+  });
+
+  test('should only count as configured with a key or a custom OpenAI-compatible URL', () => {
+    expect(isLLMConfigured(undefined)).toBe(false);
+    expect(isLLMConfigured({ provider: 'openai' })).toBe(false);
+    expect(isLLMConfigured({ provider: 'openai', baseUrl: 'http://localhost:8080/v1' })).toBe(true);
+    expect(isLLMConfigured({ provider: 'gemini', baseUrl: 'http://localhost:8080' })).toBe(false);
+    expect(isLLMConfigured({ provider: 'gemini', apiKey: 'key' })).toBe(true);
+    expect(resolveLLMSettings({ provider: 'gemini', modelName: ' ' }).modelName).toBe('gemini-2.5-flash');
+  });
+});
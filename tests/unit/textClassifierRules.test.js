@@ -0,0 +1,132 @@
+// Mock chrome API
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn()
+    }
+  }
+};
+
+import {
+  compileRule,
+  compileTopicRules,
+  getRuleTextClassifier
+} from '../../src/contentScript/textClassifierRules.js';
+
+describe('textClassifierRules', () => {
+  const topics = [
+    { id: 'p0', topic: 'politics' },
+    { id: 'p1', topic: 'gaming' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chrome.storage.local.get.mockResolvedValue({});
+  });
+
+  describe('compileRule', () => {
+    test('should match keywords on word boundaries by default', () => {
+      const pattern = compileRule({ type: 'keyword', pattern: 'art' });
+      expect(pattern.test('Modern Art explained')).toBe(true);
+      expect(pattern.test('Smart home setup')).toBe(false);
+    });
+
+    test('should match substrings when whole word matching is off', () => {
+      const pattern = compileRule({ type: 'keyword', pattern: 'art', wholeWord: false });
+      expect(pattern.test('Smart home setup')).toBe(true);
+    });
+
+    test('should respect case sensitivity', () => {
+      const pattern = compileRule({ type: 'keyword', pattern: 'GTA' }, { wholeWord: true, caseSensitive: true });
+      expect(pattern.test('GTA 6 trailer')).toBe(true);
+      expect(pattern.test('gta 6 trailer')).toBe(false);
+    });
+
+    test('should match phrases across any whitespace', () => {
+      const pattern = compileRule({ type: 'phrase', pattern: 'prime minister' });
+      expect(pattern.test('The Prime   Minister speaks')).toBe(true);
+    });
+
+    test('should treat regex special characters in keywords literally', () => {
+      const pattern = compileRule({ type: 'keyword', pattern: 'c++', wholeWord: false });
+      expect(pattern.test('Learn C++ fast')).toBe(true);
+      expect(pattern.test('Learn C fast')).toBe(false);
+    });
+
+    test('should match whole words in non-Latin scripts', () => {
+      const pattern = compileRule({ type: 'keyword', pattern: 'चुनाव' });
+      expect(pattern.test('चुनाव परिणाम')).toBe(true);
+    });
+
+    test('should compile regex rules case-insensitively unless case sensitive', () => {
+      expect(compileRule({ type: 'regex', pattern: 'mp\\d+' }).test('MP42 results')).toBe(true);
+      expect(compileRule({ type: 'regex', pattern: 'mp\\d+', caseSensitive: true }).test('MP42 results')).toBe(false);
+    });
+
+    test('should return null for invalid rules', () => {
+      expect(compileRule({ type: 'regex', pattern: '(' })).toBeNull();
+      expect(compileRule({ type: 'unknown', pattern: 'x' })).toBeNull();
+      expect(compileRule({ type: 'keyword', pattern: '  ' })).toBeNull();
+    });
+  });
+
+  describe('compileTopicRules', () => {
+    test('should fall back to the topic name when a topic has no rules', () => {
+      const compiled = compileTopicRules(topics, { Politics: [{ type: 'keyword', pattern: 'election' }] });
+      expect(compiled[0].patterns[0].test('Election night')).toBe(true);
+      expect(compiled[1].patterns[0].test('Best gaming setup')).toBe(true);
+    });
+
+    test('should match positive example titles and skip negative ones', () => {
+      const [compiled] = compileTopicRules([{
+        id: 'p1',
+        topic: 'gaming',
+        positive_examples: ['Elden Ring boss guide'],
+        negative_examples: ['Gaming chair review']
+      }]);
+      expect(compiled.patterns.some(pattern => pattern.test('ELDEN RING boss guide part 2'))).toBe(true);
+      expect(compiled.exclusions.some(pattern => pattern.test('Best gaming chair review 2024'))).toBe(true);
+    });
+  });
+
+  describe('RuleTextClassifier', () => {
+    test('should return all matching topic IDs per text', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({
+        topicRules: {
+          politics: [{ type: 'keyword', pattern: 'election' }],
+          gaming: [{ type: 'regex', pattern: 'speed ?run' }]
+        }
+      });
+
+      const classifier = getRuleTextClassifier();
+      const results = await classifier.classify(
+        [
+          { id: 'a', text: 'Election speedrun any%' },
+          { id: 'b', text: 'Cooking pasta' }
+        ],
+        topics
+      );
+
+      expect(results).toEqual([
+        { text_id: 'a', topic_ids: ['p0', 'p1'] },
+        { text_id: 'b', topic_ids: [] }
+      ]);
+    });
+
+    test('should apply stored default options', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({
+        topicRules: { gaming: [{ type: 'keyword', pattern: 'game' }] },
+        ruleClassifierOptions: { wholeWord: false }
+      });
+
+      const results = await getRuleTextClassifier().classify([{ id: 'a', text: 'Gameplay walkthrough' }], topics);
+      expect(results[0].topic_ids).toEqual(['p1']);
+    });
+
+    test('should reject empty inputs', async () => {
+      const classifier = getRuleTextClassifier();
+      await expect(classifier.classify([], topics)).rejects.toThrow('Texts must be a non-empty array');
+      await expect(classifier.classify([{ id: 'a', text: 'x' }], [])).rejects.toThrow('Topics must be a non-empty array');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { showToast, showVideoToast, setToastMode, clearToast } from '../../src/contentScript/toastUtils.js';
+
+describe('toastUtils', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setToastMode('all');
+  });
+
+  afterEach(() => {
+    clearToast();
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+  });
+
+  const toastText = id => document.querySelector(`#${id} .conscious-youtube-toast-text`).textContent;
+
+  test('should add later notifications to the toast on screen', () => {
+    showVideoToast(2, 'hidden', { videoIds: ['a', 'b'], onShow: jest.fn() });
+    showVideoToast(1, 'hidden', { videoIds: ['c'], onShow: jest.fn() });
+
+    expect(document.querySelectorAll('#conscious-youtube-video-toast')).toHaveLength(1);
+    expect(toastText('conscious-youtube-video-toast')).toBe('3 videos hidden');
+
+    showVideoToast(1, 'deleted', { videoIds: ['d'], onShow: jest.fn() });
+    expect(toastText('conscious-youtube-video-toast')).toBe('4 videos filtered');
+  });
+
+  test('should pass every aggregated item to an action', () => {
+    const onShow = jest.fn();
+    showVideoToast(1, 'hidden', { videoIds: ['a'], onShow });
+    showVideoToast(1, 'hidden', { videoIds: ['b'], onShow });
+
+    const showButton = [...document.querySelectorAll('#conscious-youtube-video-toast button')]
+      .find(button => button.textContent === 'Show them');
+    showButton.click();
+
+    expect(onShow).toHaveBeenCalledWith(['a', 'b']);
+  });
+
+  test('should render text without interpreting HTML', () => {
+    showToast(1, '<img src=x onerror=alert(1)>', 'hidden', 'test-toast');
+
+    expect(document.querySelector('#test-toast img')).toBeNull();
+    expect(toastText('test-toast')).toBe('1 <img src=x onerror=alert(1)> hidden');
+  });
+
+  test('should show nothing when muted', () => {
+    setToastMode('off');
+    showToast(3, 'video', 'hidden', 'muted-toast');
+
+    expect(document.getElementById('muted-toast')).toBeNull();
+  });
+
+  test('should hold notifications back to one toast a minute when limited', () => {
+    setToastMode('limited');
+    jest.advanceTimersByTime(61 * 1000); // past toasts from other tests
+    showToast(1, 'video', 'hidden', 'limited-toast');
+    jest.advanceTimersByTime(6000); // first toast hides itself
+    showToast(2, 'video', 'hidden', 'limited-toast');
+    showToast(1, 'video', 'hidden', 'limited-toast');
+    jest.advanceTimersByTime(400);
+    expect(document.getElementById('limited-toast')).toBeNull();
+
+    jest.advanceTimersByTime(54 * 1000); // a minute after the first toast
+    expect(toastText('limited-toast')).toBe('3 videos hidden');
+  });
+});
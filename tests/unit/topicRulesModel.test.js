@@ -0,0 +1,35 @@
+const {
+  parseRulesText,
+  formatRulesText
+} = require('../../src/popup/topicRulesModel.js');
+
+describe('topicRulesModel logic', () => {
+  test('parseRulesText reads keywords, phrases and regexes per topic', () => {
+    expect(parseRulesText('Politics: election, "prime minister", /mp\\d+, x/i\ngaming: speed run')).toEqual({
+      politics: [
+        { type: 'keyword', pattern: 'election' },
+        { type: 'phrase', pattern: 'prime minister' },
+        { type: 'regex', pattern: 'mp\\d+, x', flags: 'i' }
+      ],
+      gaming: [{ type: 'phrase', pattern: 'speed run' }]
+    });
+  });
+
+  test('parseRulesText skips blank and comment lines', () => {
+    expect(parseRulesText('\n# comment\n  \nmusic: concert')).toEqual({
+      music: [{ type: 'keyword', pattern: 'concert' }]
+    });
+  });
+
+  test('parseRulesText reports the failing line', () => {
+    expect(() => parseRulesText('music: concert\nno separator')).toThrow('Line 2: expected "topic: rules".');
+    expect(() => parseRulesText('music: "unterminated')).toThrow('Line 1: unterminated quoted phrase.');
+    expect(() => parseRulesText('music: /(/')).toThrow('Line 1: invalid regular expression /(/.');
+    expect(() => parseRulesText('music:  ')).toThrow('Line 1: add at least one rule for "music".');
+  });
+
+  test('formatRulesText round-trips parsed rules', () => {
+    const text = 'politics: election, "prime minister", /mp\\d+/i';
+    expect(formatRulesText(parseRulesText(text))).toBe(text);
+  });
+});
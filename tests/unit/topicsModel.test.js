@@ -3,8 +3,15 @@ const {
   isDuplicate,
   addTopic,
   editTopic,
-  removeTopic
+  addTopicEntry,
+  editTopicEntry,
+  setTopicDetails,
+  setTopicEnabled,
+  snoozeTopic,
+  removeTopic,
+  loadTopics
 } = require('../../src/popup/topicsModel.js');
+const { isTopicActive, getNextSnoozeEnd, getClassifierTopicDetails } = require('../../src/topics.js');
 
 describe('topicsModel logic', () => {
   test('normalize trims and lowercases', () => {
@@ -29,7 +36,100 @@ describe('topicsModel logic', () => {
     expect(() => editTopic(['cricket', 'music'], 0, 'MUSIC')).toThrow('Topic already exists.');
   });
 
+  test('addTopic and editTopic reject topics from the other list', () => {
+    expect(() => addTopic(['politics'], ' Civics ', ['civics'])).toThrow('Topic is already in the other list.');
+    expect(() => editTopic(['politics'], 0, 'CIVICS', ['civics'])).toThrow('Topic is already in the other list.');
+    expect(addTopic(['politics'], 'civics', ['history'])).toEqual(['politics', 'civics']);
+  });
+
   test('removeTopic removes by index', () => {
     expect(removeTopic(['a', 'b', 'c'], 1)).toEqual(['a', 'c']);
   });
+
+  test('addTopicEntry appends an entry that uses the global action', () => {
+    expect(addTopicEntry([{ name: 'cricket', action: 'blur' }], ' Music ')).toEqual([
+      { name: 'cricket', action: 'blur' },
+      { name: 'music', action: null, enabled: true, snoozedUntil: null, description: '', positiveExamples: [], negativeExamples: [] }
+    ]);
+    expect(() => addTopicEntry([{ name: 'cricket', action: null }], 'CRICKET')).toThrow('Topic already exists.');
+  });
+
+  test('editTopicEntry updates the name and action', () => {
+    const entries = [{ name: 'cricket', action: null }, { name: 'music', action: 'delete' }];
+    expect(editTopicEntry(entries, 0, 'Football', 'blur')).toEqual([
+      { name: 'football', action: 'blur' },
+      { name: 'music', action: 'delete' }
+    ]);
+    expect(editTopicEntry(entries, 1, 'music', '')[1]).toEqual({ name: 'music', action: null });
+    expect(() => editTopicEntry(entries, 0, 'music', null)).toThrow('Topic already exists.');
+    expect(() => editTopicEntry(entries, 0, 'cricket', 'mute')).toThrow('Unknown action.');
+  });
+
+  test('loadTopics migrates topics stored as plain strings', async () => {
+    const set = jest.fn((items, callback) => callback());
+    global.chrome = {
+      storage: {
+        local: {
+          get: jest.fn((keys, callback) => callback({ topics: ['cricket', { name: 'music', action: 'blur' }, ' '] })),
+          set
+        }
+      }
+    };
+
+    const details = { description: '', positiveExamples: [], negativeExamples: [] };
+    const expected = [
+      { name: 'cricket', action: null, enabled: true, snoozedUntil: null, ...details },
+      { name: 'music', action: 'blur', enabled: true, snoozedUntil: null, ...details }
+    ];
+    await expect(loadTopics()).resolves.toEqual(expected);
+    expect(set).toHaveBeenCalledWith({ topics: expected }, expect.any(Function));
+    delete global.chrome;
+  });
+
+  test('setTopicEnabled and snoozeTopic pause a topic without removing it', () => {
+    const entries = [{ name: 'cricket', action: 'blur', enabled: true, snoozedUntil: null }];
+    const snoozed = snoozeTopic(entries, 0, 5000);
+    expect(snoozed[0]).toEqual({ name: 'cricket', action: 'blur', enabled: true, snoozedUntil: 5000 });
+    expect(isTopicActive(snoozed[0], 4000)).toBe(false);
+    expect(isTopicActive(snoozed[0], 5000)).toBe(true);
+
+    const disabled = setTopicEnabled(snoozed, 0, false);
+    expect(isTopicActive(disabled[0], 6000)).toBe(false);
+    // Re-enabling ends the snooze
+    expect(setTopicEnabled(disabled, 0, true)[0]).toEqual({ name: 'cricket', action: 'blur', enabled: true, snoozedUntil: null });
+  });
+
+  test('getNextSnoozeEnd ignores expired snoozes and disabled topics', () => {
+    const entries = [
+      { name: 'a', enabled: true, snoozedUntil: 3000 },
+      { name: 'b', enabled: true, snoozedUntil: 2000 },
+      { name: 'c', enabled: false, snoozedUntil: 1500 },
+      { name: 'd', enabled: true, snoozedUntil: 500 }
+    ];
+    expect(getNextSnoozeEnd(entries, 1000)).toBe(2000);
+    expect(getNextSnoozeEnd(entries, 4000)).toBeNull();
+  });
+
+  test('setTopicDetails cleans the description and example titles', () => {
+    const entries = addTopicEntry([], 'gaming');
+    const updated = setTopicDetails(entries, 0, {
+      description: '  Video game reviews and playthroughs ',
+      positiveExamples: ['Elden Ring boss guide', ' ', 'Elden Ring boss guide'],
+      negativeExamples: ['Game theory lecture']
+    });
+
+    expect(updated[0]).toEqual(expect.objectContaining({
+      description: 'Video game reviews and playthroughs',
+      positiveExamples: ['Elden Ring boss guide'],
+      negativeExamples: ['Game theory lecture']
+    }));
+    expect(getClassifierTopicDetails(updated[0])).toEqual({
+      description: 'Video game reviews and playthroughs',
+      positive_examples: ['Elden Ring boss guide'],
+      negative_examples: ['Game theory lecture']
+    });
+    expect(getClassifierTopicDetails(entries[0])).toEqual({});
+    expect(() => setTopicDetails(entries, 0, { description: 'x'.repeat(301) }))
+      .toThrow('Description must be at most 300 characters.');
+  });
 });
@@ -0,0 +1,64 @@
+import {
+  addVideoFeedback, getLabelledTitles, buildFeedbackExport, MAX_LABELLED_EXAMPLES, MAX_VIDEO_OVERRIDES
+} from '../../src/videoFeedback.js';
+
+describe('videoFeedback', () => {
+  test('should store an override and a labelled example per correction', () => {
+    const first = addVideoFeedback({}, [], { videoId: 'v1', title: 'Chess opening traps', topic: 'gaming', decision: 'show' }, 1000);
+    expect(first.overrides).toEqual({ v1: { decision: 'show', topic: 'gaming', title: 'Chess opening traps', at: 1000 } });
+    expect(first.examples).toEqual([{ videoId: 'v1', title: 'Chess opening traps', topic: 'gaming', label: 'negative', at: 1000 }]);
+
+    // Correcting the same video again replaces its example
+    const second = addVideoFeedback(first.overrides, first.examples, { videoId: 'v1', title: 'Chess opening traps', topic: 'gaming', decision: 'hide' }, 2000);
+    expect(second.examples).toEqual([{ videoId: 'v1', title: 'Chess opening traps', topic: 'gaming', label: 'positive', at: 2000 }]);
+  });
+
+  test('should only override the video when the correction has no topic', () => {
+    const { overrides, examples } = addVideoFeedback({}, [], { videoId: 'v2', title: 'Daily vlog', topic: null, decision: 'hide' }, 1000);
+    expect(overrides.v2.decision).toBe('hide');
+    expect(examples).toEqual([]);
+  });
+
+  test('should keep only the newest labelled examples', () => {
+    const examples = Array.from({ length: MAX_LABELLED_EXAMPLES }, (_, i) => ({ videoId: `old${i}`, title: `t${i}`, topic: 'a', label: 'positive', at: i }));
+    const next = addVideoFeedback({}, examples, { videoId: 'new', title: 'new title', topic: 'a', decision: 'hide' }, 9999).examples;
+    expect(next).toHaveLength(MAX_LABELLED_EXAMPLES);
+    expect(next[0].videoId).toBe('old1');
+    expect(next[next.length - 1].videoId).toBe('new');
+  });
+
+  test('should keep only the newest video overrides', () => {
+    const overrides = {};
+    for (let i = 0; i < MAX_VIDEO_OVERRIDES; i++) {
+      overrides[`old${i}`] = { decision: 'show', topic: null, title: `t${i}`, at: i === 0 ? 5 : i + 10 };
+    }
+    // The oldest correction is dropped, not the first key
+    overrides.old1.at = 0;
+    const next = addVideoFeedback(overrides, [], { videoId: 'new', title: 'new title', topic: null, decision: 'hide' }, 99999).overrides;
+    expect(Object.keys(next)).toHaveLength(MAX_VIDEO_OVERRIDES);
+    expect(next.old1).toBeUndefined();
+    expect(next.old0).toBeDefined();
+    expect(next.new.decision).toBe('hide');
+  });
+
+  test('getLabelledTitles returns the newest titles for a topic and label first', () => {
+    const examples = [
+      { title: 'one', topic: 'gaming', label: 'positive' },
+      { title: 'two', topic: 'gaming', label: 'negative' },
+      { title: 'three', topic: 'gaming', label: 'positive' },
+      { title: 'four', topic: 'music', label: 'positive' }
+    ];
+    expect(getLabelledTitles(examples, 'gaming', 'positive', 5)).toEqual(['three', 'one']);
+    expect(getLabelledTitles(examples, 'gaming', 'positive', 1)).toEqual(['three']);
+  });
+
+  test('buildFeedbackExport produces a JSON document with ISO dates', () => {
+    const examples = [{ videoId: 'v1', title: 'Chess', topic: 'gaming', label: 'negative', at: 0 }];
+    const exported = JSON.parse(buildFeedbackExport(examples, { v1: { decision: 'show' } }, 0));
+    expect(exported.exportedAt).toBe('1970-01-01T00:00:00.000Z');
+    expect(exported.labelledExamples[0]).toEqual({
+      videoId: 'v1', title: 'Chess', topic: 'gaming', label: 'negative', labelledAt: '1970-01-01T00:00:00.000Z'
+    });
+    expect(exported.videoOverrides).toEqual({ v1: { decision: 'show' } });
+  });
+});
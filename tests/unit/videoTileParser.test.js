@@ -0,0 +1,137 @@
+import {
+  parseVideoTile,
+  parseVideoHref,
+  parseViewCount,
+  parseDuration
+} from '../../src/contentScript/videoTileParser.js';
+
+/**
+ * Build a tile element from an HTML string
+ * @param {string} html - Tile markup
+ * @returns {Element} - The tile element
+ */
+function createTile(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html.trim();
+  return container.firstElementChild;
+}
+
+describe('videoTileParser', () => {
+  describe('parseVideoTile', () => {
+    test('should parse a homepage rich item', () => {
+      const tile = createTile(`
+        <ytd-rich-item-renderer>
+          <a id="thumbnail" href="/watch?v=abc123XYZ_-&pp=xyz">
+            <ytd-thumbnail-overlay-time-status-renderer><span id="text"> 12:34 </span></ytd-thumbnail-overlay-time-status-renderer>
+          </a>
+          <a id="video-title-link" href="/watch?v=abc123XYZ_-"><yt-formatted-string id="video-title">Election results explained</yt-formatted-string></a>
+          <ytd-channel-name><a href="/@newsdaily">News Daily</a></ytd-channel-name>
+          <div id="metadata-line">
+            <span class="inline-metadata-item">1.2M views</span>
+            <span class="inline-metadata-item">3 days ago</span>
+          </div>
+        </ytd-rich-item-renderer>
+      `);
+
+      expect(parseVideoTile(tile)).toEqual({
+        tileType: 'ytd-rich-item-renderer',
+        videoId: 'abc123XYZ_-',
+        title: 'Election results explained',
+        channelName: 'News Daily',
+        channelHandle: '@newsdaily',
+        channelId: null,
+        duration: '12:34',
+        durationSeconds: 754,
+        viewCount: 1200000,
+        uploadAge: '3 days ago',
+        badges: { live: false, premiere: false, members: false },
+        isShort: false,
+        context: 'Election results explained - News Daily'
+      });
+    });
+
+    test('should parse a watch page lockup with bullet separated metadata', () => {
+      const tile = createTile(`
+        <yt-lockup-view-model>
+          <a class="yt-lockup-view-model-wiz__content-image" href="/watch?v=lockup1"></a>
+          <h3 class="yt-lockup-metadata-view-model-wiz__heading-reset" title="Rust ownership in 10 minutes"></h3>
+          <a href="/channel/UC1234567890">Rustacean</a>
+          <span class="yt-content-metadata-view-model-wiz__metadata-text">5,432 views • 2 weeks ago</span>
+          <div class="badge-shape-wiz">Members only</div>
+        </yt-lockup-view-model>
+      `);
+
+      const video = parseVideoTile(tile);
+      expect(video.videoId).toBe('lockup1');
+      expect(video.title).toBe('Rust ownership in 10 minutes');
+      expect(video.channelId).toBe('UC1234567890');
+      expect(video.viewCount).toBe(5432);
+      expect(video.uploadAge).toBe('2 weeks ago');
+      expect(video.badges.members).toBe(true);
+    });
+
+    test('should mark Shorts lockups as Shorts', () => {
+      const tile = createTile(`
+        <ytm-shorts-lockup-view-model-v2>
+          <a href="/shorts/short42"><h3><span>Funny cat</span></h3></a>
+          <div class="shortsLockupViewModelHostMetadataSubhead"><span>85K views</span></div>
+        </ytm-shorts-lockup-view-model-v2>
+      `);
+
+      const video = parseVideoTile(tile);
+      expect(video.videoId).toBe('short42');
+      expect(video.isShort).toBe(true);
+      expect(video.viewCount).toBe(85000);
+    });
+
+    test('should detect live and premiere badges', () => {
+      const live = createTile(`
+        <ytd-compact-video-renderer>
+          <a href="/watch?v=live1" title="Live coding"></a>
+          <div class="badge badge-style-type-live-now">LIVE</div>
+          <div id="metadata-line"><span>1,024 watching</span></div>
+        </ytd-compact-video-renderer>
+      `);
+      const premiere = createTile(`
+        <ytd-compact-video-renderer>
+          <a href="/watch?v=prem1" title="Trailer"></a>
+          <div id="metadata-line"><span>Premieres 10/20/26, 6:00 PM</span></div>
+        </ytd-compact-video-renderer>
+      `);
+
+      expect(parseVideoTile(live).badges).toEqual({ live: true, premiere: false, members: false });
+      expect(parseVideoTile(live).viewCount).toBe(1024);
+      expect(parseVideoTile(premiere).badges.premiere).toBe(true);
+    });
+
+    test('should return null for invalid input', () => {
+      expect(parseVideoTile(null)).toBeNull();
+    });
+  });
+
+  describe('parseVideoHref', () => {
+    test('should parse watch and Shorts links', () => {
+      expect(parseVideoHref('/watch?v=abc&t=10s')).toEqual({ videoId: 'abc', isShort: false });
+      expect(parseVideoHref('https://www.youtube.com/shorts/xyz')).toEqual({ videoId: 'xyz', isShort: true });
+      expect(parseVideoHref(null)).toEqual({ videoId: null, isShort: false });
+    });
+  });
+
+  describe('parseViewCount', () => {
+    test('should parse abbreviated and plain counts', () => {
+      expect(parseViewCount('1.2M views')).toBe(1200000);
+      expect(parseViewCount('3,456 views')).toBe(3456);
+      expect(parseViewCount('1 view')).toBe(1);
+      expect(parseViewCount('No views')).toBe(0);
+      expect(parseViewCount('3 days ago')).toBeNull();
+    });
+  });
+
+  describe('parseDuration', () => {
+    test('should convert durations to seconds', () => {
+      expect(parseDuration('4:05')).toBe(245);
+      expect(parseDuration('1:02:03')).toBe(3723);
+      expect(parseDuration('LIVE')).toBeNull();
+    });
+  });
+});